@@ -16,16 +16,141 @@ const parseCorsOrigins = (origins) => {
     : origins;
 };
 
+// Parse a comma-separated list into an array of trimmed, non-empty values
+const parseList = (value) =>
+  (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
 const config = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 8000,
+  // Largest request body accepted, e.g. '100kb' or '1mb'
+  bodyLimit: process.env.BODY_LIMIT || '100kb',
   jwtSecret: process.env.JWT_SECRET || 'YOUR_SECRET_KEY',
   jwtExpirationInMinutes: process.env.JWT_EXPIRATION_MINUTES || 60,
+  refreshTokenExpirationInDays: process.env.REFRESH_TOKEN_EXPIRATION_DAYS || 30,
+  passwordResetExpirationInMinutes:
+    process.env.PASSWORD_RESET_EXPIRATION_MINUTES || 60,
+  emailVerificationExpirationInHours:
+    process.env.EMAIL_VERIFICATION_EXPIRATION_HOURS || 24,
+  // TOTP two-factor authentication
+  twoFactor: {
+    // Roles that must enable two-factor before using the API
+    requiredRoles: parseList(process.env.TWO_FACTOR_REQUIRED_ROLES),
+    // Account name shown in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'AI Tutor',
+    // Lifetime of the token exchanged for a JWT after the password step
+    challengeExpirationInMinutes:
+      parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRATION_MINUTES, 10) || 5,
+    // Key used to encrypt TOTP secrets at rest; derived from JWT_SECRET if unset
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+  },
+  // Brute-force protection for login
+  loginThrottle: {
+    // Failed logins for one email address before it is locked
+    maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5,
+    // Failed logins from one IP address before it is locked; kept high because
+    // a whole school may share one address
+    maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 50,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+    // Failures older than this are forgotten
+    failureWindowMinutes:
+      parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15,
+    // Wait between attempts for an account, doubling with each failure after
+    // the first
+    backoffBaseSeconds:
+      parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS, 10) || 1,
+  },
+  // Public URLs used to build links in emails
+  apiUrl: process.env.API_URL || `http://localhost:${process.env.PORT || 8000}`,
+  appUrl: process.env.APP_URL || 'http://localhost:5173',
   dbPath:
     process.env.DB_PATH || path.join(__dirname, '../../data/tutor.sqlite'),
   openAI: {
     apiKey: process.env.OPENAI_API_KEY,
     defaultModel: process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
+    // LLM provider: 'openai', 'openai-compatible' or 'mock'
+    provider: process.env.LLM_PROVIDER || 'openai',
+    baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
+    maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS, 10) || 1000,
+    // OpenAI models sessions may choose besides the default; requests are
+    // billed to the configured key, so only list models you are willing to
+    // pay for
+    allowedModels: parseList(process.env.OPENAI_ALLOWED_MODELS),
+    // Local servers exposing the OpenAI API (Ollama, llama.cpp, ...); not
+    // configured, and so not offered to sessions, until the URL is set
+    compatible: {
+      baseURL: process.env.LLM_COMPATIBLE_BASE_URL,
+      apiKey: process.env.LLM_COMPATIBLE_API_KEY,
+      model: process.env.LLM_COMPATIBLE_MODEL,
+    },
+    // Scripted offline provider for development and tests; sessions may
+    // only choose it when explicitly enabled
+    mock: {
+      enabled: process.env.LLM_MOCK_ENABLED === 'true',
+      scriptPath: process.env.LLM_MOCK_SCRIPT,
+    },
+  },
+  // Outgoing mail: transport is 'smtp', 'file' or 'console'
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'AI Tutor <no-reply@localhost>',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+    fileDirectory:
+      process.env.MAIL_FILE_DIR || path.join(__dirname, '../../data/mail'),
+  },
+  // Conversation context window management
+  context: {
+    // Upper bound on history tokens sent per request, to control cost
+    maxHistoryTokens: parseInt(process.env.CONTEXT_MAX_HISTORY_TOKENS, 10) || 4000,
+    // Always keep at least this many recent messages verbatim
+    minRecentMessages: parseInt(process.env.CONTEXT_MIN_RECENT_MESSAGES, 10) || 4,
+    maxSummaryTokens: parseInt(process.env.CONTEXT_MAX_SUMMARY_TOKENS, 10) || 400,
+    // Context window assumed for models we don't know (e.g. local models)
+    defaultContextLimit: parseInt(process.env.CONTEXT_DEFAULT_LIMIT, 10) || 8192,
+  },
+  // Declarative agent flow definitions (see src/flows)
+  flows: {
+    directory: process.env.FLOWS_DIR || path.join(__dirname, '../flows'),
+    default: process.env.DEFAULT_FLOW || 'tutor-v0.5',
+  },
+  // Quizzes generated from tutor sessions
+  quiz: {
+    defaultQuestionCount: parseInt(process.env.QUIZ_DEFAULT_QUESTIONS, 10) || 5,
+    maxQuestionCount: parseInt(process.env.QUIZ_MAX_QUESTIONS, 10) || 20,
+    // Transcript tokens included in the generation prompt
+    maxTranscriptTokens:
+      parseInt(process.env.QUIZ_MAX_TRANSCRIPT_TOKENS, 10) || 3000,
+  },
+  // Spaced-repetition flashcards
+  study: {
+    // Extract flashcards when a session ends, unless the request opts out
+    autoExtractCards: process.env.STUDY_AUTO_EXTRACT_CARDS === 'true' || false,
+    maxCardsPerSession: parseInt(process.env.STUDY_MAX_CARDS_PER_SESSION, 10) || 10,
+  },
+  // Generated session titles and end-of-session summaries
+  summaries: {
+    // Title a session after its first exchange
+    autoTitle: process.env.SESSION_AUTO_TITLE !== 'false',
+    // Summarise a session when it ends, unless the request opts out
+    autoSummarize: process.env.SESSION_AUTO_SUMMARY !== 'false',
+    maxTranscriptTokens:
+      parseInt(process.env.SESSION_SUMMARY_MAX_TRANSCRIPT_TOKENS, 10) || 3000,
+  },
+  // Session transcript exports
+  export: {
+    // TrueType fonts for PDFs; the built-in Helvetica only covers Latin text
+    pdfFont: process.env.EXPORT_PDF_FONT,
+    pdfBoldFont: process.env.EXPORT_PDF_BOLD_FONT,
   },
   logLevel: process.env.LOG_LEVEL || 'info',
   corsOrigin: parseCorsOrigins(process.env.CORS_ORIGIN) || [
@@ -41,6 +166,9 @@ const config = {
   // Feature flags
   features: {
     useLangChain: process.env.USE_LANGCHAIN === 'true' || false,
+    // Refuse logins until the user has confirmed their email address
+    requireEmailVerification:
+      process.env.REQUIRE_EMAIL_VERIFICATION === 'true' || false,
   },
 };
 
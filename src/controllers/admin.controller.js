@@ -0,0 +1,373 @@
+/**
+ * @module AdminController
+ * @description Controller handling user management by admins. Every change is recorded in the audit log.
+ */
+
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { APIError } from '../middleware/error.js';
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+import tokenService from '../services/token.service.js';
+import mailService from '../services/mail/mail.service.js';
+import auditService from '../services/audit.service.js';
+import twoFactorService from '../services/two-factor.service.js';
+import loginThrottleService from '../services/login-throttle.service.js';
+import { pageQuery, toPage } from '../utils/pagination.js';
+
+const User = db.User;
+
+/**
+ * Find a user by the `:id` route parameter
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - The User instance
+ * @throws {APIError} - If the user does not exist
+ */
+const findUser = async (req) => {
+  const user = await User.findByPk(req.params.id, {
+    attributes: { exclude: ['password'] },
+  });
+
+  if (!user) {
+    throw new APIError('User not found', 404);
+  }
+
+  return user;
+};
+
+/**
+ * List and search users, oldest first
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getUsers = async (req, res, next) => {
+  try {
+    const { q, role, active, limit, cursor } = req.query;
+
+    const where = {};
+    if (q) {
+      where[Op.or] = [
+        { name: { [Op.like]: `%${q}%` } },
+        { email: { [Op.like]: `%${q}%` } },
+      ];
+    }
+    if (role) {
+      where.role = role;
+    }
+    if (active !== undefined) {
+      where.active = active;
+    }
+
+    const page = pageQuery({ cursor, limit, order: 'asc' });
+    const rows = await User.findAll({
+      ...page,
+      where: { [Op.and]: [where, page.where] },
+      attributes: { exclude: ['password'] },
+    });
+    const { items: users, pagination } = toPage(rows, { limit });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users,
+      pagination,
+    });
+  } catch (error) {
+    logger.error(`Admin get users error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a single user
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getUser = async (req, res, next) => {
+  try {
+    const user = await findUser(req);
+    const lockedUntil = await loginThrottleService.getLockedUntil(user.email);
+
+    res.status(200).json({
+      success: true,
+      data: { ...user.toJSON(), lockedUntil },
+    });
+  } catch (error) {
+    logger.error(`Admin get user error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const user = await findUser(req);
+
+    // Keep at least the acting admin able to undo mistakes
+    if (user.id === req.user.id) {
+      throw new APIError('You cannot change your own role', 400);
+    }
+
+    const from = user.role;
+    if (from !== role) {
+      user.role = role;
+      await user.save();
+      await auditService.record(
+        req,
+        'user.role_changed',
+        { type: 'user', id: user.id },
+        { from, to: role },
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    logger.error(`Admin update role error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Activate or deactivate a user. Deactivating also signs them out everywhere.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateUserStatus = async (req, res, next) => {
+  try {
+    const { active } = req.body;
+    const user = await findUser(req);
+
+    if (user.id === req.user.id) {
+      throw new APIError('You cannot change your own account status', 400);
+    }
+
+    if (user.active !== active) {
+      user.active = active;
+      await user.save();
+
+      if (!active) {
+        await tokenService.revokeAllForUser(user.id);
+      }
+
+      await auditService.record(
+        req,
+        active ? 'user.activated' : 'user.deactivated',
+        { type: 'user', id: user.id },
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    logger.error(`Admin update status error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Sign a user out everywhere by revoking all of their tokens
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const logoutUser = async (req, res, next) => {
+  try {
+    const user = await findUser(req);
+
+    await tokenService.revokeAllForUser(user.id);
+    await auditService.record(req, 'user.logged_out', {
+      type: 'user',
+      id: user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User has been signed out of all sessions',
+    });
+  } catch (error) {
+    logger.error(`Admin logout user error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Reset a user's password: set a new one if given, otherwise email them a
+ * reset link. Either way the user is signed out everywhere.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resetUserPassword = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      throw new APIError('User not found', 404);
+    }
+
+    let message;
+    if (password) {
+      // The beforeUpdate hook hashes the new password
+      user.password = password;
+      await user.save();
+      message = 'Password has been set';
+    } else {
+      const token = await tokenService.issueAccountToken(
+        user,
+        'password_reset',
+        config.passwordResetExpirationInMinutes,
+      );
+
+      try {
+        await mailService.sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        logger.error(`Password reset email failed: ${mailError.message}`);
+        throw new APIError('Could not send the password reset email', 502);
+      }
+      message = 'A password reset link has been sent to the user';
+    }
+
+    await tokenService.revokeAllForUser(user.id);
+    await auditService.record(
+      req,
+      password ? 'user.password_set' : 'user.password_reset_sent',
+      { type: 'user', id: user.id },
+    );
+
+    res.status(200).json({
+      success: true,
+      message,
+    });
+  } catch (error) {
+    logger.error(`Admin reset password error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Unlock an account that was locked after repeated failed logins
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await findUser(req);
+
+    const wasLocked = await loginThrottleService.unlock(user.email);
+    if (wasLocked) {
+      await auditService.record(req, 'user.unlocked', {
+        type: 'user',
+        id: user.id,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: wasLocked
+        ? 'Account unlocked'
+        : 'Account was not locked; failed login attempts have been cleared',
+    });
+  } catch (error) {
+    logger.error(`Admin unlock user error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Turn off a user's two-factor authentication, for when they have lost both
+ * their authenticator and their recovery codes. The user is signed out
+ * everywhere.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resetUserTwoFactor = async (req, res, next) => {
+  try {
+    const user = await findUser(req);
+
+    if (!user.twoFactorEnabled) {
+      throw new APIError('Two-factor authentication is not enabled', 400);
+    }
+
+    await twoFactorService.disable(user);
+    await tokenService.revokeAllForUser(user.id);
+    await auditService.record(req, 'user.two_factor_reset', {
+      type: 'user',
+      id: user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication has been reset for the user',
+    });
+  } catch (error) {
+    logger.error(`Admin reset two-factor error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List audit log entries, newest first
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const { action, actorId, targetType, targetId, limit, cursor } =
+      req.query;
+
+    const { items: entries, pagination } = await auditService.list(
+      { action, actorId, targetType, targetId },
+      { cursor, limit },
+    );
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+      pagination,
+    });
+  } catch (error) {
+    logger.error(`Admin get audit logs error: ${error.message}`);
+    next(error);
+  }
+};
+
+export {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  logoutUser,
+  resetUserPassword,
+  unlockUser,
+  resetUserTwoFactor,
+  getAuditLogs,
+};
@@ -0,0 +1,112 @@
+/**
+ * @module ApiKeyController
+ * @description Controller letting users manage personal API keys for scripts
+ * and integrations
+ */
+
+import { APIError } from '../middleware/error.js';
+import logger from '../utils/logger.js';
+import apiKeyService, { API_KEY_SCOPES } from '../services/api-key.service.js';
+import auditService from '../services/audit.service.js';
+
+/**
+ * Create an API key. The key itself is only returned in this response.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { apiKey, key } = await apiKeyService.create(req.user.id, {
+      name,
+      scopes,
+      expiresAt,
+    });
+
+    await auditService.record(
+      req,
+      'api_key.created',
+      { type: 'api_key', id: apiKey.id },
+      { prefix: apiKey.prefix, scopes: apiKey.scopes },
+    );
+
+    const { keyHash, ...data } = apiKey.toJSON();
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy the key now; it will not be shown again',
+      data: { ...data, key },
+    });
+  } catch (error) {
+    logger.error(`Create API key error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List the current user's API keys, and the scopes a key can have
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.list(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      scopes: API_KEY_SCOPES,
+      data: apiKeys,
+    });
+  } catch (error) {
+    logger.error(`Get API keys error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's API keys
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.user.id, req.params.id);
+
+    if (!apiKey) {
+      throw new APIError('API key not found', 404);
+    }
+
+    await auditService.record(
+      req,
+      'api_key.revoked',
+      { type: 'api_key', id: apiKey.id },
+      { prefix: apiKey.prefix },
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+    });
+  } catch (error) {
+    logger.error(`Revoke API key error: ${error.message}`);
+    next(error);
+  }
+};
+
+export {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,244 @@
+/**
+ * @module AssignmentController
+ * @description Controller handling classroom assignments, the tutor sessions students do them in and progress reports
+ */
+
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import assignmentService from '../services/assignment.service.js';
+import classroomService from '../services/classroom.service.js';
+
+const Assignment = db.Assignment;
+const AssignmentProgress = db.AssignmentProgress;
+
+/**
+ * Create an assignment in a classroom
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createAssignment = async (req, res, next) => {
+  try {
+    const assignment = await Assignment.create({
+      ...req.body,
+      classroomId: req.classroom.id,
+    });
+
+    logger.info(
+      `Assignment ${assignment.id} created in classroom: ${req.classroom.id}`,
+    );
+
+    res.status(201).json({
+      success: true,
+      data: assignment,
+    });
+  } catch (error) {
+    logger.error(`Create assignment error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List a classroom's assignments, soonest due first. Students also get their own progress.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getAssignments = async (req, res, next) => {
+  try {
+    const isTeacher = classroomService.isTeacher(req.user, req.classroom);
+
+    const assignments = await Assignment.findAll({
+      where: { classroomId: req.classroom.id },
+      include: isTeacher
+        ? []
+        : [
+            {
+              model: AssignmentProgress,
+              where: { userId: req.user.id },
+              required: false,
+            },
+          ],
+      order: [
+        ['dueAt', 'ASC'],
+        ['createdAt', 'DESC'],
+      ],
+    });
+
+    const data = assignments.map((assignment) => {
+      const { AssignmentProgresses, ...fields } = assignment.toJSON();
+      return isTeacher
+        ? fields
+        : { ...fields, progress: AssignmentProgresses?.[0] || null };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    logger.error(`Get assignments error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get an assignment loaded by the canViewAssignment policy
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getAssignment = async (req, res, next) => {
+  try {
+    const { Classroom, ...data } = req.assignment.toJSON();
+
+    if (!classroomService.isTeacher(req.user, req.classroom)) {
+      data.progress = await AssignmentProgress.findOne({
+        where: { assignmentId: req.assignment.id, userId: req.user.id },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    logger.error(`Get assignment error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Update an assignment
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateAssignment = async (req, res, next) => {
+  try {
+    await req.assignment.update(req.body);
+
+    const { Classroom, ...data } = req.assignment.toJSON();
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    logger.error(`Update assignment error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete an assignment. Sessions started from it are kept.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteAssignment = async (req, res, next) => {
+  try {
+    await req.assignment.destroy();
+
+    logger.info(`Assignment deleted: ${req.assignment.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment deleted',
+    });
+  } catch (error) {
+    logger.error(`Delete assignment error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Start a tutor session for the current student on an assignment
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const startAssignment = async (req, res, next) => {
+  try {
+    const session = await assignmentService.startSession(
+      req.assignment,
+      req.user.id,
+    );
+
+    res.status(201).json({
+      success: true,
+      data: session,
+    });
+  } catch (error) {
+    logger.error(`Start assignment error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Mark an assignment completed for the current student
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const completeAssignment = async (req, res, next) => {
+  try {
+    const progress = await assignmentService.complete(
+      req.assignment,
+      req.user.id,
+    );
+
+    res.status(200).json({
+      success: true,
+      data: progress,
+    });
+  } catch (error) {
+    logger.error(`Complete assignment error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Report which enrolled students started and finished an assignment, and their time spent
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getAssignmentReport = async (req, res, next) => {
+  try {
+    const report = await assignmentService.getReport(req.assignment);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        assignmentId: req.assignment.id,
+        title: req.assignment.title,
+        dueAt: req.assignment.dueAt,
+        ...report,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get assignment report error: ${error.message}`);
+    next(error);
+  }
+};
+
+export {
+  createAssignment,
+  getAssignments,
+  getAssignment,
+  updateAssignment,
+  deleteAssignment,
+  startAssignment,
+  completeAssignment,
+  getAssignmentReport,
+};
@@ -3,14 +3,22 @@
  * @description Authentication controller handling user registration, login and profile management
  */
 
+import bcrypt from 'bcrypt';
 import db from '../models/index.js';
 import { APIError } from '../middleware/error.js';
 import logger from '../utils/logger.js';
-import jwt from 'jsonwebtoken';
 import config from '../config/config.js';
+import tokenService from '../services/token.service.js';
+import mailService from '../services/mail/mail.service.js';
+import accountService from '../services/account.service.js';
+import auditService from '../services/audit.service.js';
+import twoFactorService from '../services/two-factor.service.js';
+import loginThrottleService from '../services/login-throttle.service.js';
 
 const User = db.User;
-const BlacklistedToken = db.BlacklistedToken;
+
+// Compared against when the email is unknown, at the cost used for real hashes
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
 
 /**
  * Register a new user
@@ -23,21 +31,6 @@ const register = async (req, res, next) => {
   try {
     const { name, email, password } = req.body;
 
-    // Input validation
-    if (!name || !email || !password) {
-      throw new APIError('Please provide name, email and password', 400);
-    }
-
-    if (password.length < 6) {
-      throw new APIError('Password must be at least 6 characters long', 400);
-    }
-
-    // Email format validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      throw new APIError('Please provide a valid email address', 400);
-    }
-
     // Check if user already exists
     const userExists = await User.findOne({ where: { email } });
     if (userExists) {
@@ -51,11 +44,32 @@ const register = async (req, res, next) => {
       password,
     });
 
-    // Generate token
-    const token = user.generateToken();
+    // Ask the user to confirm their email address
+    await sendVerificationEmail(user);
 
     logger.info(`User registered successfully: ${email}`);
 
+    // Unverified users cannot log in when verification is required
+    if (config.features.requireEmailVerification) {
+      return res.status(201).json({
+        success: true,
+        message: 'Registration successful. Please verify your email address.',
+        data: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+        },
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await tokenService.startLoginSession(
+      user,
+      clientInfo(req),
+    );
+
     res.status(201).json({
       success: true,
       data: {
@@ -63,7 +77,9 @@ const register = async (req, res, next) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -83,40 +99,119 @@ const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Input validation
-    if (!email || !password) {
-      throw new APIError('Please provide email and password', 400);
-    }
+    // Refuse attempts while the account or IP address is locked out, and
+    // count this one until the password is known to be right
+    await loginThrottleService.beginAttempt(email, req.ip);
 
-    // Check if user exists
     const user = await User.findOne({ where: { email } });
-    if (!user) {
-      throw new APIError('Invalid credentials', 401);
+
+    // Unknown emails are checked against a dummy hash so that they take as
+    // long as a wrong password and do not reveal which addresses have accounts
+    let isMatch = false;
+    if (user) {
+      isMatch = await user.validPassword(password);
+    } else {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
     }
 
-    // Check if password is correct
-    const isMatch = await user.validPassword(password);
     if (!isMatch) {
-      // Add a short delay to prevent timing attacks
+      await loginThrottleService.recordFailure(email, req.ip);
+
+      // Add a short delay to slow down guessing
       await new Promise((resolve) =>
         setTimeout(resolve, 1000 + Math.random() * 500),
       );
       throw new APIError('Invalid credentials', 401);
     }
 
+    await loginThrottleService.releaseAttempt(email, req.ip);
+
     // Check if user is active
     if (!user.active) {
       throw new APIError('Your account has been deactivated', 403);
     }
 
-    // Update last login time
-    user.lastLogin = new Date();
-    await user.save();
+    // Optionally refuse accounts that have not confirmed their email
+    if (config.features.requireEmailVerification && !user.emailVerified) {
+      throw new APIError(
+        'Please verify your email address before logging in',
+        403,
+      );
+    }
+
+    // The password is only the first step for two-factor users
+    if (user.twoFactorEnabled) {
+      logger.info(`Two-factor challenge issued: ${email}`);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await twoFactorService.issueChallenge(user),
+        },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await signIn(user, req),
+    });
+  } catch (error) {
+    logger.error(`Login error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Second login step for two-factor users: exchange the challenge token from
+ * `login` and an authenticator or recovery code for access tokens
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await twoFactorService.completeChallenge(
+      challengeToken,
+      { code, recoveryCode },
+      req.ip,
+    );
+
+    const data = await signIn(user, req);
+    if (recoveryCode) {
+      data.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+    }
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    logger.error(`Two-factor verify error: ${error.message}`);
+    next(error);
+  }
+};
 
-    // Generate token
-    const token = user.generateToken();
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { user, ...tokens } = await tokenService.rotateRefreshToken(
+      refreshToken,
+      clientInfo(req),
+    );
 
-    logger.info(`User logged in: ${email}`);
+    logger.info(`Token refreshed for user ID: ${user.id}`);
 
     res.status(200).json({
       success: true,
@@ -125,11 +220,146 @@ const login = async (req, res, next) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        token,
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
       },
     });
   } catch (error) {
-    logger.error(`Login error: ${error.message}`);
+    logger.error(`Refresh token error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Request a password reset email. Always responds the same way so the
+ * endpoint cannot be used to discover registered addresses.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ where: { email } });
+
+    if (user && user.active) {
+      const token = await tokenService.issueAccountToken(
+        user,
+        'password_reset',
+        config.passwordResetExpirationInMinutes,
+      );
+
+      try {
+        await mailService.sendPasswordResetEmail(user, token);
+        logger.info(`Password reset requested for user ID: ${user.id}`);
+      } catch (mailError) {
+        logger.error(`Password reset email failed: ${mailError.message}`);
+      }
+    } else {
+      logger.debug(`Password reset requested for unknown email: ${email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message:
+        'If an account exists for that email, a password reset link has been sent',
+    });
+  } catch (error) {
+    logger.error(`Forgot password error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Reset a password using a token from a password reset email
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await tokenService.consumeAccountToken(token, 'password_reset');
+
+    // The beforeUpdate hook hashes the new password
+    user.password = password;
+    await user.save();
+
+    // Sign the user out everywhere else
+    await tokenService.revokeAllForUser(user.id);
+
+    logger.info(`Password reset for user ID: ${user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    logger.error(`Reset password error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Confirm a user's email address using the token from the verification email
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    const user = await tokenService.consumeAccountToken(
+      token,
+      'email_verification',
+    );
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    logger.info(`Email verified for user ID: ${user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified',
+    });
+  } catch (error) {
+    logger.error(`Verify email error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Send a new verification email. Responds the same way whether or not the
+ * address is registered.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ where: { email } });
+    if (user && user.active && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message:
+        'If an unverified account exists for that email, a verification link has been sent',
+    });
+  } catch (error) {
+    logger.error(`Resend verification error: ${error.message}`);
     next(error);
   }
 };
@@ -150,7 +380,7 @@ const getProfile = async (req, res, next) => {
     }
 
     const user = await User.findByPk(userId, {
-      attributes: { exclude: ['password'] },
+      attributes: { exclude: ['password', 'tokenVersion'] },
     });
 
     if (!user) {
@@ -170,7 +400,167 @@ const getProfile = async (req, res, next) => {
 };
 
 /**
- * Log out a user by invalidating their token
+ * Update the current user's name and email. A new email address must be
+ * verified again.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateProfile = async (req, res, next) => {
+  try {
+    const { name, email, currentPassword } = req.body;
+
+    const user = await User.findByPk(req.user.id);
+
+    if (name !== undefined) {
+      user.name = name;
+    }
+
+    const previousEmail = user.email;
+    const emailChanged = email !== undefined && email !== previousEmail;
+    if (emailChanged) {
+      // A new email allows a password reset, so it needs the password too
+      if (!(await user.validPassword(currentPassword))) {
+        throw new APIError('Current password is incorrect', 401);
+      }
+
+      const userExists = await User.findOne({ where: { email } });
+      if (userExists) {
+        throw new APIError('User with that email already exists', 400);
+      }
+
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      await sendVerificationEmail(user);
+      await sendEmailChangedEmail(user, previousEmail);
+      logger.info(`Email changed for user ID: ${user.id}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailChanged
+        ? 'Profile updated. Please verify your new email address.'
+        : 'Profile updated',
+      data: user,
+    });
+  } catch (error) {
+    logger.error(`Update profile error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Change the current user's password. All other sessions are signed out and
+ * fresh tokens are returned for this one.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findByPk(req.user.id);
+
+    if (!(await user.validPassword(currentPassword))) {
+      throw new APIError('Current password is incorrect', 401);
+    }
+
+    // The beforeUpdate hook hashes the new password
+    user.password = newPassword;
+    await user.save();
+
+    await tokenService.revokeAllForUser(user.id);
+
+    // Start a new login session for this device with the new token version
+    await user.reload();
+    const { token, refreshToken } = await tokenService.startLoginSession(
+      user,
+      clientInfo(req),
+    );
+
+    logger.info(`Password changed for user ID: ${user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed. Other sessions have been signed out.',
+      data: { token, refreshToken },
+    });
+  } catch (error) {
+    logger.error(`Change password error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete the current user's account and all of their data
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteAccount = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findByPk(req.user.id);
+
+    if (!(await user.validPassword(password))) {
+      throw new APIError('Password is incorrect', 401);
+    }
+
+    await accountService.deleteAccount(user);
+    await auditService.record(req, 'user.deleted', {
+      type: 'user',
+      id: user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account and all of its data have been deleted',
+    });
+  } catch (error) {
+    logger.error(`Delete account error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Download everything stored about the current user as a JSON file
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const exportAccount = async (req, res, next) => {
+  try {
+    const data = await accountService.exportData(req.user.id);
+    const date = data.exportedAt.slice(0, 10);
+
+    logger.info(`Data export for user ID: ${req.user.id}`);
+
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="tutor-export-${req.user.id}-${date}.json"`,
+    );
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error(`Export account error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Log out a user by revoking the login session of the token presented, along
+ * with its refresh tokens
  * @async
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -178,46 +568,345 @@ const getProfile = async (req, res, next) => {
  */
 const logout = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
+    await tokenService.revokeLoginSession(req.user.id, req.user.jti);
+
+    logger.info(`User logged out: ID ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    logger.error(`Logout error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List the current user's active login sessions
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getLoginSessions = async (req, res, next) => {
+  try {
+    const sessions = await tokenService.listLoginSessions(req.user.id);
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      throw new APIError('No token provided', 400);
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: session.id === req.user.jti,
+      })),
+    });
+  } catch (error) {
+    logger.error(`Get login sessions error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Sign out one of the current user's login sessions, e.g. a lost device
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revokeLoginSession = async (req, res, next) => {
+  try {
+    const revoked = await tokenService.revokeLoginSession(
+      req.user.id,
+      req.params.id,
+    );
+
+    if (!revoked) {
+      throw new APIError('Login session not found', 404);
     }
 
-    const token = authHeader.split(' ')[1];
-    const userId = req.user.id;
+    res.status(200).json({
+      success: true,
+      message:
+        req.params.id === req.user.jti
+          ? 'Logged out successfully'
+          : 'Login session revoked',
+    });
+  } catch (error) {
+    logger.error(`Revoke login session error: ${error.message}`);
+    next(error);
+  }
+};
 
-    try {
-      // Decode token to get expiration time
-      const decoded = jwt.verify(token, config.jwtSecret);
+/**
+ * Sign out every login session of the current user except this one
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revokeOtherLoginSessions = async (req, res, next) => {
+  try {
+    const count = await tokenService.revokeOtherLoginSessions(
+      req.user.id,
+      req.user.jti,
+    );
 
-      // Add token to blacklist
-      await BlacklistedToken.create({
-        token,
-        userId,
-        expiresAt: new Date(decoded.exp * 1000), // Convert Unix timestamp to Date
-      });
+    res.status(200).json({
+      success: true,
+      message: `${count} other login session${count === 1 ? '' : 's'} revoked`,
+      data: { revoked: count },
+    });
+  } catch (error) {
+    logger.error(`Revoke other login sessions error: ${error.message}`);
+    next(error);
+  }
+};
 
-      logger.info(`User logged out: ID ${userId}`);
+/**
+ * Start two-factor enrollment. Returns the secret and an otpauth:// URI to
+ * show as a QR code; nothing changes at login until it is enabled.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const { secret, otpauthUrl } = await twoFactorService.setup(user);
 
-      res.status(200).json({
-        success: true,
-        message: 'Logged out successfully',
-      });
-    } catch (err) {
-      // If token is invalid, still return success since user will be logged out
-      logger.warn(
-        `Invalid token during logout for user ID: ${userId}, Error: ${err.message}`,
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code, then confirm with a code from your app',
+      data: { secret, otpauthUrl },
+    });
+  } catch (error) {
+    logger.error(`Two-factor setup error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Enable two-factor authentication by confirming a code from the
+ * authenticator app. Returns the recovery codes, which are not shown again.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findByPk(req.user.id);
+    const recoveryCodes = await twoFactorService.enable(user, code);
+
+    await auditService.record(req, 'user.two_factor_enabled', {
+      type: 'user',
+      id: user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        'Two-factor authentication enabled. Store your recovery codes safely.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    logger.error(`Two-factor enable error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication. Requires the password and a current
+ * authenticator or recovery code.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      throw new APIError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (twoFactorService.isRequiredFor(user)) {
+      throw new APIError(
+        'Two-factor authentication is required for your role',
+        400,
       );
-      res.status(200).json({
-        success: true,
-        message: 'Logged out successfully',
-      });
     }
+
+    if (!(await user.validPassword(password))) {
+      throw new APIError('Password is incorrect', 401);
+    }
+
+    if (!(await twoFactorService.verify(user, { code, recoveryCode }))) {
+      throw new APIError('Invalid authentication code', 401);
+    }
+
+    await twoFactorService.disable(user);
+    await auditService.record(req, 'user.two_factor_disabled', {
+      type: 'user',
+      id: user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
   } catch (error) {
-    logger.error(`Logout error: ${error.message}`);
+    logger.error(`Two-factor disable error: ${error.message}`);
     next(error);
   }
 };
 
-export { register, login, getProfile, logout };
+/**
+ * Replace the current user's recovery codes. Requires a current
+ * authenticator code.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      throw new APIError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (!(await twoFactorService.verify(user, { code }))) {
+      throw new APIError('Invalid authentication code', 401);
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. The old codes no longer work.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    logger.error(`Regenerate recovery codes error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Complete a login: record it and start a login session for the device
+ * @async
+ * @param {Object} user - The user model instance
+ * @param {Object} req - Express request object, for the device details
+ * @returns {Promise<Object>} - Response data with the user and tokens
+ */
+const signIn = async (user, req) => {
+  await loginThrottleService.reset(user.email);
+
+  // Update last login time
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await tokenService.startLoginSession(
+    user,
+    clientInfo(req),
+  );
+
+  logger.info(`User logged in: ${user.email}`);
+
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    token,
+    refreshToken,
+    // Set when the user's role requires two-factor and it is not enabled:
+    // only the enrollment routes accept these tokens until it is
+    twoFactorSetupRequired:
+      !user.twoFactorEnabled && twoFactorService.isRequiredFor(user),
+  };
+};
+
+/**
+ * Details of the device making a request, recorded on its login session
+ * @param {Object} req - Express request object
+ * @returns {Object} - `{ userAgent, ip }`
+ */
+const clientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+});
+
+/**
+ * Issue an email verification token and email it to the user.
+ * Mail failures are logged rather than failing the request.
+ * @async
+ * @param {Object} user - The user model instance
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await tokenService.issueAccountToken(
+      user,
+      'email_verification',
+      config.emailVerificationExpirationInHours * 60,
+    );
+    await mailService.sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error(
+      `Verification email failed for user ID ${user.id}: ${error.message}`,
+    );
+  }
+};
+
+/**
+ * Tell the previous address about an email change. Failures are logged and do
+ * not undo the change.
+ * @async
+ * @param {Object} user - The user model instance, with the new email
+ * @param {string} previousEmail - The address the account had before
+ */
+const sendEmailChangedEmail = async (user, previousEmail) => {
+  try {
+    await mailService.sendEmailChangedEmail(user, previousEmail);
+  } catch (error) {
+    logger.error(
+      `Email change notice failed for user ID ${user.id}: ${error.message}`,
+    );
+  }
+};
+
+export {
+  register,
+  login,
+  verifyTwoFactor,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  exportAccount,
+  logout,
+  getLoginSessions,
+  revokeLoginSession,
+  revokeOtherLoginSessions,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,258 @@
+/**
+ * @module ClassroomController
+ * @description Controller handling classrooms, enrollment by join code and teachers' view of their students
+ */
+
+import db from '../models/index.js';
+import { APIError } from '../middleware/error.js';
+import logger from '../utils/logger.js';
+import classroomService from '../services/classroom.service.js';
+
+const Classroom = db.Classroom;
+const Enrollment = db.Enrollment;
+const User = db.User;
+
+/**
+ * Classroom as returned to a user; only its teacher and admins see the join code
+ * @param {Object} classroom - The Classroom instance
+ * @param {Object} user - The authenticated user
+ * @returns {Object} - Public classroom fields
+ */
+const formatClassroom = (classroom, user) => {
+  const data = classroom.toJSON();
+  if (classroom.teacherId !== user.id && user.role !== 'admin') {
+    delete data.joinCode;
+  }
+  return data;
+};
+
+/**
+ * Create a classroom
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createClassroom = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const classroom = await classroomService.createClassroom(req.user.id, {
+      name,
+      description,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: classroom,
+    });
+  } catch (error) {
+    logger.error(`Create classroom error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List the classrooms the current user teaches or is enrolled in
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getClassrooms = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const include = [
+      { model: User, as: 'teacher', attributes: ['id', 'name'] },
+    ];
+    if (req.user.role === 'student') {
+      // Only classrooms with an enrollment for this student
+      include.push({ model: Enrollment, where: { userId }, attributes: [] });
+    }
+
+    const classrooms = await Classroom.findAll({
+      where: req.user.role === 'student' ? {} : { teacherId: userId },
+      include,
+      attributes: {
+        include: [
+          [
+            db.sequelize.literal(
+              '(SELECT COUNT(*) FROM Enrollments WHERE Enrollments.classroomId = Classroom.id)',
+            ),
+            'studentCount',
+          ],
+        ],
+      },
+      order: [['createdAt', 'DESC']],
+    });
+
+    res.status(200).json({
+      success: true,
+      count: classrooms.length,
+      data: classrooms.map((classroom) => formatClassroom(classroom, req.user)),
+    });
+  } catch (error) {
+    logger.error(`Get classrooms error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a classroom loaded by the canViewClassroom policy
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getClassroom = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: formatClassroom(req.classroom, req.user),
+    });
+  } catch (error) {
+    logger.error(`Get classroom error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Join a classroom with its join code
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const joinClassroom = async (req, res, next) => {
+  try {
+    const { joinCode } = req.body;
+
+    const { classroom, created } = await classroomService.join(
+      req.user.id,
+      joinCode,
+    );
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created
+        ? 'Joined classroom'
+        : 'Already enrolled in this classroom',
+      data: formatClassroom(classroom, req.user),
+    });
+  } catch (error) {
+    logger.error(`Join classroom error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Leave a classroom the current user is enrolled in
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const leaveClassroom = async (req, res, next) => {
+  try {
+    const removed = await Enrollment.destroy({
+      where: { classroomId: req.classroom.id, userId: req.user.id },
+    });
+
+    if (!removed) {
+      throw new APIError('Not enrolled in this classroom', 400);
+    }
+
+    logger.info(`User ${req.user.id} left classroom: ${req.classroom.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Left classroom',
+    });
+  } catch (error) {
+    logger.error(`Leave classroom error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Replace a classroom's join code, e.g. after it was shared too widely
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const regenerateJoinCode = async (req, res, next) => {
+  try {
+    req.classroom.joinCode = await classroomService.generateJoinCode();
+    await req.classroom.save();
+
+    res.status(200).json({
+      success: true,
+      data: req.classroom,
+    });
+  } catch (error) {
+    logger.error(`Regenerate join code error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List the students enrolled in a classroom
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getStudents = async (req, res, next) => {
+  try {
+    const students = await classroomService.listStudents(req.classroom.id);
+
+    res.status(200).json({
+      success: true,
+      count: students.length,
+      data: students,
+    });
+  } catch (error) {
+    logger.error(`Get classroom students error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Remove a student from a classroom
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const removeStudent = async (req, res, next) => {
+  try {
+    await Enrollment.destroy({
+      where: { classroomId: req.classroom.id, userId: req.student.id },
+    });
+
+    logger.info(
+      `User ${req.student.id} removed from classroom: ${req.classroom.id}`,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Student removed from classroom',
+    });
+  } catch (error) {
+    logger.error(`Remove classroom student error: ${error.message}`);
+    next(error);
+  }
+};
+
+export {
+  createClassroom,
+  getClassrooms,
+  getClassroom,
+  joinClassroom,
+  leaveClassroom,
+  regenerateJoinCode,
+  getStudents,
+  removeStudent,
+};
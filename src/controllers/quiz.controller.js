@@ -0,0 +1,246 @@
+/**
+ * @module QuizController
+ * @description Controller handling quiz generation from tutor sessions and graded attempts
+ */
+
+import db from '../models/index.js';
+import { APIError } from '../middleware/error.js';
+import logger from '../utils/logger.js';
+import quizService from '../services/quiz.service.js';
+import learnerProfileService from '../services/learner-profile.service.js';
+
+const TutorSession = db.TutorSession;
+const Message = db.Message;
+const Quiz = db.Quiz;
+const QuizAttempt = db.QuizAttempt;
+
+/**
+ * Find a quiz in a session owned by the current user
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - The Quiz instance
+ * @throws {APIError} - If the quiz does not exist
+ */
+const findOwnQuiz = async (req) => {
+  const quiz = await Quiz.findOne({
+    where: {
+      id: req.params.quizId,
+      sessionId: req.params.id,
+      userId: req.user.id,
+    },
+  });
+
+  if (!quiz) {
+    throw new APIError('Quiz not found', 404);
+  }
+
+  return quiz;
+};
+
+/**
+ * Quiz as returned to the student, without answers
+ * @param {Object} quiz - The Quiz instance
+ * @returns {Object} - Public quiz fields
+ */
+const formatQuiz = (quiz) => ({
+  id: quiz.id,
+  title: quiz.title,
+  subject: quiz.subject,
+  difficulty: quiz.difficulty,
+  sessionId: quiz.sessionId,
+  questionCount: quiz.questions.length,
+  questions: quizService.toStudentQuestions(quiz.questions),
+  createdAt: quiz.createdAt,
+});
+
+/**
+ * Generate a quiz from a session's transcript
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createQuiz = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { questionCount, types, difficulty, topic } = req.body;
+
+    const session = await TutorSession.findOne({
+      where: { id, userId },
+    });
+
+    if (!session) {
+      throw new APIError('Session not found', 404);
+    }
+
+    const messages = await Message.findAll({
+      where: { sessionId: id, supersededById: null },
+      order: [['createdAt', 'ASC']],
+    });
+
+    const generated = await quizService.generateQuiz(session, messages, {
+      questionCount,
+      types,
+      difficulty,
+      topic,
+    });
+
+    const quiz = await Quiz.create({
+      title: generated.title,
+      subject: session.subject,
+      difficulty,
+      questions: generated.questions,
+      sessionId: id,
+      userId,
+    });
+
+    logger.info(
+      `Quiz ${quiz.id} generated with ${quiz.questions.length} questions for session: ${id}`,
+    );
+
+    res.status(201).json({
+      success: true,
+      data: formatQuiz(quiz),
+    });
+  } catch (error) {
+    logger.error(`Create quiz error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List the quizzes generated for a session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getQuizzes = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const session = await TutorSession.findOne({
+      where: { id, userId },
+    });
+
+    if (!session) {
+      throw new APIError('Session not found', 404);
+    }
+
+    const quizzes = await Quiz.findAll({
+      where: { sessionId: id, userId },
+      order: [['createdAt', 'DESC']],
+    });
+
+    res.status(200).json({
+      success: true,
+      count: quizzes.length,
+      data: quizzes.map(formatQuiz),
+    });
+  } catch (error) {
+    logger.error(`Get quizzes error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a quiz without its answers
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getQuiz = async (req, res, next) => {
+  try {
+    const quiz = await findOwnQuiz(req);
+
+    res.status(200).json({
+      success: true,
+      data: formatQuiz(quiz),
+    });
+  } catch (error) {
+    logger.error(`Get quiz error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Submit answers to a quiz, grade them and store the attempt
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const submitAttempt = async (req, res, next) => {
+  try {
+    const { answers } = req.body;
+
+    const quiz = await findOwnQuiz(req);
+
+    const { results, score, maxScore } = quizService.grade(
+      quiz.questions,
+      answers,
+    );
+
+    const attempt = await QuizAttempt.create({
+      quizId: quiz.id,
+      userId: req.user.id,
+      answers,
+      results,
+      score,
+      maxScore,
+    });
+
+    // Feed the results into the student's mastery estimates
+    await learnerProfileService.recordQuizAttempt(req.user.id, quiz, results);
+
+    logger.info(
+      `Quiz attempt ${attempt.id} scored ${score}/${maxScore} on quiz: ${quiz.id}`,
+    );
+
+    res.status(201).json({
+      success: true,
+      data: attempt,
+    });
+  } catch (error) {
+    logger.error(`Submit quiz attempt error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List the current user's attempts at a quiz
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getAttempts = async (req, res, next) => {
+  try {
+    const quiz = await findOwnQuiz(req);
+
+    const attempts = await QuizAttempt.findAll({
+      where: { quizId: quiz.id, userId: req.user.id },
+      order: [['createdAt', 'DESC']],
+    });
+
+    res.status(200).json({
+      success: true,
+      count: attempts.length,
+      data: attempts,
+    });
+  } catch (error) {
+    logger.error(`Get quiz attempts error: ${error.message}`);
+    next(error);
+  }
+};
+
+export {
+  createQuiz,
+  getQuizzes,
+  getQuiz,
+  submitAttempt,
+  getAttempts,
+};
@@ -0,0 +1,34 @@
+/**
+ * @module SearchController
+ * @description Controller handling full-text search across a user's tutoring
+ * history
+ */
+
+import logger from '../utils/logger.js';
+import searchService from '../services/search.service.js';
+
+/**
+ * Search the current user's messages and session titles
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const searchHistory = async (req, res, next) => {
+  try {
+    const results = await searchService.search(req.user.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      data: results,
+    });
+  } catch (error) {
+    logger.error(`Search error: ${error.message}`);
+    next(error);
+  }
+};
+
+export {
+  searchHistory,
+};
@@ -0,0 +1,204 @@
+/**
+ * @module StudyController
+ * @description Controller handling flashcard extraction and spaced-repetition reviews
+ */
+
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { APIError } from '../middleware/error.js';
+import logger from '../utils/logger.js';
+import studyService from '../services/study.service.js';
+import learnerProfileService from '../services/learner-profile.service.js';
+
+const TutorSession = db.TutorSession;
+const Flashcard = db.Flashcard;
+
+/**
+ * Extract flashcards from a session on demand
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const extractSessionCards = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const session = await TutorSession.findOne({
+      where: { id, userId },
+    });
+
+    if (!session) {
+      throw new APIError('Session not found', 404);
+    }
+
+    const cards = await studyService.extractCards(session);
+
+    res.status(201).json({
+      success: true,
+      count: cards.length,
+      data: cards,
+    });
+  } catch (error) {
+    logger.error(`Extract flashcards error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List the current user's flashcards, optionally for one session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getCards = async (req, res, next) => {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.sessionId) {
+      where.sessionId = req.query.sessionId;
+    }
+
+    const cards = await Flashcard.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+    });
+
+    res.status(200).json({
+      success: true,
+      count: cards.length,
+      data: cards,
+    });
+  } catch (error) {
+    logger.error(`Get flashcards error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List the current user's flashcards that are due for review, most overdue first
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getDueCards = async (req, res, next) => {
+  try {
+    const cards = await Flashcard.findAll({
+      where: {
+        userId: req.user.id,
+        dueAt: { [Op.lte]: new Date() },
+      },
+      order: [['dueAt', 'ASC']],
+      limit: req.query.limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: cards.length,
+      data: cards,
+    });
+  } catch (error) {
+    logger.error(`Get due flashcards error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Record a review of a flashcard and schedule the next one
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const reviewCard = async (req, res, next) => {
+  try {
+    const { grade } = req.body;
+
+    const card = await Flashcard.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!card) {
+      throw new APIError('Flashcard not found', 404);
+    }
+
+    await studyService.review(card, grade);
+
+    logger.debug(
+      `Flashcard ${card.id} reviewed with grade ${grade}, next due ${card.dueAt.toISOString()}`,
+    );
+
+    res.status(200).json({
+      success: true,
+      data: card,
+    });
+  } catch (error) {
+    logger.error(`Review flashcard error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's learner profile and topic mastery
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getLearnerProfile = async (req, res, next) => {
+  try {
+    const [profile, mastery] = await Promise.all([
+      learnerProfileService.getProfile(req.user.id),
+      learnerProfileService.getMastery(req.user.id, req.query.subject),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        preferredStyle: profile.preferredStyle,
+        misconceptions: profile.misconceptions,
+        mastery,
+      },
+    });
+  } catch (error) {
+    logger.error(`Get learner profile error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Update the current user's learner profile
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateLearnerProfile = async (req, res, next) => {
+  try {
+    const { preferredStyle } = req.body;
+
+    const profile = await learnerProfileService.setPreferredStyle(
+      req.user.id,
+      preferredStyle,
+    );
+
+    res.status(200).json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    logger.error(`Update learner profile error: ${error.message}`);
+    next(error);
+  }
+};
+
+export {
+  extractSessionCards,
+  getCards,
+  getDueCards,
+  reviewCard,
+  getLearnerProfile,
+  updateLearnerProfile,
+};
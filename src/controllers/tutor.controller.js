@@ -3,12 +3,22 @@
  * @description Controller handling tutor session management and message processing
  */
 
+import { Op } from 'sequelize';
 import db from '../models/index.js';
 import { APIError } from '../middleware/error.js';
 import logger from '../utils/logger.js';
 import config from '../config/config.js';
 import agentService from '../services/agent.service.js';
+import llmProviderService from '../services/llm-provider.service.js';
 import tutorAgentService from '../services/tutor-agent.service.js';
+import flowLoaderService from '../services/langchain/flow-loader.service.js';
+import checkpointService from '../services/checkpoint.service.js';
+import studyService from '../services/study.service.js';
+import learnerProfileService from '../services/learner-profile.service.js';
+import transcriptService from '../services/transcript.service.js';
+import sessionSummaryService from '../services/session-summary.service.js';
+import { openEventStream, wantsEventStream } from '../utils/sse.js';
+import { pageQuery, toPage } from '../utils/pagination.js';
 
 const TutorSession = db.TutorSession;
 const Message = db.Message;
@@ -22,19 +32,33 @@ const Message = db.Message;
  */
 const createSession = async (req, res, next) => {
   try {
-    const { subject } = req.body;
+    const { subject, llm, flow } = req.body;
     const userId = req.user.id;
 
-    // Input validation
-    if (!subject) {
-      throw new APIError('Subject is required', 400);
+    // Optional per-session LLM overrides
+    let llmSettings = null;
+    if (llm) {
+      llmSettings = {
+        provider: llm.provider,
+        model: llm.model,
+        temperature: llm.temperature,
+        maxTokens: llm.maxTokens,
+      };
+    }
+
+    // Optional agent flow, otherwise chosen by subject
+    if (flow && !flowLoaderService.hasFlow(flow)) {
+      throw new APIError(`Unknown agent flow: ${flow}`, 400);
     }
 
     // Create session
     const session = await TutorSession.create({
       subject,
       userId,
-      title: `${subject} Session`, // Provide a better default title
+      // Replaced by a generated title after the first exchange
+      title: `${subject} Session`,
+      llmSettings,
+      flowName: flow || null,
     });
 
     // Initialize agent state for the session
@@ -61,7 +85,8 @@ const createSession = async (req, res, next) => {
 };
 
 /**
- * Get all sessions for the current user
+ * Get a page of sessions for the current user, or for a student when viewed
+ * by their teacher, with optional filters
  * @async
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -69,29 +94,58 @@ const createSession = async (req, res, next) => {
  */
 const getSessions = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    // A teacher viewing a student's sessions gets req.student from the
+    // isEnrolledStudent policy
+    const userId = req.student ? req.student.id : req.user.id;
+    const { subject, status, from, to, sort, order, limit, cursor } =
+      req.query;
 
-    const sessions = await TutorSession.findAll({
-      where: { userId },
-      order: [['createdAt', 'DESC']],
-      attributes: {
-        include: [
-          [
-            db.sequelize.literal(
-              '(SELECT COUNT(*) FROM Messages WHERE Messages.sessionId = TutorSession.id)',
-            ),
-            'messageCount',
-          ],
-        ],
+    const filters = { userId };
+    if (subject) {
+      filters.subject = subject;
+    }
+    if (status) {
+      filters.endedAt = status === 'ended' ? { [Op.ne]: null } : null;
+    }
+    if (from || to) {
+      filters.createdAt = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to }),
+      };
+    }
+
+    const page = pageQuery({ cursor, limit, field: sort, order });
+    const rows = await TutorSession.findAll({
+      ...page,
+      where: { [Op.and]: [filters, page.where] },
+    });
+    const { items: sessions, pagination } = toPage(rows, {
+      limit,
+      field: sort,
+    });
+
+    // Count the active messages of the sessions on this page in one query
+    const counts = await Message.count({
+      where: {
+        sessionId: sessions.map((session) => session.id),
+        supersededById: null,
       },
+      group: ['sessionId'],
     });
+    const messageCounts = new Map(
+      counts.map(({ sessionId, count }) => [sessionId, count]),
+    );
 
     logger.debug(`Retrieved ${sessions.length} sessions for user: ${userId}`);
 
     res.status(200).json({
       success: true,
       count: sessions.length,
-      data: sessions,
+      data: sessions.map((session) => ({
+        ...session.toJSON(),
+        messageCount: messageCounts.get(session.id) || 0,
+      })),
+      pagination,
     });
   } catch (error) {
     logger.error(`Get sessions error: ${error.message}`);
@@ -100,7 +154,7 @@ const getSessions = async (req, res, next) => {
 };
 
 /**
- * Get a single session by ID
+ * Get a single session by ID, with a page of its active transcript
  * @async
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -110,31 +164,50 @@ const getSession = async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
+    const { alternates: includeAlternates, order, limit, cursor } = req.query;
 
-    // Input validation
-    if (!id) {
-      throw new APIError('Session ID is required', 400);
-    }
+    // Access (owner, admin or the student's teacher) is checked by the
+    // canViewSession policy
+    const session = req.tutorSession;
 
-    const session = await TutorSession.findOne({
-      where: { id, userId },
-      include: [
-        {
-          model: Message,
-          order: [['createdAt', 'ASC']],
-        },
-      ],
+    // Replaced messages are hidden, or nested under their replacement when
+    // alternates are requested
+    const page = pageQuery({ cursor, limit, order });
+    const rows = await Message.findAll({
+      ...page,
+      where: {
+        [Op.and]: [{ sessionId: session.id, supersededById: null }, page.where],
+      },
     });
+    const { items: messages, pagination } = toPage(rows, { limit });
 
-    if (!session) {
-      throw new APIError('Session not found', 404);
+    let data = { ...session.toJSON(), Messages: messages };
+    if (includeAlternates) {
+      const replaced = await Message.findAll({
+        where: { supersededById: messages.map((message) => message.id) },
+        order: [
+          ['createdAt', 'ASC'],
+          ['id', 'ASC'],
+        ],
+      });
+
+      data = {
+        ...data,
+        Messages: messages.map((message) => ({
+          ...message.toJSON(),
+          alternates: replaced.filter(
+            (alternate) => alternate.supersededById === message.id,
+          ),
+        })),
+      };
     }
 
     logger.debug(`Retrieved session: ${id} for user: ${userId}`);
 
     res.status(200).json({
       success: true,
-      data: session,
+      data,
+      pagination,
     });
   } catch (error) {
     logger.error(`Get session error: ${error.message}`);
@@ -142,6 +215,40 @@ const getSession = async (req, res, next) => {
   }
 };
 
+/**
+ * Download a session transcript as Markdown, HTML, PDF or JSON
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const exportSession = async (req, res, next) => {
+  try {
+    const { format } = req.query;
+
+    // Access follows getSession (canViewSession policy)
+    const { body, contentType, filename } = await transcriptService.export(
+      req.tutorSession,
+      format,
+    );
+
+    logger.debug(
+      `Exported session: ${req.params.id} as ${format} for user: ${req.user.id}`,
+    );
+
+    res
+      .status(200)
+      .set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      })
+      .send(body);
+  } catch (error) {
+    logger.error(`Export session error: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * Send a message in a session and get a tutor response
  * @async
@@ -150,29 +257,31 @@ const getSession = async (req, res, next) => {
  * @param {Function} next - Express next middleware function
  */
 const sendMessage = async (req, res, next) => {
+  // Clients that ask for an event stream get the streaming variant
+  if (wantsEventStream(req)) {
+    return streamMessage(req, res, next);
+  }
+
   try {
     const { id } = req.params;
     const { content } = req.body;
     const userId = req.user.id;
 
-    // Input validation
-    if (!id) {
-      throw new APIError('Session ID is required', 400);
-    }
-
-    if (!content || content.trim() === '') {
-      throw new APIError('Message content is required', 400);
-    }
-
     // Verify session exists and belongs to user
     const session = await TutorSession.findOne({
       where: { id, userId },
       include: [
         {
           model: Message,
-          order: [['createdAt', 'ASC']],
+          where: { supersededById: null },
+          required: false,
         },
       ],
+      // Sequelize ignores `order` inside an include
+      order: [
+        [Message, 'createdAt', 'ASC'],
+        [Message, 'id', 'ASC'],
+      ],
     });
 
     if (!session) {
@@ -193,6 +302,9 @@ const sendMessage = async (req, res, next) => {
 
     logger.debug(`User message saved in session: ${id}`);
 
+    // Pick up confusion or style requests before the tutor answers
+    await learnerProfileService.recordMessageSignals(userId, session, content);
+
     // Get message history for context
     const messageHistory = session.Messages || [];
 
@@ -211,7 +323,7 @@ const sendMessage = async (req, res, next) => {
         content: agentResponse.content,
         role: 'assistant',
         metadata: {
-          model: config.openAI.defaultModel,
+          model: sessionModel(session),
           implementation: agentResponse.metadata?.implementation || 'direct',
           ...agentResponse.metadata,
         },
@@ -226,6 +338,8 @@ const sendMessage = async (req, res, next) => {
           assistantMessage,
         },
       });
+
+      titleAfterFirstExchange(session, messageHistory, assistantMessage);
     } catch (error) {
       // Even if agent processing fails, we've already saved the user message
       // Let's return an error message as the assistant response
@@ -258,22 +372,562 @@ const sendMessage = async (req, res, next) => {
 };
 
 /**
- * End a session
+ * Send a message in a session and stream the tutor response as Server-Sent Events.
+ * Emits `start` with the saved user message, `token` for each content delta,
+ * then `done` with the persisted assistant message (or `error` on failure).
  * @async
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const endSession = async (req, res, next) => {
+const streamMessage = async (req, res, next) => {
+  let stream = null;
+
   try {
     const { id } = req.params;
+    const { content } = req.body;
     const userId = req.user.id;
 
-    // Input validation
-    if (!id) {
-      throw new APIError('Session ID is required', 400);
+    // Verify session exists and belongs to user
+    const session = await TutorSession.findOne({
+      where: { id, userId },
+      include: [
+        {
+          model: Message,
+          where: { supersededById: null },
+          required: false,
+        },
+      ],
+      // Sequelize ignores `order` inside an include
+      order: [
+        [Message, 'createdAt', 'ASC'],
+        [Message, 'id', 'ASC'],
+      ],
+    });
+
+    if (!session) {
+      throw new APIError('Session not found', 404);
+    }
+
+    if (session.endedAt) {
+      throw new APIError('Cannot send messages in an ended session', 400);
+    }
+
+    // Save user message
+    const userMessage = await Message.create({
+      sessionId: id,
+      content,
+      role: 'user',
+    });
+
+    logger.debug(`User message saved in session: ${id}`);
+
+    // Pick up confusion or style requests before the tutor answers
+    await learnerProfileService.recordMessageSignals(userId, session, content);
+
+    // From here on errors are reported as events rather than JSON responses
+    stream = openEventStream(res);
+    stream.send('start', { userMessage });
+
+    // Cancel generation if the client disconnects mid-stream
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        logger.info(`Client disconnected from stream for session: ${id}`);
+        abortController.abort();
+      }
+    });
+
+    let streamedContent = '';
+
+    try {
+      const agentResponse = await tutorAgentService.processMessage(
+        content,
+        session,
+        session.Messages || [],
+        {
+          signal: abortController.signal,
+          onToken: (delta) => {
+            streamedContent += delta;
+            stream.send('token', { delta });
+          },
+        },
+      );
+
+      // Save assistant response
+      const assistantMessage = await Message.create({
+        sessionId: id,
+        content: agentResponse.content,
+        role: 'assistant',
+        metadata: {
+          model: sessionModel(session),
+          implementation: agentResponse.metadata?.implementation || 'direct',
+          streamed: true,
+          ...agentResponse.metadata,
+        },
+      });
+
+      logger.debug(`Streamed assistant response saved for session: ${id}`);
+
+      stream.send('done', {
+        userMessage,
+        assistantMessage,
+      });
+
+      const title = await titleAfterFirstExchange(
+        session,
+        session.Messages || [],
+        assistantMessage,
+      );
+      if (title) {
+        stream.send('title', { title });
+      }
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        // Keep the partial answer so the transcript matches what the student saw
+        if (streamedContent) {
+          await Message.create({
+            sessionId: id,
+            content: streamedContent,
+            role: 'assistant',
+            metadata: {
+              model: sessionModel(session),
+              streamed: true,
+              aborted: true,
+            },
+          });
+        }
+        logger.debug(`Stream aborted for session: ${id}`);
+        return;
+      }
+
+      logger.error(`Failed to stream AI response: ${error.message}`);
+
+      const errorMessage = await Message.create({
+        sessionId: id,
+        content:
+          "I'm sorry, I'm having trouble processing your request right now. Please try again in a moment.",
+        role: 'assistant',
+        metadata: {
+          error: true,
+          errorMessage: error.message,
+        },
+      });
+
+      stream.send('error', {
+        userMessage,
+        assistantMessage: errorMessage,
+        error: true,
+      });
+    } finally {
+      stream.close();
+    }
+  } catch (error) {
+    logger.error(`Stream message error: ${error.message}`);
+
+    // Headers already sent: report the failure in-band
+    if (stream) {
+      stream.send('error', {
+        code: error.statusCode || 500,
+        message: error.message,
+      });
+      stream.close();
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * List the agent flows a session can use
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getFlows = async (req, res, next) => {
+  try {
+    const flows = flowLoaderService.listFlows();
+
+    res.status(200).json({
+      success: true,
+      count: flows.length,
+      data: flows,
+    });
+  } catch (error) {
+    logger.error(`Get flows error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Find a session owned by the current user
+ * @async
+ * @param {string} id - Session ID
+ * @param {number} userId - Current user ID
+ * @returns {Promise<Object>} - The TutorSession instance
+ * @throws {APIError} - If the session does not exist
+ */
+const findOwnSession = async (id, userId) => {
+  const session = await TutorSession.findOne({
+    where: { id, userId },
+  });
+
+  if (!session) {
+    throw new APIError('Session not found', 404);
+  }
+
+  return session;
+};
+
+/**
+ * List the agent checkpoints saved for a session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getCheckpoints = async (req, res, next) => {
+  try {
+    const session = await findOwnSession(req.params.id, req.user.id);
+
+    const checkpoints = await checkpointService.listCheckpoints(session.id);
+
+    res.status(200).json({
+      success: true,
+      count: checkpoints.length,
+      data: checkpoints,
+    });
+  } catch (error) {
+    logger.error(`Get checkpoints error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the full state stored in one checkpoint
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getCheckpoint = async (req, res, next) => {
+  try {
+    const session = await findOwnSession(req.params.id, req.user.id);
+
+    const checkpoint = await checkpointService.getCheckpoint(
+      session.id,
+      req.params.checkpointId,
+    );
+
+    res.status(200).json({
+      success: true,
+      data: checkpoint,
+    });
+  } catch (error) {
+    logger.error(`Get checkpoint error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Fork a new session from an earlier checkpoint of a session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const forkSession = async (req, res, next) => {
+  try {
+    const session = await findOwnSession(req.params.id, req.user.id);
+
+    const fork = await checkpointService.forkSession(
+      session,
+      req.params.checkpointId,
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...fork.session.toJSON(),
+        messageCount: fork.messageCount,
+        checkpointId: fork.checkpointId,
+      },
+    });
+  } catch (error) {
+    logger.error(`Fork session error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Model that answers in a session, recorded with its replies
+ * @param {Object} session - The TutorSession instance
+ * @returns {string} - Model name
+ */
+const sessionModel = (session) =>
+  llmProviderService.resolve(session.llmSettings).model;
+
+/**
+ * Title a session after its first exchange. Sessions for an assignment keep
+ * the assignment title. Failures are only logged, as the session works with
+ * its default title and can be titled again later, so the JSON endpoints
+ * call this without waiting, after responding.
+ * @async
+ * @param {Object} session - The TutorSession instance
+ * @param {Array} history - Active messages before the exchange
+ * @param {Object} assistantMessage - The reply that completed the exchange
+ * @returns {Promise<string|undefined>} - The new title, if one was generated
+ */
+const titleAfterFirstExchange = async (session, history, assistantMessage) => {
+  if (
+    !config.summaries.autoTitle ||
+    session.assignmentId ||
+    assistantMessage.metadata?.error ||
+    history.some((message) => message.role === 'user')
+  ) {
+    return undefined;
+  }
+
+  try {
+    return await sessionSummaryService.generateTitle(session);
+  } catch (error) {
+    logger.warn(`Could not title session ${session.id}: ${error.message}`);
+    return undefined;
+  }
+};
+
+/**
+ * Get the tutor's reply to a message and save it
+ * @async
+ * @param {Object} session - The TutorSession instance
+ * @param {string} content - The user message to answer
+ * @param {Array} history - Active messages before the user message
+ * @param {Object} metadata - Extra metadata for the saved reply
+ * @returns {Promise<Object>} - The saved assistant Message
+ */
+const saveTutorReply = async (session, content, history, metadata = {}) => {
+  try {
+    const agentResponse = await tutorAgentService.processMessage(
+      content,
+      session,
+      history,
+    );
+
+    return await Message.create({
+      sessionId: session.id,
+      content: agentResponse.content,
+      role: 'assistant',
+      metadata: {
+        model: sessionModel(session),
+        implementation: agentResponse.metadata?.implementation || 'direct',
+        ...agentResponse.metadata,
+        ...metadata,
+      },
+    });
+  } catch (error) {
+    logger.error(`Failed to get AI response: ${error.message}`);
+
+    return Message.create({
+      sessionId: session.id,
+      content:
+        "I'm sorry, I'm having trouble processing your request right now. Please try again in a moment.",
+      role: 'assistant',
+      metadata: {
+        error: true,
+        errorMessage: error.message,
+        ...metadata,
+      },
+    });
+  }
+};
+
+/**
+ * Hide messages as alternates of their replacement. Alternates of the
+ * hidden messages are moved to the replacement as well.
+ * @async
+ * @param {Array} messages - Messages being replaced
+ * @param {Object} replacement - The Message that replaces them
+ * @returns {Promise<void>}
+ */
+const supersedeMessages = async (messages, replacement) => {
+  const ids = messages.map((message) => message.id);
+
+  await db.sequelize.transaction(async (transaction) => {
+    await Message.update(
+      { supersededById: replacement.id },
+      { where: { supersededById: { [Op.in]: ids } }, transaction },
+    );
+    await Message.update(
+      { supersededById: replacement.id },
+      { where: { id: { [Op.in]: ids } }, transaction },
+    );
+  });
+};
+
+/**
+ * Load a session that can still be changed along with its active messages
+ * @async
+ * @param {string} id - Session ID
+ * @param {number} userId - Current user ID
+ * @returns {Promise<Object>} - `{ session, messages }`
+ * @throws {APIError} - If the session does not exist or has ended
+ */
+const findOpenSessionWithMessages = async (id, userId) => {
+  const session = await findOwnSession(id, userId);
+
+  if (session.endedAt) {
+    throw new APIError('Cannot change messages in an ended session', 400);
+  }
+
+  const messages = await Message.findAll({
+    where: { sessionId: id, supersededById: null },
+    order: [
+      ['createdAt', 'ASC'],
+      ['id', 'ASC'],
+    ],
+  });
+
+  return { session, messages };
+};
+
+/**
+ * Replace an assistant reply with a newly generated one. The old reply and
+ * anything after it are kept as hidden alternates of the new reply.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const regenerateMessage = async (req, res, next) => {
+  try {
+    const { id, messageId } = req.params;
+
+    const { session, messages } = await findOpenSessionWithMessages(
+      id,
+      req.user.id,
+    );
+
+    const index = messages.findIndex((message) => message.id === messageId);
+    if (index === -1 || messages[index].role !== 'assistant') {
+      throw new APIError('Assistant message not found', 404);
     }
 
+    // The reply answers the last user message before it
+    const kept = messages.slice(0, index);
+    const promptIndex = kept.findLastIndex((message) => message.role === 'user');
+    if (promptIndex === -1) {
+      throw new APIError('There is no user message to regenerate from', 400);
+    }
+
+    const replaced = messages.slice(index);
+    await checkpointService.rewind(id, kept, replaced);
+
+    const assistantMessage = await saveTutorReply(
+      session,
+      kept[promptIndex].content,
+      kept.filter((message, i) => i !== promptIndex),
+      { regeneratedFromId: messageId },
+    );
+
+    await supersedeMessages(replaced, assistantMessage);
+
+    logger.debug(`Regenerated message ${messageId} in session: ${id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        assistantMessage,
+        supersededCount: replaced.length,
+      },
+    });
+
+    titleAfterFirstExchange(
+      session,
+      kept.slice(0, promptIndex),
+      assistantMessage,
+    );
+  } catch (error) {
+    logger.error(`Regenerate message error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Edit a user message and re-run the tutor from that point. The original
+ * message and everything after it are kept as hidden alternates of the edit.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const editMessage = async (req, res, next) => {
+  try {
+    const { id, messageId } = req.params;
+    const { content } = req.body;
+
+    const { session, messages } = await findOpenSessionWithMessages(
+      id,
+      req.user.id,
+    );
+
+    const index = messages.findIndex((message) => message.id === messageId);
+    if (index === -1 || messages[index].role !== 'user') {
+      throw new APIError('User message not found', 404);
+    }
+
+    const kept = messages.slice(0, index);
+    const replaced = messages.slice(index);
+    await checkpointService.rewind(id, kept, replaced);
+
+    const userMessage = await Message.create({
+      sessionId: id,
+      content,
+      role: 'user',
+      metadata: { editedFromId: messageId },
+    });
+
+    await learnerProfileService.recordMessageSignals(
+      req.user.id,
+      session,
+      content,
+    );
+
+    const assistantMessage = await saveTutorReply(session, content, kept);
+
+    await supersedeMessages(replaced, userMessage);
+
+    logger.debug(`Edited message ${messageId} in session: ${id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userMessage,
+        assistantMessage,
+        supersededCount: replaced.length,
+      },
+    });
+
+    titleAfterFirstExchange(session, kept, assistantMessage);
+  } catch (error) {
+    logger.error(`Edit message error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * End a session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const endSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
     const session = await TutorSession.findOne({
       where: { id, userId },
     });
@@ -302,9 +956,33 @@ const endSession = async (req, res, next) => {
       role: 'system',
     });
 
+    // Turn the session into flashcards; the session is ended either way
+    let cardsCreated;
+    if (req.body.extractCards ?? config.study.autoExtractCards) {
+      try {
+        const cards = await studyService.extractCards(session);
+        cardsCreated = cards.length;
+      } catch (error) {
+        logger.warn(
+          `Could not extract flashcards for session ${id}: ${error.message}`,
+        );
+        cardsCreated = 0;
+      }
+    }
+
+    // Summarise the session onto session.summary; it is ended either way
+    if (req.body.summarize ?? config.summaries.autoSummarize) {
+      try {
+        await sessionSummaryService.summarize(session);
+      } catch (error) {
+        logger.warn(`Could not summarise session ${id}: ${error.message}`);
+      }
+    }
+
     res.status(200).json({
       success: true,
       data: session,
+      cardsCreated,
     });
   } catch (error) {
     logger.error(`End session error: ${error.message}`);
@@ -312,4 +990,66 @@ const endSession = async (req, res, next) => {
   }
 };
 
-export { createSession, getSessions, getSession, sendMessage, endSession };
+/**
+ * Generate a new title for a session from its first exchange
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const regenerateTitle = async (req, res, next) => {
+  try {
+    const session = await findOwnSession(req.params.id, req.user.id);
+
+    await sessionSummaryService.generateTitle(session);
+
+    res.status(200).json({
+      success: true,
+      data: session,
+    });
+  } catch (error) {
+    logger.error(`Regenerate title error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Generate a new summary of a session, ended or not
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const regenerateSummary = async (req, res, next) => {
+  try {
+    const session = await findOwnSession(req.params.id, req.user.id);
+
+    await sessionSummaryService.summarize(session);
+
+    res.status(200).json({
+      success: true,
+      data: session,
+    });
+  } catch (error) {
+    logger.error(`Regenerate summary error: ${error.message}`);
+    next(error);
+  }
+};
+
+export {
+  createSession,
+  getSessions,
+  getSession,
+  exportSession,
+  sendMessage,
+  streamMessage,
+  endSession,
+  regenerateTitle,
+  regenerateSummary,
+  getFlows,
+  getCheckpoints,
+  getCheckpoint,
+  forkSession,
+  regenerateMessage,
+  editMessage,
+};
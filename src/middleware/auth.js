@@ -2,45 +2,131 @@ import jwt from 'jsonwebtoken';
 import { APIError } from './error.js';
 import config from '../config/config.js';
 import db from '../models/index.js';
+import twoFactorService from '../services/two-factor.service.js';
+import tokenService from '../services/token.service.js';
+import apiKeyService from '../services/api-key.service.js';
 
-const verifyToken = async (req, res, next) => {
+/**
+ * Authenticate a request with its bearer JWT
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} token - The access token
+ * @returns {Promise<Object>} - The User instance
+ * @throws {APIError} - 401 if the token is invalid, expired or revoked
+ */
+const authenticateJwt = async (req, token) => {
   try {
-    const authHeader = req.headers.authorization;
+    const decoded = jwt.verify(token, config.jwtSecret);
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      throw new APIError('No token provided', 401);
+    // Challenge and account tokens are signed with the same secret
+    if (decoded.purpose) {
+      throw new APIError('Not an access token', 401);
     }
 
-    const token = authHeader.split(' ')[1];
+    // Check if user still exists and is active
+    const user = await db.User.findByPk(decoded.id);
+    if (!user || !user.active) {
+      throw new APIError('User not found or inactive', 401);
+    }
+
+    // Reject tokens issued before the user was signed out everywhere
+    if ((decoded.ver ?? 0) !== user.tokenVersion) {
+      throw new APIError('Token has been revoked', 401);
+    }
+
+    // Reject tokens whose login session has been signed out
+    const session = decoded.jti
+      ? await db.LoginSession.findByPk(decoded.jti)
+      : null;
+    if (!session || session.revokedAt || session.userId !== user.id) {
+      throw new APIError('Token has been revoked', 401);
+    }
+    await tokenService.touchLoginSession(session, req.ip);
+
+    // Use the current role so role changes apply immediately
+    req.user = { ...decoded, role: user.role };
+    return user;
+  } catch (err) {
+    throw new APIError('Invalid or expired token', 401);
+  }
+};
+
+/**
+ * Authenticate a request with a personal API key
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} rawKey - The key from the X-API-Key header
+ * @returns {Promise<Object>} - The User instance
+ * @throws {APIError} - 401 if the key is invalid, expired or revoked
+ */
+const authenticateApiKey = async (req, rawKey) => {
+  const { apiKey, user } = await apiKeyService.authenticate(rawKey);
 
+  req.user = { id: user.id, email: user.email, role: user.role };
+  req.apiKey = { id: apiKey.id, scopes: apiKey.scopes };
+  return user;
+};
+
+/**
+ * Build the middleware that authenticates requests with a bearer JWT or, where
+ * allowed, an API key
+ * @param {Object} options
+ * @param {boolean} options.allowTwoFactorSetup - Let through users whose role
+ * requires two-factor authentication but who have not enabled it yet, so they
+ * can enroll
+ * @param {boolean} options.allowApiKey - Accept an X-API-Key header. Routes
+ * behind it must check the key's scopes with `requireScope`.
+ * @returns {Function} - Express middleware
+ */
+const authenticate = ({
+  allowTwoFactorSetup = false,
+  allowApiKey = false,
+} = {}) => {
+  return async (req, res, next) => {
     try {
-      // Check if token is blacklisted
-      const blacklistedToken = await db.BlacklistedToken.findOne({
-        where: { token },
-      });
+      const authHeader = req.headers.authorization;
+      const apiKey = req.headers['x-api-key'];
+      let user;
 
-      if (blacklistedToken) {
-        throw new APIError('Token has been revoked', 401);
+      if (authHeader && authHeader.startsWith('Bearer ')) {
+        user = await authenticateJwt(req, authHeader.split(' ')[1]);
+      } else if (apiKey) {
+        if (!allowApiKey) {
+          throw new APIError('API keys cannot be used for this route', 403);
+        }
+        user = await authenticateApiKey(req, apiKey);
+      } else {
+        throw new APIError('No token provided', 401);
       }
 
-      const decoded = jwt.verify(token, config.jwtSecret);
-      req.user = decoded;
-
-      // Check if user still exists and is active
-      const user = await db.User.findByPk(decoded.id);
-      if (!user || !user.active) {
-        throw new APIError('User not found or inactive', 401);
+      if (
+        !allowTwoFactorSetup &&
+        !user.twoFactorEnabled &&
+        twoFactorService.isRequiredFor(user)
+      ) {
+        throw new APIError(
+          'Two-factor authentication must be enabled for your account',
+          403,
+        );
       }
 
       next();
-    } catch (err) {
-      throw new APIError('Invalid or expired token', 401);
+    } catch (error) {
+      next(error);
     }
-  } catch (error) {
-    next(error);
-  }
+  };
 };
 
+const verifyToken = authenticate();
+
+// For the routes a user needs in order to enroll in two-factor authentication
+const verifyTokenForTwoFactorSetup = authenticate({
+  allowTwoFactorSetup: true,
+});
+
+// For routes that scripts and integrations may call with an API key
+const verifyTokenOrApiKey = authenticate({ allowApiKey: true });
+
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user || !roles.includes(req.user.role)) {
@@ -50,4 +136,22 @@ const authorize = (...roles) => {
   };
 };
 
-export { verifyToken, authorize };
+// Requests made with an API key need the scope; JWT requests are unrestricted
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return next(
+        new APIError(`This API key does not have the ${scope} scope`, 403),
+      );
+    }
+    next();
+  };
+};
+
+export {
+  verifyToken,
+  verifyTokenForTwoFactorSetup,
+  verifyTokenOrApiKey,
+  authorize,
+  requireScope,
+};
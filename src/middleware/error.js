@@ -23,9 +23,16 @@ const errorHandler = (err, req, res, next) => {
 
   res.locals.errorMessage = err.message;
 
+  // Tell throttled clients when to try again
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   const response = {
     code: statusCode,
     message,
+    // Field-level problems found by the validate middleware
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   };
 
@@ -0,0 +1,164 @@
+import { APIError } from './error.js';
+import db from '../models/index.js';
+import classroomService from '../services/classroom.service.js';
+
+/**
+ * Access policies for resources shared between users. Each loads the resource
+ * named in the route, checks the current user may use it and attaches it to
+ * the request, so controllers can trust `req.classroom`, `req.student`,
+ * `req.assignment` and `req.tutorSession`. Use after verifyToken.
+ */
+
+/**
+ * Load classroom `:id` for its teacher or an admin
+ */
+const canManageClassroom = async (req, res, next) => {
+  try {
+    const classroom = await db.Classroom.findByPk(req.params.id);
+
+    if (!classroom) {
+      throw new APIError('Classroom not found', 404);
+    }
+
+    if (!classroomService.isTeacher(req.user, classroom)) {
+      throw new APIError('Not authorized to manage this classroom', 403);
+    }
+
+    req.classroom = classroom;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load classroom `:id` for its teacher, an admin or an enrolled student
+ */
+const canViewClassroom = async (req, res, next) => {
+  try {
+    const classroom = await db.Classroom.findByPk(req.params.id);
+
+    const allowed =
+      classroom &&
+      (classroomService.isTeacher(req.user, classroom) ||
+        (await classroomService.isEnrolled(req.user.id, classroom.id)));
+
+    // Hide classrooms the user has no part in
+    if (!allowed) {
+      throw new APIError('Classroom not found', 404);
+    }
+
+    req.classroom = classroom;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load student `:studentId` if enrolled in `req.classroom`.
+ * Use after canManageClassroom.
+ */
+const isEnrolledStudent = async (req, res, next) => {
+  try {
+    const enrollment = await db.Enrollment.findOne({
+      where: {
+        classroomId: req.classroom.id,
+        userId: parseInt(req.params.studentId, 10) || 0,
+      },
+      include: [{ model: db.User, attributes: ['id', 'name', 'email'] }],
+    });
+
+    if (!enrollment) {
+      throw new APIError('Student not found in this classroom', 404);
+    }
+
+    req.student = enrollment.User;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load assignment `:id` and its classroom for the classroom's teacher or an admin
+ */
+const canManageAssignment = async (req, res, next) => {
+  try {
+    const assignment = await db.Assignment.findByPk(req.params.id, {
+      include: [db.Classroom],
+    });
+
+    if (!assignment) {
+      throw new APIError('Assignment not found', 404);
+    }
+
+    if (!classroomService.isTeacher(req.user, assignment.Classroom)) {
+      throw new APIError('Not authorized to manage this assignment', 403);
+    }
+
+    req.assignment = assignment;
+    req.classroom = assignment.Classroom;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load assignment `:id` and its classroom for the classroom's teacher, an
+ * admin or an enrolled student
+ */
+const canViewAssignment = async (req, res, next) => {
+  try {
+    const assignment = await db.Assignment.findByPk(req.params.id, {
+      include: [db.Classroom],
+    });
+
+    const allowed =
+      assignment &&
+      (classroomService.isTeacher(req.user, assignment.Classroom) ||
+        (await classroomService.isEnrolled(req.user.id, assignment.classroomId)));
+
+    if (!allowed) {
+      throw new APIError('Assignment not found', 404);
+    }
+
+    req.assignment = assignment;
+    req.classroom = assignment.Classroom;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load tutor session `:id` for its owner, an admin, or a teacher of a
+ * classroom the owner is enrolled in
+ */
+const canViewSession = async (req, res, next) => {
+  try {
+    const session = await db.TutorSession.findByPk(req.params.id);
+
+    if (
+      !session ||
+      !(await classroomService.canViewStudent(req.user, session.userId))
+    ) {
+      throw new APIError('Session not found', 404);
+    }
+
+    req.tutorSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  canManageClassroom,
+  canViewClassroom,
+  isEnrolledStudent,
+  canManageAssignment,
+  canViewAssignment,
+  canViewSession,
+};
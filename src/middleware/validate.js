@@ -0,0 +1,72 @@
+import Joi from 'joi';
+import { APIError } from './error.js';
+
+/**
+ * Request validation against route specs. A spec is an object with Joi
+ * schemas for the route's `params`, `query` and `body`, plus the `summary`,
+ * `description` and `responses` used to document it (see utils/openapi.js).
+ * A part the spec leaves out must be empty.
+ */
+
+// Request parts a spec can describe, in the order they are reported
+const LOCATIONS = ['params', 'query', 'body'];
+
+const EMPTY = Joi.object({});
+
+const OPTIONS = {
+  abortEarly: false,
+  errors: { wrap: { label: false } },
+};
+
+/**
+ * Build the middleware that validates a request against a route spec,
+ * replacing `req.params`, `req.query` and `req.body` with the validated values
+ * (trimmed strings, converted query values and defaults)
+ * @param {Object} spec - Route spec
+ * @returns {Function} - Express middleware, with the spec as `spec`
+ */
+const validate = (spec) => {
+  const middleware = (req, res, next) => {
+    const details = [];
+    const values = {};
+
+    for (const location of LOCATIONS) {
+      const schema = spec[location] || EMPTY;
+      const { error, value } = schema.validate(req[location] ?? {}, OPTIONS);
+
+      if (error) {
+        details.push(
+          ...error.details.map((detail) => ({
+            location,
+            field: detail.path.join('.') || location,
+            message: detail.message,
+          })),
+        );
+      }
+      values[location] = value;
+    }
+
+    if (details.length > 0) {
+      const error = new APIError('Validation failed', 400);
+      error.details = details;
+      return next(error);
+    }
+
+    req.params = values.params;
+    req.body = values.body;
+    // req.query is a getter in Express 5
+    Object.defineProperty(req, 'query', {
+      value: values.query,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+
+    next();
+  };
+
+  middleware.spec = spec;
+  return middleware;
+};
+
+export { validate };
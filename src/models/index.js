@@ -32,18 +32,106 @@ db.User = (await import('./user.model.js')).default(
   Sequelize.DataTypes,
 );
 
-// Add model for tracking blacklisted (invalidated) tokens
-db.BlacklistedToken = sequelize.define('BlacklistedToken', {
+// Add model for login sessions, one per sign-in on a device. The ID is the
+// `jti` of every access token issued for the login and the familyId of its
+// refresh tokens, so revoking the row signs that device out.
+db.LoginSession = sequelize.define('LoginSession', {
+  id: {
+    type: Sequelize.DataTypes.UUID,
+    defaultValue: Sequelize.DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+  },
+  userAgent: {
+    type: Sequelize.DataTypes.STRING(512),
+    allowNull: true,
+  },
+  // Address of the most recent request
+  ip: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: true,
+  },
+  lastUsedAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
+  },
+  // When the latest refresh token of the login runs out
+  expiresAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: false,
+  },
+  revokedAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
+  },
+});
+
+// Add model for personal API keys. Only a SHA-256 hash of each key is stored;
+// the prefix is kept so users can tell their keys apart.
+db.ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: Sequelize.DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: false,
+  },
+  prefix: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: false,
+  },
+  keyHash: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  // e.g. ['sessions:read', 'messages:send']
+  scopes: {
+    type: Sequelize.DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+  },
+  userId: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+  },
+  lastUsedAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
+  },
+  expiresAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
+  },
+  revokedAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
+  },
+});
+
+// Add model for refresh tokens. Only a SHA-256 hash of each token is stored.
+// Tokens issued from the same login share a familyId (the LoginSession ID) so
+// that reuse of a rotated token can revoke every descendant.
+db.RefreshToken = sequelize.define('RefreshToken', {
   id: {
     type: Sequelize.DataTypes.INTEGER,
     primaryKey: true,
     autoIncrement: true,
   },
-  token: {
+  tokenHash: {
     type: Sequelize.DataTypes.STRING,
     allowNull: false,
     unique: true,
   },
+  familyId: {
+    type: Sequelize.DataTypes.UUID,
+    allowNull: false,
+  },
   userId: {
     type: Sequelize.DataTypes.INTEGER,
     allowNull: false,
@@ -52,9 +140,45 @@ db.BlacklistedToken = sequelize.define('BlacklistedToken', {
     type: Sequelize.DataTypes.DATE,
     allowNull: false,
   },
-  createdAt: {
+  // Set when the token is exchanged for a new one
+  usedAt: {
     type: Sequelize.DataTypes.DATE,
-    defaultValue: Sequelize.NOW,
+    allowNull: true,
+  },
+  revokedAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
+  },
+});
+
+// Add model for single-use account action tokens (password reset, email
+// verification). The token itself is a signed JWT; this row makes it single use.
+db.AccountToken = sequelize.define('AccountToken', {
+  id: {
+    type: Sequelize.DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  jti: {
+    type: Sequelize.DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+  },
+  purpose: {
+    type: Sequelize.DataTypes.ENUM('password_reset', 'email_verification'),
+    allowNull: false,
+  },
+  userId: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+  },
+  expiresAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: false,
+  },
+  usedAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
   },
 });
 
@@ -86,6 +210,44 @@ db.TutorSession = sequelize.define('TutorSession', {
     type: Sequelize.DataTypes.INTEGER,
     allowNull: false,
   },
+  // Per-session LLM overrides: { provider, model, temperature, maxTokens }
+  llmSettings: {
+    type: Sequelize.DataTypes.JSON,
+    allowNull: true,
+  },
+  // Agent flow definition to use instead of the subject/default flow
+  flowName: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: true,
+  },
+  // Source session and checkpoint when this session was forked
+  forkedFromSessionId: {
+    type: Sequelize.DataTypes.UUID,
+    allowNull: true,
+  },
+  forkedFromCheckpointId: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: true,
+  },
+  // Assignment this session was started from; its instructions guide the tutor
+  assignmentId: {
+    type: Sequelize.DataTypes.UUID,
+    allowNull: true,
+  },
+  // Set when the title was generated from the conversation
+  titleGeneratedAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
+  },
+  // Generated summary: { topics, takeaways, openQuestions, nextSteps }
+  summary: {
+    type: Sequelize.DataTypes.JSON,
+    allowNull: true,
+  },
+  summarizedAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
+  },
 });
 
 db.Message = sequelize.define('Message', {
@@ -110,8 +272,452 @@ db.Message = sequelize.define('Message', {
     type: Sequelize.DataTypes.UUID,
     allowNull: false,
   },
+  // Set when a regenerate or edit replaced this message; it is then a hidden
+  // alternate of the replacement rather than part of the active transcript
+  supersededById: {
+    type: Sequelize.DataTypes.UUID,
+    allowNull: true,
+  },
+});
+
+// Quizzes generated from a session transcript; questions include the answers
+db.Quiz = sequelize.define('Quiz', {
+  id: {
+    type: Sequelize.DataTypes.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true,
+  },
+  title: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: false,
+  },
+  subject: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: true,
+  },
+  difficulty: {
+    type: Sequelize.DataTypes.ENUM('easy', 'medium', 'hard'),
+    allowNull: false,
+    defaultValue: 'medium',
+  },
+  questions: {
+    type: Sequelize.DataTypes.JSON,
+    allowNull: false,
+  },
+  sessionId: {
+    type: Sequelize.DataTypes.UUID,
+    allowNull: false,
+  },
+  userId: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+  },
+});
+
+db.QuizAttempt = sequelize.define('QuizAttempt', {
+  id: {
+    type: Sequelize.DataTypes.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true,
+  },
+  answers: {
+    type: Sequelize.DataTypes.JSON,
+    allowNull: false,
+  },
+  // Per-question grading: { questionId, correct, given, correctAnswer, explanation }
+  results: {
+    type: Sequelize.DataTypes.JSON,
+    allowNull: false,
+  },
+  score: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+  },
+  maxScore: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+  },
+  quizId: {
+    type: Sequelize.DataTypes.UUID,
+    allowNull: false,
+  },
+  userId: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+  },
+});
+
+// Flashcards scheduled with the SM-2 spaced-repetition algorithm
+db.Flashcard = sequelize.define('Flashcard', {
+  id: {
+    type: Sequelize.DataTypes.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true,
+  },
+  front: {
+    type: Sequelize.DataTypes.TEXT,
+    allowNull: false,
+  },
+  back: {
+    type: Sequelize.DataTypes.TEXT,
+    allowNull: false,
+  },
+  easeFactor: {
+    type: Sequelize.DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 2.5,
+  },
+  // Days until the next review
+  interval: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  // Consecutive successful reviews
+  repetitions: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  lapses: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  dueAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.NOW,
+  },
+  lastReviewedAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
+  },
+  userId: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Where the card came from; kept when the session is deleted
+  sessionId: {
+    type: Sequelize.DataTypes.UUID,
+    allowNull: true,
+  },
+  messageId: {
+    type: Sequelize.DataTypes.UUID,
+    allowNull: true,
+  },
+});
+
+// What the tutor knows about a student across sessions
+db.LearnerProfile = sequelize.define('LearnerProfile', {
+  id: {
+    type: Sequelize.DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  userId: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+  },
+  // e.g. step-by-step, examples, concise; set by the student or inferred from requests
+  preferredStyle: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: true,
+  },
+  // Most recent first: [{ subject, topic, description, seenAt }]
+  misconceptions: {
+    type: Sequelize.DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+  },
+});
+
+// Estimated mastery (0-1) of a topic within a subject
+db.TopicMastery = sequelize.define(
+  'TopicMastery',
+  {
+    id: {
+      type: Sequelize.DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    subject: {
+      type: Sequelize.DataTypes.STRING,
+      allowNull: false,
+    },
+    topic: {
+      type: Sequelize.DataTypes.STRING,
+      allowNull: false,
+    },
+    mastery: {
+      type: Sequelize.DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0.5,
+    },
+    evidenceCount: {
+      type: Sequelize.DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lastAssessedAt: {
+      type: Sequelize.DataTypes.DATE,
+      allowNull: true,
+    },
+    userId: {
+      type: Sequelize.DataTypes.INTEGER,
+      allowNull: false,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ['userId', 'subject', 'topic'] }],
+  },
+);
+
+// A teacher's class; students join it with the join code
+db.Classroom = sequelize.define('Classroom', {
+  id: {
+    type: Sequelize.DataTypes.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true,
+  },
+  name: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: false,
+  },
+  description: {
+    type: Sequelize.DataTypes.TEXT,
+    allowNull: true,
+  },
+  joinCode: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  teacherId: {
+    type: Sequelize.DataTypes.INTEGER,
+    allowNull: false,
+  },
 });
 
+db.Enrollment = sequelize.define(
+  'Enrollment',
+  {
+    id: {
+      type: Sequelize.DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    classroomId: {
+      type: Sequelize.DataTypes.UUID,
+      allowNull: false,
+    },
+    userId: {
+      type: Sequelize.DataTypes.INTEGER,
+      allowNull: false,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ['classroomId', 'userId'] }],
+  },
+);
+
+// Work a teacher sets for a classroom, done in guided tutor sessions
+db.Assignment = sequelize.define('Assignment', {
+  id: {
+    type: Sequelize.DataTypes.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true,
+  },
+  title: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: false,
+  },
+  subject: {
+    type: Sequelize.DataTypes.STRING,
+    allowNull: false,
+  },
+  // What the student should be able to do afterwards, as a list of strings
+  objectives: {
+    type: Sequelize.DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+  },
+  // Teacher's instructions to the tutor for these sessions
+  instructions: {
+    type: Sequelize.DataTypes.TEXT,
+    allowNull: true,
+  },
+  dueAt: {
+    type: Sequelize.DataTypes.DATE,
+    allowNull: true,
+  },
+  classroomId: {
+    type: Sequelize.DataTypes.UUID,
+    allowNull: false,
+  },
+});
+
+// A student's progress on an assignment, from their first session to completion
+db.AssignmentProgress = sequelize.define(
+  'AssignmentProgress',
+  {
+    id: {
+      type: Sequelize.DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    status: {
+      type: Sequelize.DataTypes.ENUM('in_progress', 'completed'),
+      allowNull: false,
+      defaultValue: 'in_progress',
+    },
+    startedAt: {
+      type: Sequelize.DataTypes.DATE,
+      defaultValue: Sequelize.NOW,
+    },
+    completedAt: {
+      type: Sequelize.DataTypes.DATE,
+      allowNull: true,
+    },
+    assignmentId: {
+      type: Sequelize.DataTypes.UUID,
+      allowNull: false,
+    },
+    userId: {
+      type: Sequelize.DataTypes.INTEGER,
+      allowNull: false,
+    },
+  },
+  {
+    tableName: 'AssignmentProgress',
+    indexes: [{ unique: true, fields: ['assignmentId', 'userId'] }],
+  },
+);
+
+// Record of administrative actions. Rows outlive the users they mention, so
+// actor and target are plain IDs rather than foreign keys.
+db.AuditLog = sequelize.define(
+  'AuditLog',
+  {
+    id: {
+      type: Sequelize.DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    // e.g. user.role_changed, user.deactivated
+    action: {
+      type: Sequelize.DataTypes.STRING,
+      allowNull: false,
+    },
+    actorId: {
+      type: Sequelize.DataTypes.INTEGER,
+      allowNull: true,
+    },
+    targetType: {
+      type: Sequelize.DataTypes.STRING,
+      allowNull: true,
+    },
+    targetId: {
+      type: Sequelize.DataTypes.STRING,
+      allowNull: true,
+    },
+    // Action-specific values, e.g. { from, to }
+    details: {
+      type: Sequelize.DataTypes.JSON,
+      allowNull: true,
+    },
+    ip: {
+      type: Sequelize.DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    updatedAt: false,
+    indexes: [{ fields: ['targetType', 'targetId'] }, { fields: ['actorId'] }],
+  },
+);
+
+// Failed logins per account (by email, whether or not it exists) and per IP
+// address, for backoff and temporary lockout
+db.LoginThrottle = sequelize.define(
+  'LoginThrottle',
+  {
+    id: {
+      type: Sequelize.DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    scope: {
+      type: Sequelize.DataTypes.ENUM('account', 'ip'),
+      allowNull: false,
+    },
+    // Lower-cased email address or IP address
+    key: {
+      type: Sequelize.DataTypes.STRING,
+      allowNull: false,
+    },
+    failures: {
+      type: Sequelize.DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lastFailureAt: {
+      type: Sequelize.DataTypes.DATE,
+      allowNull: true,
+    },
+    lockedUntil: {
+      type: Sequelize.DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    indexes: [
+      { unique: true, fields: ['scope', 'key'] },
+      { fields: ['lastFailureAt'] },
+    ],
+  },
+);
+
+// Two-step logins waiting for a code. Attempts are counted here rather than in
+// memory so the limit holds across server processes and restarts.
+db.TwoFactorChallenge = sequelize.define(
+  'TwoFactorChallenge',
+  {
+    id: {
+      type: Sequelize.DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    jti: {
+      type: Sequelize.DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+    },
+    userId: {
+      type: Sequelize.DataTypes.INTEGER,
+      allowNull: false,
+    },
+    attempts: {
+      type: Sequelize.DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    expiresAt: {
+      type: Sequelize.DataTypes.DATE,
+      allowNull: false,
+    },
+    // Set when the challenge is completed, so it cannot be used again
+    usedAt: {
+      type: Sequelize.DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    indexes: [{ fields: ['expiresAt'] }],
+  },
+);
+
 // Establish relationships between models with proper referential integrity
 db.User.hasMany(db.TutorSession, {
   foreignKey: 'userId',
@@ -125,11 +731,161 @@ db.TutorSession.hasMany(db.Message, {
 });
 db.Message.belongsTo(db.TutorSession, { foreignKey: 'sessionId' });
 
-// Relationship for BlacklistedToken
-db.User.hasMany(db.BlacklistedToken, {
+db.TutorSession.hasMany(db.Quiz, {
+  foreignKey: 'sessionId',
+  onDelete: 'CASCADE',
+});
+db.Quiz.belongsTo(db.TutorSession, { foreignKey: 'sessionId' });
+
+db.Quiz.hasMany(db.QuizAttempt, {
+  foreignKey: 'quizId',
+  onDelete: 'CASCADE',
+});
+db.QuizAttempt.belongsTo(db.Quiz, { foreignKey: 'quizId' });
+
+db.User.hasMany(db.QuizAttempt, {
+  foreignKey: 'userId',
+  onDelete: 'CASCADE',
+});
+db.QuizAttempt.belongsTo(db.User, { foreignKey: 'userId' });
+
+db.User.hasMany(db.Flashcard, {
   foreignKey: 'userId',
   onDelete: 'CASCADE',
 });
-db.BlacklistedToken.belongsTo(db.User, { foreignKey: 'userId' });
+db.Flashcard.belongsTo(db.User, { foreignKey: 'userId' });
+
+db.TutorSession.hasMany(db.Flashcard, {
+  foreignKey: 'sessionId',
+  onDelete: 'SET NULL',
+});
+db.Flashcard.belongsTo(db.TutorSession, { foreignKey: 'sessionId' });
+
+db.Message.hasMany(db.Flashcard, {
+  foreignKey: 'messageId',
+  onDelete: 'SET NULL',
+});
+db.Flashcard.belongsTo(db.Message, { foreignKey: 'messageId' });
+
+db.User.hasOne(db.LearnerProfile, {
+  foreignKey: 'userId',
+  onDelete: 'CASCADE',
+});
+db.LearnerProfile.belongsTo(db.User, { foreignKey: 'userId' });
+
+db.User.hasMany(db.TopicMastery, {
+  foreignKey: 'userId',
+  onDelete: 'CASCADE',
+});
+db.TopicMastery.belongsTo(db.User, { foreignKey: 'userId' });
+
+db.User.hasMany(db.Classroom, {
+  foreignKey: 'teacherId',
+  onDelete: 'CASCADE',
+});
+db.Classroom.belongsTo(db.User, { foreignKey: 'teacherId', as: 'teacher' });
+
+db.Classroom.hasMany(db.Enrollment, {
+  foreignKey: 'classroomId',
+  onDelete: 'CASCADE',
+});
+db.Enrollment.belongsTo(db.Classroom, { foreignKey: 'classroomId' });
+
+db.User.hasMany(db.Enrollment, {
+  foreignKey: 'userId',
+  onDelete: 'CASCADE',
+});
+db.Enrollment.belongsTo(db.User, { foreignKey: 'userId' });
+
+db.Classroom.hasMany(db.Assignment, {
+  foreignKey: 'classroomId',
+  onDelete: 'CASCADE',
+});
+db.Assignment.belongsTo(db.Classroom, { foreignKey: 'classroomId' });
+
+db.Assignment.hasMany(db.AssignmentProgress, {
+  foreignKey: 'assignmentId',
+  onDelete: 'CASCADE',
+});
+db.AssignmentProgress.belongsTo(db.Assignment, { foreignKey: 'assignmentId' });
+
+db.User.hasMany(db.AssignmentProgress, {
+  foreignKey: 'userId',
+  onDelete: 'CASCADE',
+});
+db.AssignmentProgress.belongsTo(db.User, { foreignKey: 'userId' });
+
+db.Assignment.hasMany(db.TutorSession, {
+  foreignKey: 'assignmentId',
+  onDelete: 'SET NULL',
+});
+db.TutorSession.belongsTo(db.Assignment, { foreignKey: 'assignmentId' });
+
+db.AuditLog.belongsTo(db.User, {
+  foreignKey: 'actorId',
+  as: 'actor',
+  constraints: false,
+});
+
+// Relationship for ApiKey
+db.User.hasMany(db.ApiKey, {
+  foreignKey: 'userId',
+  onDelete: 'CASCADE',
+});
+db.ApiKey.belongsTo(db.User, { foreignKey: 'userId' });
+
+// Relationship for LoginSession
+db.User.hasMany(db.LoginSession, {
+  foreignKey: 'userId',
+  onDelete: 'CASCADE',
+});
+db.LoginSession.belongsTo(db.User, { foreignKey: 'userId' });
+
+// Relationship for AccountToken
+db.User.hasMany(db.AccountToken, {
+  foreignKey: 'userId',
+  onDelete: 'CASCADE',
+});
+db.AccountToken.belongsTo(db.User, { foreignKey: 'userId' });
+
+// Relationship for TwoFactorChallenge
+db.User.hasMany(db.TwoFactorChallenge, {
+  foreignKey: 'userId',
+  onDelete: 'CASCADE',
+});
+db.TwoFactorChallenge.belongsTo(db.User, { foreignKey: 'userId' });
+
+// Relationship for RefreshToken
+db.User.hasMany(db.RefreshToken, {
+  foreignKey: 'userId',
+  onDelete: 'CASCADE',
+});
+db.RefreshToken.belongsTo(db.User, { foreignKey: 'userId' });
+
+/**
+ * Synchronize the schema. sequelize.sync() creates missing tables but never
+ * alters existing ones, so columns added to a model after its table was created
+ * are added here. New columns must therefore be nullable or have a default.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+db.sync = async () => {
+  await sequelize.sync({ force: false });
+
+  const queryInterface = sequelize.getQueryInterface();
+  for (const model of Object.values(sequelize.models)) {
+    const table = model.getTableName();
+    const columns = await queryInterface.describeTable(table);
+
+    for (const [name, attribute] of Object.entries(model.rawAttributes)) {
+      const field = attribute.field || name;
+      if (!columns[field]) {
+        await queryInterface.addColumn(table, field, attribute);
+        logger.info(`Added missing column ${table}.${field}`);
+      }
+    }
+  }
+};
 
 export default db;
@@ -2,6 +2,14 @@ import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import config from '../config/config.js';
 
+const PRIVATE_FIELDS = [
+  'password',
+  'tokenVersion',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep',
+];
+
 export default (sequelize, DataTypes) => {
   const User = sequelize.define(
     'User',
@@ -38,6 +46,36 @@ export default (sequelize, DataTypes) => {
       lastLogin: {
         type: DataTypes.DATE,
       },
+      emailVerified: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+      emailVerifiedAt: {
+        type: DataTypes.DATE,
+      },
+      // Access tokens carry this version; incrementing it revokes them all
+      tokenVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Encrypted TOTP secret; set during enrollment before it is enabled
+      twoFactorSecret: {
+        type: DataTypes.STRING,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      twoFactorRecoveryCodes: {
+        type: DataTypes.JSON,
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      twoFactorLastUsedStep: {
+        type: DataTypes.INTEGER,
+      },
     },
     {
       hooks: {
@@ -61,14 +99,26 @@ export default (sequelize, DataTypes) => {
     return await bcrypt.compare(password, this.password);
   };
 
-  User.prototype.generateToken = function () {
+  // Credentials and two-factor secrets never leave the API
+  User.prototype.toJSON = function () {
+    const values = { ...this.get() };
+    for (const field of PRIVATE_FIELDS) {
+      delete values[field];
+    }
+    return values;
+  };
+
+  // The access token's jti is the ID of the login session it belongs to
+  User.prototype.generateToken = function (sessionId) {
     const payload = {
       id: this.id,
       email: this.email,
       role: this.role,
+      ver: this.tokenVersion,
     };
 
     return jwt.sign(payload, config.jwtSecret, {
+      jwtid: sessionId,
       expiresIn: `${config.jwtExpirationInMinutes}m`,
     });
   };
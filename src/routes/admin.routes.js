@@ -0,0 +1,59 @@
+import express from 'express';
+import {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  logoutUser,
+  resetUserPassword,
+  unlockUser,
+  resetUserTwoFactor,
+  getAuditLogs,
+} from '../controllers/admin.controller.js';
+import { verifyToken, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import schemas from '../validation/admin.validation.js';
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(verifyToken, authorize('admin'));
+
+// Each route validates its input against a spec in admin.validation.js, which
+// also documents it in /api-docs
+
+router.get('/users', validate(schemas.getUsers), getUsers);
+
+router.get('/users/:id', validate(schemas.getUser), getUser);
+
+router.patch(
+  '/users/:id/role',
+  validate(schemas.updateUserRole),
+  updateUserRole,
+);
+
+router.patch(
+  '/users/:id/active',
+  validate(schemas.updateUserStatus),
+  updateUserStatus,
+);
+
+router.post('/users/:id/logout', validate(schemas.logoutUser), logoutUser);
+
+router.post(
+  '/users/:id/reset-password',
+  validate(schemas.resetUserPassword),
+  resetUserPassword,
+);
+
+router.post('/users/:id/unlock', validate(schemas.unlockUser), unlockUser);
+
+router.delete(
+  '/users/:id/two-factor',
+  validate(schemas.resetUserTwoFactor),
+  resetUserTwoFactor,
+);
+
+router.get('/audit-logs', validate(schemas.getAuditLogs), getAuditLogs);
+
+export default router;
@@ -0,0 +1,70 @@
+import express from 'express';
+import {
+  getAssignment,
+  updateAssignment,
+  deleteAssignment,
+  startAssignment,
+  completeAssignment,
+  getAssignmentReport,
+} from '../controllers/assignment.controller.js';
+import { verifyToken, authorize } from '../middleware/auth.js';
+import {
+  canManageAssignment,
+  canViewAssignment,
+} from '../middleware/policy.js';
+import { validate } from '../middleware/validate.js';
+import schemas from '../validation/assignment.validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Each route validates its input against a spec in assignment.validation.js,
+// which also documents it in /api-docs
+
+router.get(
+  '/:id',
+  validate(schemas.getAssignment),
+  canViewAssignment,
+  getAssignment,
+);
+
+router.patch(
+  '/:id',
+  validate(schemas.updateAssignment),
+  canManageAssignment,
+  updateAssignment,
+);
+
+router.delete(
+  '/:id',
+  validate(schemas.deleteAssignment),
+  canManageAssignment,
+  deleteAssignment,
+);
+
+router.post(
+  '/:id/sessions',
+  authorize('student'),
+  validate(schemas.startAssignment),
+  canViewAssignment,
+  startAssignment,
+);
+
+router.post(
+  '/:id/complete',
+  authorize('student'),
+  validate(schemas.completeAssignment),
+  canViewAssignment,
+  completeAssignment,
+);
+
+router.get(
+  '/:id/report',
+  validate(schemas.getAssignmentReport),
+  canManageAssignment,
+  getAssignmentReport,
+);
+
+export default router;
@@ -2,113 +2,171 @@ import express from 'express';
 import {
   register,
   login,
+  verifyTwoFactor,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  exportAccount,
   logout,
+  getLoginSessions,
+  revokeLoginSession,
+  revokeOtherLoginSessions,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 } from '../controllers/auth.controller.js';
-import { verifyToken } from '../middleware/auth.js';
+import {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+} from '../controllers/api-key.controller.js';
+import {
+  verifyToken,
+  verifyTokenForTwoFactorSetup,
+} from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import schemas from '../validation/auth.validation.js';
 
 const router = express.Router();
 
-/**
- * @swagger
- * /api/auth/register:
- *   post:
- *     summary: Register a new user
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *                 format: password
- *     responses:
- *       201:
- *         description: User created successfully
- *       400:
- *         description: Invalid input or user already exists
- */
+// Each route validates its input against a spec in auth.validation.js, which
+// also documents it in /api-docs
+
+router.post('/register', validate(schemas.register), register);
+
+router.post('/login', validate(schemas.login), login);
+
+router.post('/2fa/verify', validate(schemas.verifyTwoFactor), verifyTwoFactor);
+
+router.post('/refresh', validate(schemas.refresh), refresh);
+
 router.post(
-  '/register',
-  (req, res, next) => {
-    console.log('Request received at /api/auth/register');
-    next();
-  },
-  register,
+  '/forgot-password',
+  validate(schemas.forgotPassword),
+  forgotPassword,
+);
+
+router.post('/reset-password', validate(schemas.resetPassword), resetPassword);
+
+router.get('/verify-email', validate(schemas.verifyEmail), verifyEmail);
+
+router.post(
+  '/resend-verification',
+  validate(schemas.resendVerification),
+  resendVerification,
+);
+
+router.post(
+  '/logout',
+  verifyTokenForTwoFactorSetup,
+  validate(schemas.logout),
+  logout,
+);
+
+router.get(
+  '/sessions',
+  verifyToken,
+  validate(schemas.getLoginSessions),
+  getLoginSessions,
+);
+
+router.post(
+  '/sessions/revoke-others',
+  verifyToken,
+  validate(schemas.revokeOtherLoginSessions),
+  revokeOtherLoginSessions,
+);
+
+router.delete(
+  '/sessions/:id',
+  verifyToken,
+  validate(schemas.revokeLoginSession),
+  revokeLoginSession,
+);
+
+router.get(
+  '/profile',
+  verifyTokenForTwoFactorSetup,
+  validate(schemas.getProfile),
+  getProfile,
+);
+
+router.patch(
+  '/profile',
+  verifyToken,
+  validate(schemas.updateProfile),
+  updateProfile,
+);
+
+router.post(
+  '/change-password',
+  verifyToken,
+  validate(schemas.changePassword),
+  changePassword,
+);
+
+router.delete(
+  '/account',
+  verifyToken,
+  validate(schemas.deleteAccount),
+  deleteAccount,
+);
+
+router.get(
+  '/export',
+  verifyToken,
+  validate(schemas.exportAccount),
+  exportAccount,
+);
+
+router.post(
+  '/2fa/setup',
+  verifyTokenForTwoFactorSetup,
+  validate(schemas.setupTwoFactor),
+  setupTwoFactor,
 );
 
-/**
- * @swagger
- * /api/auth/login:
- *   post:
- *     summary: Login to get access token
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *                 format: password
- *     responses:
- *       200:
- *         description: Login successful
- *       401:
- *         description: Invalid credentials
- */
-router.post('/login', login);
-
-/**
- * @swagger
- * /api/auth/logout:
- *   post:
- *     summary: Logout and invalidate the current token
- *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Successfully logged out
- *       401:
- *         description: Not authenticated
- */
-router.post('/logout', verifyToken, logout);
-
-/**
- * @swagger
- * /api/auth/profile:
- *   get:
- *     summary: Get current user profile
- *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: User profile data
- *       401:
- *         description: Not authenticated
- */
-router.get('/profile', verifyToken, getProfile);
+router.post(
+  '/2fa/enable',
+  verifyTokenForTwoFactorSetup,
+  validate(schemas.enableTwoFactor),
+  enableTwoFactor,
+);
+
+router.post(
+  '/2fa/disable',
+  verifyToken,
+  validate(schemas.disableTwoFactor),
+  disableTwoFactor,
+);
+
+router.post(
+  '/2fa/recovery-codes',
+  verifyToken,
+  validate(schemas.regenerateRecoveryCodes),
+  regenerateRecoveryCodes,
+);
+
+router.get('/api-keys', verifyToken, validate(schemas.getApiKeys), getApiKeys);
+router.post(
+  '/api-keys',
+  verifyToken,
+  validate(schemas.createApiKey),
+  createApiKey,
+);
+
+router.delete(
+  '/api-keys/:id',
+  verifyToken,
+  validate(schemas.revokeApiKey),
+  revokeApiKey,
+);
 
 export default router;
@@ -0,0 +1,109 @@
+import express from 'express';
+import {
+  createClassroom,
+  getClassrooms,
+  getClassroom,
+  joinClassroom,
+  leaveClassroom,
+  regenerateJoinCode,
+  getStudents,
+  removeStudent,
+} from '../controllers/classroom.controller.js';
+import {
+  createAssignment,
+  getAssignments,
+} from '../controllers/assignment.controller.js';
+import { getSessions } from '../controllers/tutor.controller.js';
+import { verifyToken, authorize } from '../middleware/auth.js';
+import {
+  canManageClassroom,
+  canViewClassroom,
+  isEnrolledStudent,
+} from '../middleware/policy.js';
+import { validate } from '../middleware/validate.js';
+import schemas from '../validation/classroom.validation.js';
+import assignmentSchemas from '../validation/assignment.validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Each route validates its input against a spec in classroom.validation.js or
+// assignment.validation.js, which also documents it in /api-docs
+
+router.post(
+  '/',
+  authorize('teacher', 'admin'),
+  validate(schemas.createClassroom),
+  createClassroom,
+);
+
+router.get('/', validate(schemas.getClassrooms), getClassrooms);
+
+router.post(
+  '/join',
+  authorize('student'),
+  validate(schemas.joinClassroom),
+  joinClassroom,
+);
+
+router.get(
+  '/:id',
+  validate(schemas.getClassroom),
+  canViewClassroom,
+  getClassroom,
+);
+
+router.post(
+  '/:id/leave',
+  validate(schemas.leaveClassroom),
+  canViewClassroom,
+  leaveClassroom,
+);
+
+router.post(
+  '/:id/join-code',
+  validate(schemas.regenerateJoinCode),
+  canManageClassroom,
+  regenerateJoinCode,
+);
+
+router.get(
+  '/:id/students',
+  validate(schemas.getStudents),
+  canManageClassroom,
+  getStudents,
+);
+
+router.delete(
+  '/:id/students/:studentId',
+  validate(schemas.removeStudent),
+  canManageClassroom,
+  isEnrolledStudent,
+  removeStudent,
+);
+
+router.get(
+  '/:id/students/:studentId/sessions',
+  validate(schemas.getStudentSessions),
+  canManageClassroom,
+  isEnrolledStudent,
+  getSessions,
+);
+
+router.post(
+  '/:id/assignments',
+  validate(assignmentSchemas.createAssignment),
+  canManageClassroom,
+  createAssignment,
+);
+
+router.get(
+  '/:id/assignments',
+  validate(assignmentSchemas.getAssignments),
+  canViewClassroom,
+  getAssignments,
+);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  getCards,
+  getDueCards,
+  reviewCard,
+  getLearnerProfile,
+  updateLearnerProfile,
+} from '../controllers/study.controller.js';
+import { verifyToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import schemas from '../validation/study.validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Each route validates its input against a spec in study.validation.js, which
+// also documents it in /api-docs
+
+router.get('/cards', validate(schemas.getCards), getCards);
+
+router.get('/cards/due', validate(schemas.getDueCards), getDueCards);
+
+router.post('/cards/:id/review', validate(schemas.reviewCard), reviewCard);
+
+router.get(
+  '/profile',
+  validate(schemas.getLearnerProfile),
+  getLearnerProfile,
+);
+
+router.patch(
+  '/profile',
+  validate(schemas.updateLearnerProfile),
+  updateLearnerProfile,
+);
+
+export default router;
@@ -3,145 +3,206 @@ import {
   createSession,
   getSessions,
   getSession,
+  exportSession,
   sendMessage,
+  streamMessage,
   endSession,
+  regenerateTitle,
+  regenerateSummary,
+  getFlows,
+  getCheckpoints,
+  getCheckpoint,
+  forkSession,
+  regenerateMessage,
+  editMessage,
 } from '../controllers/tutor.controller.js';
+import {
+  createQuiz,
+  getQuizzes,
+  getQuiz,
+  submitAttempt,
+  getAttempts,
+} from '../controllers/quiz.controller.js';
+import { extractSessionCards } from '../controllers/study.controller.js';
+import { searchHistory } from '../controllers/search.controller.js';
 import { testLangchainAgent } from '../controllers/test.controller.js';
-import { verifyToken, authorize } from '../middleware/auth.js';
+import {
+  verifyTokenOrApiKey,
+  authorize,
+  requireScope,
+} from '../middleware/auth.js';
+import { canViewSession } from '../middleware/policy.js';
+import { validate } from '../middleware/validate.js';
+import schemas from '../validation/tutor.validation.js';
 
 const router = express.Router();
 
+// Each route validates its input against a spec in tutor.validation.js, which
+// also documents it in /api-docs
+
 // Test route for LangChain that doesn't require authentication
-router.post('/test/langchain', testLangchainAgent);
-
-// All routes require authentication
-router.use(verifyToken);
-
-/**
- * @swagger
- * /api/tutor/sessions:
- *   post:
- *     summary: Create a new tutor session
- *     tags: [Tutor]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               subject:
- *                 type: string
- *     responses:
- *       201:
- *         description: Session created successfully
- *       401:
- *         description: Not authenticated
- */
-router.post('/sessions', createSession);
-
-/**
- * @swagger
- * /api/tutor/sessions:
- *   get:
- *     summary: Get all tutor sessions for the current user
- *     tags: [Tutor]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: List of sessions
- *       401:
- *         description: Not authenticated
- */
-router.get('/sessions', getSessions);
-
-/**
- * @swagger
- * /api/tutor/sessions/{id}:
- *   get:
- *     summary: Get a single session by ID
- *     tags: [Tutor]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: Session ID
- *     responses:
- *       200:
- *         description: Session details with messages
- *       401:
- *         description: Not authenticated
- *       404:
- *         description: Session not found
- */
-router.get('/sessions/:id', getSession);
-
-/**
- * @swagger
- * /api/tutor/sessions/{id}/message:
- *   post:
- *     summary: Send a message in a session and get a tutor response
- *     tags: [Tutor]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: Session ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - content
- *             properties:
- *               content:
- *                 type: string
- *     responses:
- *       200:
- *         description: Message sent and response received
- *       401:
- *         description: Not authenticated
- *       404:
- *         description: Session not found
- */
-router.post('/sessions/:id/message', sendMessage);
-
-/**
- * @swagger
- * /api/tutor/sessions/{id}/end:
- *   put:
- *     summary: End a tutor session
- *     tags: [Tutor]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: Session ID
- *     responses:
- *       200:
- *         description: Session ended successfully
- *       401:
- *         description: Not authenticated
- *       404:
- *         description: Session not found
- */
-router.put('/sessions/:id/end', endSession);
+router.post(
+  '/test/langchain',
+  validate(schemas.testLangchain),
+  testLangchainAgent,
+);
+
+// All routes require authentication. API keys are accepted, limited to the
+// scope each route declares.
+router.use(verifyTokenOrApiKey);
+
+router.post(
+  '/sessions',
+  requireScope('sessions:write'),
+  validate(schemas.createSession),
+  createSession,
+);
+
+router.get(
+  '/sessions',
+  requireScope('sessions:read'),
+  validate(schemas.getSessions),
+  getSessions,
+);
+
+router.get(
+  '/sessions/:id',
+  requireScope('sessions:read'),
+  validate(schemas.getSession),
+  canViewSession,
+  getSession,
+);
+
+router.get(
+  '/sessions/:id/export',
+  requireScope('sessions:read'),
+  validate(schemas.exportSession),
+  canViewSession,
+  exportSession,
+);
+
+router.post(
+  '/sessions/:id/message',
+  requireScope('messages:send'),
+  validate(schemas.sendMessage),
+  sendMessage,
+);
+
+router.post(
+  '/sessions/:id/message/stream',
+  requireScope('messages:send'),
+  validate(schemas.streamMessage),
+  streamMessage,
+);
+
+router.post(
+  '/sessions/:id/messages/:messageId/regenerate',
+  requireScope('messages:send'),
+  validate(schemas.regenerateMessage),
+  regenerateMessage,
+);
+
+router.patch(
+  '/sessions/:id/messages/:messageId',
+  requireScope('messages:send'),
+  validate(schemas.editMessage),
+  editMessage,
+);
+
+router.post(
+  '/sessions/:id/quizzes',
+  requireScope('sessions:write'),
+  validate(schemas.createQuiz),
+  createQuiz,
+);
+router.get(
+  '/sessions/:id/quizzes',
+  requireScope('sessions:read'),
+  validate(schemas.getQuizzes),
+  getQuizzes,
+);
+
+router.get(
+  '/sessions/:id/quizzes/:quizId',
+  requireScope('sessions:read'),
+  validate(schemas.getQuiz),
+  getQuiz,
+);
+
+router.post(
+  '/sessions/:id/quizzes/:quizId/attempts',
+  requireScope('sessions:write'),
+  validate(schemas.submitAttempt),
+  submitAttempt,
+);
+router.get(
+  '/sessions/:id/quizzes/:quizId/attempts',
+  requireScope('sessions:read'),
+  validate(schemas.getAttempts),
+  getAttempts,
+);
+
+router.post(
+  '/sessions/:id/cards',
+  requireScope('sessions:write'),
+  validate(schemas.extractSessionCards),
+  extractSessionCards,
+);
+
+router.put(
+  '/sessions/:id/end',
+  requireScope('sessions:write'),
+  validate(schemas.endSession),
+  endSession,
+);
+
+router.post(
+  '/sessions/:id/title',
+  requireScope('sessions:write'),
+  validate(schemas.regenerateTitle),
+  regenerateTitle,
+);
+
+router.post(
+  '/sessions/:id/summary',
+  requireScope('sessions:write'),
+  validate(schemas.regenerateSummary),
+  regenerateSummary,
+);
+
+router.get(
+  '/sessions/:id/checkpoints',
+  requireScope('sessions:read'),
+  validate(schemas.getCheckpoints),
+  getCheckpoints,
+);
+
+router.get(
+  '/sessions/:id/checkpoints/:checkpointId',
+  requireScope('sessions:read'),
+  validate(schemas.getCheckpoint),
+  getCheckpoint,
+);
+
+router.post(
+  '/sessions/:id/checkpoints/:checkpointId/fork',
+  requireScope('sessions:write'),
+  validate(schemas.forkSession),
+  forkSession,
+);
+
+router.get(
+  '/search',
+  requireScope('sessions:read'),
+  validate(schemas.search),
+  searchHistory,
+);
+
+router.get(
+  '/flows',
+  requireScope('sessions:read'),
+  validate(schemas.getFlows),
+  getFlows,
+);
 
 export default router;
@@ -0,0 +1,19 @@
+/**
+ * Rebuild the full-text search index from the messages and sessions in the
+ * database. Run with `npm run search:rebuild`, e.g. after restoring a backup.
+ */
+
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import searchService from '../services/search.service.js';
+
+try {
+  await db.sync();
+  await searchService.ensureIndex();
+  // Logs the number of messages and sessions indexed
+  await searchService.rebuild();
+  await db.sequelize.close();
+} catch (error) {
+  logger.error(`Search index rebuild failed: ${error.message}`);
+  process.exitCode = 1;
+}
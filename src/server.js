@@ -14,8 +14,14 @@ import config from './config/config.js';
 import db from './models/index.js';
 import logger from './utils/logger.js';
 import { errorHandler, notFound } from './middleware/error.js';
+import { buildPaths } from './utils/openapi.js';
+import searchService from './services/search.service.js';
 import authRoutes from './routes/auth.routes.js';
 import tutorRoutes from './routes/tutor.routes.js';
+import studyRoutes from './routes/study.routes.js';
+import classroomRoutes from './routes/classroom.routes.js';
+import assignmentRoutes from './routes/assignment.routes.js';
+import adminRoutes from './routes/admin.routes.js';
 
 /**
  * Express server setup with API routes, middleware, and documentation
@@ -37,9 +43,16 @@ if (!fs.existsSync(logsDir)) {
 const app = express();
 const PORT = config.port || 8000;
 
+// Account tokens travel in the query string of email links (e.g.
+// /api/auth/verify-email?token=...), so their values are kept out of the logs
+const redactUrl = (url) =>
+  url.replace(/([?&](?:token|challengeToken)=)[^&]*/gi, '$1[redacted]');
+
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
+
 // Request logger middleware (first to capture all requests)
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.url}`);
+  logger.info(`${req.method} ${redactUrl(req.url)}`);
   next();
 });
 
@@ -92,8 +105,8 @@ app.use(
   }),
 );
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: config.bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: config.bodyLimit }));
 app.use(
   morgan('combined', {
     stream: { write: (message) => logger.info(message.trim()) },
@@ -103,6 +116,10 @@ app.use(
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tutor', tutorRoutes);
+app.use('/api/study', studyRoutes);
+app.use('/api/classrooms', classroomRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Swagger documentation setup
 const swaggerOptions = {
@@ -119,6 +136,8 @@ const swaggerOptions = {
     components: {
       securitySchemes: {
         bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        // Personal API keys, accepted on the tutor routes
+        apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
       },
     },
   },
@@ -126,6 +145,23 @@ const swaggerOptions = {
 };
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
+
+// Routes are documented from the schemas that validate them
+swaggerSpec.paths = {
+  ...swaggerSpec.paths,
+  ...buildPaths([
+    { prefix: '/api/auth', router: authRoutes, tag: 'Authentication' },
+    { prefix: '/api/tutor', router: tutorRoutes, tag: 'Tutor' },
+    { prefix: '/api/study', router: studyRoutes, tag: 'Study' },
+    { prefix: '/api/classrooms', router: classroomRoutes, tag: 'Classrooms' },
+    {
+      prefix: '/api/assignments',
+      router: assignmentRoutes,
+      tag: 'Assignments',
+    },
+    { prefix: '/api/admin', router: adminRoutes, tag: 'Admin' },
+  ]),
+};
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // Rate limiting for API routes
@@ -153,7 +189,8 @@ const server = app.listen(PORT, () => {
 // Initialize database connection
 (async () => {
   try {
-    await db.sequelize.sync({ force: false });
+    await db.sync();
+    await searchService.ensureIndex();
     logger.info('✅ Database synchronized successfully');
   } catch (error) {
     logger.error(`Database initialization error: ${error.message}`);
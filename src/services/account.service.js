@@ -0,0 +1,130 @@
+/**
+ * @module AccountService
+ * @description Exports and deletes all data held about a user, for account
+ * self-service and data protection requests
+ */
+
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import sqliteMemoryService from './langchain/sqlite-memory.service.js';
+
+const User = db.User;
+const TutorSession = db.TutorSession;
+const Message = db.Message;
+
+// Large enough to cover the agent memory of any single session
+const MAX_AGENT_MESSAGES = 100000;
+
+class AccountService {
+  /**
+   * Collect everything stored about a user
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @returns {Promise<Object>} - Export document
+   */
+  async exportData(userId) {
+    const user = await User.findByPk(userId, {
+      attributes: { exclude: ['password', 'tokenVersion'] },
+    });
+
+    const sessions = await TutorSession.findAll({
+      where: { userId },
+      include: [{ model: Message }],
+      order: [
+        ['createdAt', 'ASC'],
+        [Message, 'createdAt', 'ASC'],
+      ],
+    });
+
+    const sessionData = [];
+    for (const session of sessions) {
+      // The agent's own copy of the conversation, kept for LangChain flows
+      const agentMessages = await sqliteMemoryService.getMessages(
+        session.id,
+        MAX_AGENT_MESSAGES,
+      );
+      sessionData.push({ ...session.toJSON(), agentMessages });
+    }
+
+    const [
+      learnerProfile,
+      topicMastery,
+      quizzes,
+      quizAttempts,
+      flashcards,
+      enrollments,
+      classrooms,
+      assignmentProgress,
+      loginSessions,
+      apiKeys,
+    ] = await Promise.all([
+      db.LearnerProfile.findOne({ where: { userId } }),
+      db.TopicMastery.findAll({ where: { userId } }),
+      db.Quiz.findAll({ where: { userId } }),
+      db.QuizAttempt.findAll({ where: { userId } }),
+      db.Flashcard.findAll({ where: { userId } }),
+      db.Enrollment.findAll({ where: { userId }, include: [db.Classroom] }),
+      db.Classroom.findAll({ where: { teacherId: userId } }),
+      db.AssignmentProgress.findAll({ where: { userId } }),
+      db.LoginSession.findAll({ where: { userId } }),
+      db.ApiKey.findAll({
+        where: { userId },
+        attributes: { exclude: ['keyHash'] },
+      }),
+    ]);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      user,
+      learnerProfile,
+      topicMastery,
+      sessions: sessionData,
+      quizzes,
+      quizAttempts,
+      flashcards,
+      enrollments,
+      classrooms,
+      assignmentProgress,
+      loginSessions,
+      apiKeys,
+    };
+  }
+
+  /**
+   * Delete a user and everything stored about them. Database rows go through
+   * the cascading foreign keys; the agent memory tables are not part of the
+   * Sequelize schema, so they are cleared per session first.
+   *
+   * @async
+   * @param {Object} user - The User instance
+   * @returns {Promise<void>}
+   */
+  async deleteAccount(user) {
+    const sessions = await TutorSession.findAll({
+      where: { userId: user.id },
+      attributes: ['id'],
+    });
+
+    for (const session of sessions) {
+      await sqliteMemoryService.deleteSession(session.id);
+    }
+
+    await db.sequelize.transaction(async (transaction) => {
+      // Sessions are removed explicitly in case an older database was
+      // created without the cascading constraints
+      await Message.destroy({
+        where: { sessionId: sessions.map((session) => session.id) },
+        transaction,
+      });
+      await TutorSession.destroy({ where: { userId: user.id }, transaction });
+      await user.destroy({ transaction });
+    });
+
+    logger.info(
+      `Account deleted for user ID: ${user.id} (${sessions.length} sessions)`,
+    );
+  }
+}
+
+export default new AccountService();
@@ -155,6 +155,10 @@ class AgentService {
         subject: tutorSession.subject || 'various subjects',
         name: 'AI Tutor',
         messages: [],
+        conversationSummary: null,
+        // Filled from the learner profile on each turn
+        learnerProfile: null,
+        assignmentInstructions: null,
         sessionId: tutorSession.id,
         created: new Date().toISOString(),
       };
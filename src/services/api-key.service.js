@@ -0,0 +1,156 @@
+/**
+ * @module ApiKeyService
+ * @description Creates, authenticates and revokes personal API keys for
+ * scripts and integrations
+ */
+
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { APIError } from '../middleware/error.js';
+
+const ApiKey = db.ApiKey;
+const User = db.User;
+
+// What a key may do on the tutor routes
+const API_KEY_SCOPES = {
+  'sessions:read': 'List and read tutor sessions, checkpoints and quizzes',
+  'sessions:write': 'Create, end and fork sessions, and create and take quizzes',
+  'messages:send': 'Send, edit and regenerate messages',
+};
+
+const KEY_PREFIX = 'tk_';
+const MAX_KEYS_PER_USER = 20;
+// Record last use at most this often, rather than on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyService {
+  /**
+   * Create an API key
+   *
+   * @async
+   * @param {number} userId - The owner's user ID
+   * @param {Object} details - `{ name, scopes, expiresAt }`
+   * @returns {Promise<Object>} - `{ apiKey, key }`; the raw key is only ever
+   * returned here
+   * @throws {APIError} - 400 if the user already has too many keys
+   */
+  async create(userId, { name, scopes, expiresAt = null }) {
+    const activeCount = await ApiKey.count({
+      where: { userId, revokedAt: null },
+    });
+    if (activeCount >= MAX_KEYS_PER_USER) {
+      throw new APIError(
+        `You can have at most ${MAX_KEYS_PER_USER} API keys; revoke one first`,
+        400,
+      );
+    }
+
+    // The prefix identifies the key in lists; the rest is the secret
+    const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash: this.hashKey(key),
+      scopes: [...new Set(scopes)],
+      userId,
+      expiresAt,
+    });
+
+    logger.info(`API key ${apiKey.prefix} created for user ID: ${userId}`);
+    return { apiKey, key };
+  }
+
+  /**
+   * List a user's keys that have not been revoked
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @returns {Promise<Array>} - ApiKey instances, without their hashes
+   */
+  async list(userId) {
+    return ApiKey.findAll({
+      where: { userId, revokedAt: null },
+      attributes: { exclude: ['keyHash'] },
+      order: [['createdAt', 'DESC']],
+    });
+  }
+
+  /**
+   * Revoke one of a user's keys
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {number} id - The ApiKey ID
+   * @returns {Promise<Object|null>} - The revoked key, or null if not found
+   */
+  async revoke(userId, id) {
+    const apiKey = await ApiKey.findOne({
+      where: { id, userId, revokedAt: null },
+    });
+
+    if (!apiKey) {
+      return null;
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    logger.info(`API key ${apiKey.prefix} revoked for user ID: ${userId}`);
+    return apiKey;
+  }
+
+  /**
+   * Find the key and user for a raw key presented with a request
+   *
+   * @async
+   * @param {string} rawKey - The key from the X-API-Key header
+   * @returns {Promise<Object>} - `{ apiKey, user }`
+   * @throws {APIError} - 401 if the key is unknown, revoked or expired, or its
+   * owner is inactive
+   */
+  async authenticate(rawKey) {
+    const apiKey = await ApiKey.findOne({
+      where: {
+        keyHash: this.hashKey(rawKey),
+        revokedAt: null,
+        [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }],
+      },
+    });
+
+    if (!apiKey) {
+      throw new APIError('Invalid or expired API key', 401);
+    }
+
+    const user = await User.findByPk(apiKey.userId);
+    if (!user || !user.active) {
+      throw new APIError('User not found or inactive', 401);
+    }
+
+    if (
+      !apiKey.lastUsedAt ||
+      Date.now() - apiKey.lastUsedAt.getTime() >= TOUCH_INTERVAL_MS
+    ) {
+      apiKey.lastUsedAt = new Date();
+      await apiKey.save();
+    }
+
+    return { apiKey, user };
+  }
+
+  /**
+   * Hash a raw key for storage and lookup
+   *
+   * @param {string} rawKey - The raw key
+   * @returns {string} - Hex-encoded SHA-256 hash
+   */
+  hashKey(rawKey) {
+    return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+  }
+}
+
+export { API_KEY_SCOPES };
+export default new ApiKeyService();
@@ -0,0 +1,215 @@
+/**
+ * @module AssignmentService
+ * @description Starts guided tutor sessions from teacher assignments, tracks
+ * each student's completion and reports progress to the teacher
+ */
+
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { APIError } from '../middleware/error.js';
+import agentService from './agent.service.js';
+import classroomService from './classroom.service.js';
+
+const Assignment = db.Assignment;
+const AssignmentProgress = db.AssignmentProgress;
+const TutorSession = db.TutorSession;
+const Message = db.Message;
+
+class AssignmentService {
+  /**
+   * Start a new tutor session for a student on an assignment and record that
+   * they have started it
+   *
+   * @async
+   * @param {Object} assignment - The Assignment instance
+   * @param {number} userId - The student's user ID
+   * @returns {Promise<Object>} - The new TutorSession instance
+   */
+  async startSession(assignment, userId) {
+    const session = await TutorSession.create({
+      subject: assignment.subject,
+      userId,
+      title: assignment.title,
+      assignmentId: assignment.id,
+    });
+
+    const initialState = agentService.initializeSessionState(session);
+
+    await Message.create({
+      sessionId: session.id,
+      content: `Welcome! This session is for your assignment "${assignment.title}". Tell me where you'd like to start.`,
+      role: 'system',
+      metadata: { agentState: initialState },
+    });
+
+    await AssignmentProgress.findOrCreate({
+      where: { assignmentId: assignment.id, userId },
+    });
+
+    logger.info(
+      `Session ${session.id} started for assignment ${assignment.id} by user: ${userId}`,
+    );
+    return session;
+  }
+
+  /**
+   * Mark an assignment completed for a student
+   *
+   * @async
+   * @param {Object} assignment - The Assignment instance
+   * @param {number} userId - The student's user ID
+   * @returns {Promise<Object>} - The AssignmentProgress instance
+   * @throws {APIError} - If the student has not started the assignment
+   */
+  async complete(assignment, userId) {
+    const progress = await AssignmentProgress.findOne({
+      where: { assignmentId: assignment.id, userId },
+    });
+
+    if (!progress) {
+      throw new APIError('Start the assignment before completing it', 400);
+    }
+
+    if (progress.status !== 'completed') {
+      progress.status = 'completed';
+      progress.completedAt = new Date();
+      await progress.save();
+      logger.info(`Assignment ${assignment.id} completed by user: ${userId}`);
+    }
+
+    return progress;
+  }
+
+  /**
+   * Tutor instructions for a session started from an assignment
+   *
+   * @async
+   * @param {Object} session - The TutorSession instance
+   * @returns {Promise<string|null>} - Instructions, or null if the session has no assignment
+   */
+  async getSessionInstructions(session) {
+    if (!session.assignmentId) {
+      return null;
+    }
+
+    const assignment = await Assignment.findByPk(session.assignmentId);
+    return assignment ? this.buildInstructions(assignment) : null;
+  }
+
+  /**
+   * Turn an assignment into instructions for the tutor's system prompt
+   *
+   * @param {Object} assignment - The Assignment instance
+   * @returns {string}
+   */
+  buildInstructions(assignment) {
+    const lines = [`This session is for the assignment "${assignment.title}".`];
+
+    if (assignment.dueAt) {
+      lines.push(
+        `It is due on ${new Date(assignment.dueAt).toISOString().slice(0, 10)}.`,
+      );
+    }
+
+    if (assignment.objectives?.length > 0) {
+      lines.push(
+        'By the end of the session the student should be able to:',
+        ...assignment.objectives.map((objective) => `- ${objective}`),
+      );
+    }
+
+    if (assignment.instructions) {
+      lines.push(`Teacher's instructions: ${assignment.instructions}`);
+    }
+
+    lines.push(
+      'Keep the session focused on this assignment. Have the student do the work themselves rather than giving complete solutions, and check each objective before telling them they are done.',
+    );
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Per-student report for an assignment: who started, who finished and how
+   * long they spent. Time spent is the span of each assignment session, from
+   * its start to its end or last message.
+   *
+   * @async
+   * @param {Object} assignment - The Assignment instance
+   * @returns {Promise<Object>} - `{ summary, students }`
+   */
+  async getReport(assignment) {
+    const [students, progress, sessions] = await Promise.all([
+      classroomService.listStudents(assignment.classroomId),
+      AssignmentProgress.findAll({ where: { assignmentId: assignment.id } }),
+      TutorSession.findAll({
+        where: { assignmentId: assignment.id },
+        attributes: [
+          'id',
+          'userId',
+          'startedAt',
+          'endedAt',
+          [
+            db.sequelize.literal(
+              '(SELECT MAX(createdAt) FROM Messages WHERE Messages.sessionId = TutorSession.id)',
+            ),
+            'lastMessageAt',
+          ],
+          [
+            db.sequelize.literal(
+              "(SELECT COUNT(*) FROM Messages WHERE Messages.sessionId = TutorSession.id AND Messages.role = 'user' AND Messages.supersededById IS NULL)",
+            ),
+            'studentMessageCount',
+          ],
+        ],
+      }),
+    ]);
+
+    const progressByUser = new Map(progress.map((item) => [item.userId, item]));
+    const dueAt = assignment.dueAt ? new Date(assignment.dueAt) : null;
+
+    const rows = students.map((student) => {
+      const record = progressByUser.get(student.id);
+      const own = sessions.filter((session) => session.userId === student.id);
+
+      const timeSpentMs = own.reduce((total, session) => {
+        const end =
+          session.endedAt || session.get('lastMessageAt') || session.startedAt;
+        return (
+          total + Math.max(0, new Date(end) - new Date(session.startedAt))
+        );
+      }, 0);
+
+      return {
+        ...student,
+        status: record?.status || 'not_started',
+        startedAt: record?.startedAt || null,
+        completedAt: record?.completedAt || null,
+        late: Boolean(
+          dueAt &&
+            (record?.completedAt ? record.completedAt > dueAt : Date.now() > dueAt),
+        ),
+        sessionCount: own.length,
+        messageCount: own.reduce(
+          (total, session) => total + Number(session.get('studentMessageCount')),
+          0,
+        ),
+        timeSpentSeconds: Math.round(timeSpentMs / 1000),
+      };
+    });
+
+    const count = (status) => rows.filter((row) => row.status === status).length;
+
+    return {
+      summary: {
+        enrolled: rows.length,
+        notStarted: count('not_started'),
+        inProgress: count('in_progress'),
+        completed: count('completed'),
+      },
+      students: rows,
+    };
+  }
+}
+
+export default new AssignmentService();
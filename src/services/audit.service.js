@@ -0,0 +1,74 @@
+/**
+ * @module AuditService
+ * @description Records administrative actions and lists them for review
+ */
+
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { pageQuery, toPage } from '../utils/pagination.js';
+
+const AuditLog = db.AuditLog;
+const User = db.User;
+
+class AuditService {
+  /**
+   * Record an action taken by the current user
+   *
+   * @async
+   * @param {Object} req - Express request object, for the actor and IP address
+   * @param {string} action - Action name, e.g. `user.role_changed`
+   * @param {Object} target - `{ type, id }` of the affected record
+   * @param {Object} details - Action-specific values
+   * @returns {Promise<Object>} - The AuditLog instance
+   */
+  async record(req, action, target = {}, details = null) {
+    const entry = await AuditLog.create({
+      action,
+      actorId: req.user?.id ?? null,
+      targetType: target.type ?? null,
+      targetId: target.id != null ? String(target.id) : null,
+      details,
+      ip: req.ip,
+    });
+
+    logger.info(
+      `Audit: ${action} by user ${entry.actorId} on ${entry.targetType}:${entry.targetId}`,
+    );
+    return entry;
+  }
+
+  /**
+   * List a page of audit entries, newest first
+   *
+   * @async
+   * @param {Object} filters - Optional `{ action, actorId, targetType, targetId }`
+   * @param {Object} page - Cursor and page size: `{ cursor, limit }`
+   * @returns {Promise<Object>} - `{ items, pagination }`
+   */
+  async list(filters, { cursor, limit }) {
+    const where = {};
+    for (const key of ['action', 'actorId', 'targetType', 'targetId']) {
+      if (filters[key] !== undefined) {
+        where[key] = filters[key];
+      }
+    }
+
+    const page = pageQuery({ cursor, limit });
+    const rows = await AuditLog.findAll({
+      ...page,
+      where: { [Op.and]: [where, page.where] },
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'name', 'email'],
+        },
+      ],
+    });
+
+    return toPage(rows, { limit });
+  }
+}
+
+export default new AuditService();
@@ -0,0 +1,265 @@
+/**
+ * @module CheckpointService
+ * @description Browses a session's agent checkpoints, forks new sessions from them and rewinds agent state
+ */
+
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { APIError } from '../middleware/error.js';
+import sqliteMemoryService from './langchain/sqlite-memory.service.js';
+
+const TutorSession = db.TutorSession;
+const Message = db.Message;
+
+class CheckpointService {
+  /**
+   * List a session's checkpoints, oldest first, without their full state
+   *
+   * @async
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<Array<Object>>} - Checkpoint summaries
+   */
+  async listCheckpoints(sessionId) {
+    const checkpoints = await sqliteMemoryService.listCheckpoints(sessionId);
+
+    return checkpoints.map(({ checkpointId, createdAt, state }) => {
+      const messages = Array.isArray(state.messages) ? state.messages : [];
+      const lastMessage = messages[messages.length - 1];
+
+      return {
+        checkpointId,
+        createdAt,
+        messageCount: messages.length,
+        hasSummary: Boolean(state.conversationSummary),
+        lastMessage: lastMessage
+          ? {
+              role: lastMessage.role,
+              content:
+                lastMessage.content?.length > 200
+                  ? `${lastMessage.content.substring(0, 200)}...`
+                  : lastMessage.content,
+            }
+          : null,
+      };
+    });
+  }
+
+  /**
+   * Load one checkpoint of a session
+   *
+   * @async
+   * @param {string} sessionId - The session ID
+   * @param {string} checkpointId - The checkpoint ID
+   * @returns {Promise<Object>} - `{ checkpointId, createdAt, state }`
+   * @throws {APIError} - If the checkpoint does not exist
+   */
+  async getCheckpoint(sessionId, checkpointId) {
+    const checkpoint = await sqliteMemoryService.getCheckpoint(
+      sessionId,
+      checkpointId,
+    );
+
+    if (!checkpoint) {
+      throw new APIError('Checkpoint not found', 404);
+    }
+
+    return checkpoint;
+  }
+
+  /**
+   * Create a new session that continues from an earlier checkpoint.
+   * The transcript is copied up to the turn that produced the checkpoint and
+   * the checkpoint state becomes the first checkpoint of the new session.
+   *
+   * @async
+   * @param {Object} session - The source TutorSession instance
+   * @param {string} checkpointId - The checkpoint to fork from
+   * @returns {Promise<Object>} - `{ session, messageCount, checkpointId }`
+   */
+  async forkSession(session, checkpointId) {
+    const checkpoint = await this.getCheckpoint(session.id, checkpointId);
+
+    // Hidden alternates stay with the source session
+    const messages = await Message.findAll({
+      where: { sessionId: session.id, supersededById: null },
+      order: [['createdAt', 'ASC']],
+    });
+    const copied = messages.slice(0, this._findCutIndex(messages, checkpoint));
+
+    // Old message ID -> copied message ID
+    const messageIds = new Map();
+
+    const forked = await db.sequelize.transaction(async (transaction) => {
+      const newSession = await TutorSession.create(
+        {
+          title: `${session.title} (fork)`,
+          subject: session.subject,
+          userId: session.userId,
+          llmSettings: session.llmSettings,
+          flowName: session.flowName,
+          forkedFromSessionId: session.id,
+          forkedFromCheckpointId: checkpointId,
+        },
+        { transaction },
+      );
+
+      for (const message of copied) {
+        const copy = await Message.create(
+          {
+            sessionId: newSession.id,
+            content: message.content,
+            role: message.role,
+            metadata: message.metadata,
+            // Keep the original ordering of the transcript
+            createdAt: message.createdAt,
+          },
+          { transaction },
+        );
+        messageIds.set(message.id, copy.id);
+      }
+
+      return newSession;
+    });
+
+    try {
+      const state = { ...checkpoint.state, sessionId: forked.id };
+
+      // Direct-mode summaries point at Message rows, which now have new IDs
+      const summary = state.conversationSummary;
+      if (summary?.throughMessageId && messageIds.has(summary.throughMessageId)) {
+        state.conversationSummary = {
+          ...summary,
+          throughMessageId: messageIds.get(summary.throughMessageId),
+        };
+      }
+
+      // Agent memory holds every message up to the last one in the checkpoint
+      const agentMessages = Array.isArray(state.messages) ? state.messages : [];
+      const lastAgentMessage = agentMessages[agentMessages.length - 1];
+      if (lastAgentMessage?.id) {
+        await sqliteMemoryService.copyMessages(
+          session.id,
+          forked.id,
+          lastAgentMessage.id,
+        );
+      }
+
+      const newCheckpointId = await sqliteMemoryService.saveCheckpoint(
+        forked.id,
+        state,
+      );
+
+      logger.info(
+        `Forked session ${forked.id} from ${session.id} at checkpoint ${checkpointId}`,
+      );
+
+      return {
+        session: forked,
+        messageCount: copied.length,
+        checkpointId: newCheckpointId,
+      };
+    } catch (error) {
+      // Don't leave a session behind whose memory doesn't match its transcript
+      await sqliteMemoryService.deleteSession(forked.id).catch(() => {});
+      await forked.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the agent state that matches a rewound transcript, so the next
+   * turn does not see replies that are being replaced. The restored state is
+   * saved as a new checkpoint and becomes the latest one.
+   *
+   * @async
+   * @param {string} sessionId - The session ID
+   * @param {Array} keptMessages - Active messages that stay, oldest first
+   * @param {Array} replacedMessages - Active messages that are being replaced
+   * @returns {Promise<string|null>} - The new checkpoint ID, or null if the session has none
+   */
+  async rewind(sessionId, keptMessages, replacedMessages) {
+    const checkpoints = await sqliteMemoryService.listCheckpoints(sessionId);
+
+    if (checkpoints.length === 0) {
+      return null;
+    }
+
+    const checkpointOf = (message) => message.metadata?.checkpointId;
+    const lastKept = [...keptMessages].reverse().find(checkpointOf);
+    let target;
+
+    if (lastKept) {
+      // Agent flow: the checkpoint saved by the last reply that stays
+      target = checkpoints.find(
+        (checkpoint) => checkpoint.checkpointId === checkpointOf(lastKept),
+      );
+    } else if (replacedMessages.some(checkpointOf)) {
+      // Agent flow rewound past its first reply: the initial state
+      target = checkpoints[0];
+    } else {
+      // Direct mode only checkpoints the summary: keep the newest one that
+      // does not cover replaced messages
+      const keptIds = new Set(keptMessages.map((message) => message.id));
+      target = [...checkpoints]
+        .reverse()
+        .find(
+          ({ state }) =>
+            !state.conversationSummary ||
+            keptIds.has(state.conversationSummary.throughMessageId),
+        );
+    }
+
+    const latest = checkpoints[checkpoints.length - 1];
+    const state = target
+      ? target.state
+      : { ...latest.state, conversationSummary: null };
+
+    const checkpointId = await sqliteMemoryService.saveCheckpoint(
+      sessionId,
+      state,
+    );
+
+    logger.debug(
+      `Rewound session ${sessionId} to checkpoint ${
+        target?.checkpointId || 'without summary'
+      }`,
+    );
+    return checkpointId;
+  }
+
+  /**
+   * Number of transcript messages that belong before a checkpoint.
+   * Agent flow replies record the checkpoint they produced; otherwise the
+   * checkpoint time is used. A trailing unanswered user message is dropped
+   * so the fork resumes after a complete turn.
+   *
+   * @private
+   * @param {Array} messages - Session messages, oldest first
+   * @param {Object} checkpoint - The checkpoint record
+   * @returns {number} - How many leading messages to copy
+   */
+  _findCutIndex(messages, checkpoint) {
+    let cut = messages.findIndex(
+      (message) => message.metadata?.checkpointId === checkpoint.checkpointId,
+    );
+
+    if (cut !== -1) {
+      return cut + 1;
+    }
+
+    // SQLite stores CURRENT_TIMESTAMP as UTC with second precision
+    const createdAt = new Date(`${checkpoint.createdAt.replace(' ', 'T')}Z`);
+    const until = createdAt.getTime() + 1000;
+    cut = messages.filter(
+      (message) => new Date(message.createdAt).getTime() < until,
+    ).length;
+
+    while (cut > 0 && messages[cut - 1].role === 'user') {
+      cut -= 1;
+    }
+
+    return cut;
+  }
+}
+
+export default new CheckpointService();
@@ -0,0 +1,171 @@
+/**
+ * @module ClassroomService
+ * @description Manages classrooms, join codes and enrollments, and decides which
+ * students a teacher can see
+ */
+
+import crypto from 'crypto';
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { APIError } from '../middleware/error.js';
+
+const Classroom = db.Classroom;
+const Enrollment = db.Enrollment;
+const User = db.User;
+
+// No 0/O or 1/I/L so codes can be read out in class
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+const MAX_JOIN_CODE_ATTEMPTS = 5;
+
+class ClassroomService {
+  /**
+   * Create a classroom with a fresh join code
+   *
+   * @async
+   * @param {number} teacherId - The teacher's user ID
+   * @param {Object} details - `{ name, description }`
+   * @returns {Promise<Object>} - The Classroom instance
+   */
+  async createClassroom(teacherId, { name, description = null }) {
+    const classroom = await Classroom.create({
+      name,
+      description,
+      teacherId,
+      joinCode: await this.generateJoinCode(),
+    });
+
+    logger.info(`Classroom ${classroom.id} created by teacher: ${teacherId}`);
+    return classroom;
+  }
+
+  /**
+   * Generate a join code that no classroom uses yet
+   *
+   * @async
+   * @returns {Promise<string>}
+   * @throws {Error} - If no unused code is found
+   */
+  async generateJoinCode() {
+    for (let attempt = 0; attempt < MAX_JOIN_CODE_ATTEMPTS; attempt++) {
+      let code = '';
+      for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+      }
+
+      const existing = await Classroom.count({ where: { joinCode: code } });
+      if (existing === 0) {
+        return code;
+      }
+    }
+
+    throw new Error('Could not generate a unique join code');
+  }
+
+  /**
+   * Enroll a student in the classroom with a join code
+   *
+   * @async
+   * @param {number} userId - The student's user ID
+   * @param {string} joinCode - The classroom's join code, in any case
+   * @returns {Promise<Object>} - `{ classroom, created }`, where `created` is false if already enrolled
+   * @throws {APIError} - If no classroom has this code
+   */
+  async join(userId, joinCode) {
+    const classroom = await Classroom.findOne({
+      where: { joinCode: String(joinCode).trim().toUpperCase() },
+    });
+
+    if (!classroom) {
+      throw new APIError('Invalid join code', 404);
+    }
+
+    const [, created] = await Enrollment.findOrCreate({
+      where: { classroomId: classroom.id, userId },
+    });
+
+    if (created) {
+      logger.info(`User ${userId} joined classroom: ${classroom.id}`);
+    }
+
+    return { classroom, created };
+  }
+
+  /**
+   * List the students enrolled in a classroom
+   *
+   * @async
+   * @param {string} classroomId - The classroom ID
+   * @returns {Promise<Array>} - `{ id, name, email, enrolledAt }` for each student
+   */
+  async listStudents(classroomId) {
+    const enrollments = await Enrollment.findAll({
+      where: { classroomId },
+      include: [{ model: User, attributes: ['id', 'name', 'email'] }],
+      order: [[User, 'name', 'ASC']],
+    });
+
+    return enrollments.map((enrollment) => ({
+      id: enrollment.User.id,
+      name: enrollment.User.name,
+      email: enrollment.User.email,
+      enrolledAt: enrollment.createdAt,
+    }));
+  }
+
+  /**
+   * Whether a user teaches a classroom; admins count as teachers of every classroom
+   *
+   * @param {Object} user - The authenticated user (`req.user`)
+   * @param {Object} classroom - The Classroom instance
+   * @returns {boolean}
+   */
+  isTeacher(user, classroom) {
+    return classroom.teacherId === user.id || user.role === 'admin';
+  }
+
+  /**
+   * Whether a user is enrolled in a classroom
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {string} classroomId - The classroom ID
+   * @returns {Promise<boolean>}
+   */
+  async isEnrolled(userId, classroomId) {
+    const enrollments = await Enrollment.count({
+      where: { classroomId, userId },
+    });
+    return enrollments > 0;
+  }
+
+  /**
+   * Whether a user may see a student's sessions: the student themselves, an
+   * admin, or a teacher of a classroom the student is enrolled in
+   *
+   * @async
+   * @param {Object} viewer - The authenticated user (`req.user`)
+   * @param {number} studentId - The student's user ID
+   * @returns {Promise<boolean>}
+   */
+  async canViewStudent(viewer, studentId) {
+    if (viewer.id === studentId || viewer.role === 'admin') {
+      return true;
+    }
+
+    if (viewer.role !== 'teacher') {
+      return false;
+    }
+
+    const enrollments = await Enrollment.count({
+      where: { userId: studentId },
+      include: [
+        { model: Classroom, where: { teacherId: viewer.id }, required: true },
+      ],
+    });
+
+    return enrollments > 0;
+  }
+}
+
+export default new ClassroomService();
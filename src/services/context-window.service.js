@@ -0,0 +1,370 @@
+/**
+ * @module ContextWindowService
+ * @description Keeps conversation history within a token budget. The most recent
+ * turns are kept verbatim and older turns are folded into a running summary that
+ * is stored in the session checkpoint.
+ */
+
+import { getEncoding, getEncodingNameForModel } from 'js-tiktoken';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import llmProviderService from './llm-provider.service.js';
+import sqliteMemoryService from './langchain/sqlite-memory.service.js';
+
+// Context window sizes for known model families, matched by prefix
+const MODEL_CONTEXT_LIMITS = [
+  ['gpt-4o', 128000],
+  ['gpt-4.1', 1000000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4', 8192],
+  ['gpt-3.5-turbo', 16385],
+  ['o1', 128000],
+  ['o3', 200000],
+  ['mock', 8192],
+];
+
+// Per-message overhead of the chat format (role and separators)
+const TOKENS_PER_MESSAGE = 4;
+
+// Unknown (e.g. local) models: cl100k is a reasonable approximation
+const FALLBACK_ENCODING = 'cl100k_base';
+
+// Model names come from session settings, so only this many are remembered
+const MAX_CACHED_MODELS = 100;
+
+class ContextWindowService {
+  constructor() {
+    this.encoders = new Map(); // Tokenizers cached by encoding name
+    this.modelEncodings = new Map(); // Encoding names by model name
+  }
+
+  /**
+   * Count the tokens in a piece of text for a model
+   *
+   * @param {string} text - The text to count
+   * @param {string} model - The model name
+   * @returns {number} - Token count
+   */
+  countTokens(text, model) {
+    if (!text) return 0;
+
+    const encoder = this._getEncoder(model);
+    if (!encoder) {
+      // Rough estimate when no tokenizer is available
+      return Math.ceil(text.length / 4);
+    }
+
+    return encoder.encode(text).length;
+  }
+
+  /**
+   * Count the tokens a list of chat messages will use
+   *
+   * @param {Array} messages - Messages in `{ role, content }` format
+   * @param {string} model - The model name
+   * @returns {number} - Token count
+   */
+  countMessageTokens(messages, model) {
+    return messages.reduce(
+      (total, message) =>
+        total + TOKENS_PER_MESSAGE + this.countTokens(message.content, model),
+      0,
+    );
+  }
+
+  /**
+   * Context window size for a model
+   *
+   * @param {string} model - The model name
+   * @returns {number} - Maximum tokens per request
+   */
+  getContextLimit(model = '') {
+    const match = MODEL_CONTEXT_LIMITS.find(([prefix]) =>
+      model.startsWith(prefix),
+    );
+    return match ? match[1] : config.context.defaultContextLimit;
+  }
+
+  /**
+   * Split history into the recent messages that fit the budget and the older
+   * messages that do not. Messages already covered by `summary` are skipped.
+   *
+   * @param {Array} history - Conversation history, oldest first (system messages are ignored)
+   * @param {Object} options - Fitting options
+   * @param {string} options.model - The model name
+   * @param {number} options.reservedTokens - Tokens needed for the system prompt, new input and completion
+   * @param {Object} options.summary - Existing summary `{ text, throughMessageId }`
+   * @returns {Object} - `{ recent, overflow }`
+   */
+  fitHistory(history = [], { model, reservedTokens = 0, summary = null } = {}) {
+    let messages = history.filter((message) => message.role !== 'system');
+
+    // Drop messages the summary already covers. If the covered message is no
+    // longer in the history, everything still present is newer than the summary.
+    if (summary?.throughMessageId) {
+      const index = messages.findIndex(
+        (message) => message.id === summary.throughMessageId,
+      );
+      if (index !== -1) {
+        messages = messages.slice(index + 1);
+      }
+    }
+
+    const summaryTokens = this.countTokens(summary?.text, model);
+    const budget = Math.min(
+      config.context.maxHistoryTokens,
+      this.getContextLimit(model) - reservedTokens,
+    ) - summaryTokens;
+
+    // Walk backwards keeping messages while they fit, always keeping a few
+    let used = 0;
+    let start = messages.length;
+    while (start > 0) {
+      const cost =
+        TOKENS_PER_MESSAGE + this.countTokens(messages[start - 1].content, model);
+      const kept = messages.length - start;
+      if (used + cost > budget && kept >= config.context.minRecentMessages) {
+        break;
+      }
+      used += cost;
+      start -= 1;
+    }
+
+    return {
+      recent: messages.slice(start),
+      overflow: messages.slice(0, start),
+    };
+  }
+
+  /**
+   * Fit history into the token budget, summarising whatever overflows.
+   * When `options.summary` is undefined the summary is loaded from and saved to
+   * the session checkpoint; otherwise the caller owns persistence.
+   *
+   * @async
+   * @param {Object} session - `{ id, subject, llmSettings }`
+   * @param {Array} history - Conversation history, oldest first
+   * @param {Object} options - Compaction options
+   * @param {string} options.model - The model name
+   * @param {number} options.reservedTokens - Tokens needed outside the history
+   * @param {Object|null} options.summary - Current summary, if the caller tracks it
+   * @returns {Promise<Object>} - `{ messages, summary }`
+   */
+  async compact(session, history = [], options = {}) {
+    const { model, reservedTokens } = options;
+    const persist = options.summary === undefined;
+
+    let summary = persist
+      ? await this.loadSummary(session.id)
+      : options.summary || null;
+
+    const { recent, overflow } = this.fitHistory(history, {
+      model,
+      reservedTokens,
+      summary,
+    });
+
+    if (overflow.length > 0) {
+      logger.debug(
+        `Summarising ${overflow.length} older messages for session ${session.id}`,
+      );
+
+      summary = {
+        text: await this.summarize(summary?.text, overflow, session),
+        throughMessageId: overflow[overflow.length - 1].id || null,
+        updatedAt: new Date().toISOString(),
+      };
+
+      if (persist) {
+        await this.saveSummary(session.id, summary);
+      }
+    }
+
+    return { messages: recent, summary };
+  }
+
+  /**
+   * Fold older messages into the running summary
+   *
+   * @async
+   * @param {string} previousSummary - The current summary text, if any
+   * @param {Array} messages - Messages to fold in, oldest first
+   * @param {Object} session - `{ id, subject, llmSettings }`
+   * @returns {Promise<string>} - The updated summary text
+   */
+  async summarize(previousSummary, messages, session) {
+    const transcript = messages
+      .map((message) => `${message.role}: ${message.content}`)
+      .join('\n');
+
+    try {
+      const { provider, model, temperature } = llmProviderService.resolve(
+        session.llmSettings,
+      );
+
+      if (provider.isConfigured()) {
+        return await provider.complete(
+          [
+            {
+              role: 'system',
+              content: `You maintain a running summary of a tutoring conversation about ${
+                session.subject || 'various subjects'
+              }. Update the summary with the new messages. Keep the topics covered, what the student understood or struggled with, and any open questions. Be concise and write in the third person.`,
+            },
+            {
+              role: 'user',
+              content: `Current summary:\n${
+                previousSummary || '(none)'
+              }\n\nNew messages:\n${transcript}`,
+            },
+          ],
+          {
+            model,
+            temperature,
+            maxTokens: config.context.maxSummaryTokens,
+            subject: session.subject,
+          },
+        );
+      }
+    } catch (error) {
+      logger.error(`Error summarising conversation: ${error.message}`);
+    }
+
+    return this._extractiveSummary(previousSummary, messages);
+  }
+
+  /**
+   * Build the system message that carries the summary into a prompt
+   *
+   * @param {Object} summary - `{ text }`
+   * @returns {Object|null} - A system message, or null if there is no summary
+   */
+  buildSummaryMessage(summary) {
+    if (!summary?.text) return null;
+
+    return {
+      role: 'system',
+      content: `Summary of the earlier conversation:\n${summary.text}`,
+    };
+  }
+
+  /**
+   * Load the running summary from the latest session checkpoint
+   *
+   * @async
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<Object|null>} - The summary, if any
+   */
+  async loadSummary(sessionId) {
+    try {
+      const state = await sqliteMemoryService.loadCheckpoint(sessionId);
+      return state?.conversationSummary || null;
+    } catch (error) {
+      logger.warn(
+        `Could not load conversation summary for session ${sessionId}: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Store the running summary in a new checkpoint built on the latest state
+   *
+   * @async
+   * @param {string} sessionId - The session ID
+   * @param {Object} summary - The summary to store
+   * @returns {Promise<void>}
+   */
+  async saveSummary(sessionId, summary) {
+    try {
+      const state = (await sqliteMemoryService.loadCheckpoint(sessionId)) || {
+        sessionId,
+      };
+      await sqliteMemoryService.saveCheckpoint(sessionId, {
+        ...state,
+        conversationSummary: summary,
+      });
+    } catch (error) {
+      logger.error(
+        `Could not save conversation summary for session ${sessionId}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Summary used when no LLM is available: the previous summary plus the
+   * opening of each message, trimmed to the summary budget from the end.
+   *
+   * @private
+   * @param {string} previousSummary - The current summary text, if any
+   * @param {Array} messages - Messages to fold in
+   * @returns {string} - Summary text
+   */
+  _extractiveSummary(previousSummary, messages) {
+    const lines = messages.map((message) => {
+      const content = message.content.replace(/\s+/g, ' ').trim();
+      return `- ${message.role}: ${
+        content.length > 200 ? `${content.substring(0, 200)}...` : content
+      }`;
+    });
+
+    const text = [previousSummary, ...lines].filter(Boolean).join('\n');
+    const maxChars = config.context.maxSummaryTokens * 4;
+
+    return text.length > maxChars ? text.substring(text.length - maxChars) : text;
+  }
+
+  /**
+   * Get a cached tokenizer for a model. Tokenizers are shared by all models
+   * with the same encoding.
+   *
+   * @private
+   * @param {string} model - The model name
+   * @returns {Object|null} - The tokenizer, or null if none could be loaded
+   */
+  _getEncoder(model = '') {
+    const name = this._getEncodingName(model);
+    if (this.encoders.has(name)) {
+      return this.encoders.get(name);
+    }
+
+    let encoder = null;
+    try {
+      encoder = getEncoding(name);
+    } catch (error) {
+      logger.warn(`No tokenizer available for ${name}: ${error.message}`);
+    }
+
+    this.encoders.set(name, encoder);
+    return encoder;
+  }
+
+  /**
+   * Look up the encoding a model uses, remembering the most recent models
+   *
+   * @private
+   * @param {string} model - The model name
+   * @returns {string} - The encoding name
+   */
+  _getEncodingName(model) {
+    let name = this.modelEncodings.get(model);
+    if (name) {
+      // Move to the end so the least recently used model is dropped first
+      this.modelEncodings.delete(model);
+    } else {
+      try {
+        name = getEncodingNameForModel(model);
+      } catch (error) {
+        name = FALLBACK_ENCODING;
+      }
+      if (this.modelEncodings.size >= MAX_CACHED_MODELS) {
+        this.modelEncodings.delete(this.modelEncodings.keys().next().value);
+      }
+    }
+
+    this.modelEncodings.set(model, name);
+    return name;
+  }
+}
+
+export default new ContextWindowService();
@@ -1,8 +1,8 @@
 /**
  * @module AgentFlowService
- * @description Implementation of the sequential agent flow as defined in agent-flow.md
+ * @description Implementation of the tutor agent flow as defined in agent-flow.md
  * This is a standalone implementation that can run without LangChain/LangGraph installed
- * but follows the same architectural patterns
+ * but follows the same architectural patterns, using the StateGraph runtime
  */
 
 import config from '../../config/config.js';
@@ -10,160 +10,133 @@ import logger from '../../utils/logger.js';
 import openAIService from '../openai.service.js';
 import sqliteMemoryService from './sqlite-memory.service.js';
 import stateManagerService from './state-manager.service.js';
+import flowLoaderService from './flow-loader.service.js';
+import { Overwrite, START, END } from './state-graph.js';
 import promptTemplateService from './prompt-template.service.js';
+import contextWindowService from '../context-window.service.js';
+import llmProviderService from '../llm-provider.service.js';
+
+// System prompt used when a flow's seqStart node doesn't define one
+const DEFAULT_SYSTEM_PROMPT =
+  'You are a friendly assistant called {name} who can answer basic questions on {subject}';
+
+/**
+ * Replace `{key}` placeholders with values from the state
+ *
+ * @param {string} template - Template text
+ * @param {Object} state - Values to substitute
+ * @returns {string} - The interpolated text
+ */
+const interpolate = (template, state) =>
+  template.replace(/{(\w+)}/g, (match, key) =>
+    state[key] !== undefined && state[key] !== null ? String(state[key]) : match,
+  );
 
 /**
- * Service to create and manage the sequential agent flow
+ * Service to create and manage the tutor agent flow
  */
 class AgentFlowService {
   constructor() {
-    this.workflows = new Map(); // Map to store compiled workflows by session ID
+    this.workflows = new Map(); // Compiled workflows by flow version
+
+    // Factories for each node type a flow definition can use. Each takes the
+    // node's `inputs` and returns `{ fn, options }` for StateGraph.addNode.
+    this.nodeFactories = {
+      seqStart: (inputs) => ({ fn: this._createStartNode(inputs) }),
+      seqAgent: (inputs) => ({ fn: this._createAgentNode(inputs) }),
+      sqliteAgentMemory: (inputs, memoryManager) => ({
+        fn: this._createMemoryNode(memoryManager),
+        options: {
+          // A failed save should not cost the student their answer
+          onError: (memoryError) => {
+            logger.error(`Error persisting memory: ${memoryError.message}`);
+            return {};
+          },
+        },
+      }),
+      seqEnd: () => ({ fn: this._createEndNode() }),
+    };
   }
 
   /**
-   * Create a sequential agent workflow
+   * Create a workflow from a flow definition. The default definition
+   * (tutor-v0.5) runs start → agent → (memory | end) → end.
    *
+   * @param {Object} definition - Validated flow definition from FlowLoaderService
    * @param {Object} memoryManager - Memory manager for state persistence
    * @returns {Object} - The workflow object for execution
    */
-  createAgentFlow(memoryManager = sqliteMemoryService) {
+  createAgentFlow(
+    definition = flowLoaderService.loadFlow(config.flows.default).definition,
+    memoryManager = sqliteMemoryService,
+  ) {
     try {
-      logger.info('Creating sequential agent flow');
+      logger.info(`Creating agent flow graph: ${definition.name}`);
 
-      // Define the workflow with its sequential steps
-      const workflow = {
-        nodes: {
-          // Start node - equivalent to seqStart_0 in TutorV0.5 Agents.json
-          start: async (state, input) => {
-            logger.debug(`Starting agent flow for session: ${state.sessionId}`);
-
-            // Create system prompt
-            const subjectSpecificPrompt =
-              promptTemplateService.createSubjectPromptTemplate(state.subject);
-
-            // Return updated state with prompt
-            return {
-              ...state,
-              systemPrompt: `You are a friendly assistant called ${state.name} who can answer basic questions on ${state.subject}`,
-            };
-          },
+      const graph = stateManagerService.createStateGraph();
 
-          // Agent node - equivalent to seqAgent_0 in TutorV0.5 Agents.json
-          agent: async (state, input) => {
-            logger.debug(
-              `Processing agent node for session: ${state.sessionId}`,
-            );
-
-            // Format the conversation history
-            const formattedHistory = [
-              { role: 'system', content: state.systemPrompt },
-              ...(state.messages || []),
-            ];
-
-            // Create a minimal session object for OpenAI service
-            const minimalSession = {
-              id: state.sessionId,
-              subject: state.subject,
-            };
-
-            // Process through OpenAI service using the correct method
-            let response;
-            try {
-              logger.debug(
-                `Calling OpenAI service for session ${state.sessionId}`,
-              );
-              response = await openAIService.generateTutorResponse(
-                input,
-                minimalSession,
-                formattedHistory,
-              );
-              logger.debug(
-                `Received response from OpenAI service: ${response.substring(
-                  0,
-                  50,
-                )}...`,
-              );
-            } catch (modelError) {
-              logger.error(
-                `Error generating tutor response: ${modelError.message}`,
-              );
-              logger.error(modelError.stack);
-              response =
-                "I'm having trouble processing your request. Please try again.";
-            }
+      // Instantiate a graph node for each definition node
+      definition.nodes.forEach((node) => {
+        const factory = this.nodeFactories[node.data.name];
+        if (!factory) {
+          throw new Error(`Unsupported node type: ${node.data.name}`);
+        }
+        const { fn, options } = factory(node.data.inputs || {}, memoryManager);
+        graph.addNode(node.id, fn, options);
+      });
 
-            // Add to state
-            return { ...state, response };
-          },
+      const startNode = definition.nodes.find((n) => n.data.name === 'seqStart');
+      graph.addEdge(START, startNode.id);
 
-          // Memory node - equivalent to sqliteAgentMemory_0 in TutorV0.5 Agents.json
-          memory: async (state) => {
-            logger.debug(
-              `Processing memory node for session: ${state.sessionId}`,
-            );
+      definition.nodes.forEach((node) => {
+        if (node.data.name === 'seqEnd') {
+          graph.addEdge(node.id, END);
+          return;
+        }
 
-            if (memoryManager) {
-              try {
-                // Save the assistant message to memory
-                const messageId = `msg_${Date.now()}`;
-                await memoryManager.saveMessage(
-                  state.sessionId,
-                  messageId,
-                  'assistant',
-                  state.response,
-                );
-
-                // Update the messages in state
-                const messages = [
-                  ...(state.messages || []),
-                  { role: 'assistant', content: state.response, id: messageId },
-                ];
-
-                // Save checkpoint to memory
-                const checkpointId = await memoryManager.saveCheckpoint(
-                  state.sessionId,
-                  { ...state, messages },
-                );
-                logger.debug(
-                  `Saved checkpoint ${checkpointId} for session ${state.sessionId}`,
-                );
-
-                return { ...state, messages, checkpointId };
-              } catch (memoryError) {
-                logger.error(`Error persisting memory: ${memoryError.message}`);
-                return state;
-              }
-            }
+        const outgoing = definition.edges.filter((e) => e.source === node.id);
+        const conditional = outgoing.filter((e) => e.condition);
+        const fallback = outgoing.find((e) => !e.condition);
 
-            return state;
-          },
+        if (conditional.length === 0) {
+          graph.addEdge(node.id, fallback.target);
+          return;
+        }
 
-          // End node - equivalent to seqEnd_0 in TutorV0.5 Agents.json
-          end: async (state) => {
-            logger.debug(`Processing end node for session: ${state.sessionId}`);
+        // First edge whose condition holds wins, otherwise the default edge
+        graph.addConditionalEdges(node.id, (state) => {
+          const match = conditional.find((edge) => {
+            const negated = edge.condition.startsWith('!');
+            const value = Boolean(state[edge.condition.replace(/^!/, '')]);
+            return negated ? !value : value;
+          });
+          return (match || fallback).target;
+        });
+      });
+
+      const compiled = graph.compile({
+        maxSteps: definition.maxSteps || 10,
+      });
 
-            // Format the final output
-            return {
-              content: state.response,
-              agentState: {
-                subject: state.subject,
-                name: state.name,
-                checkpointId: state.checkpointId,
-              },
-              timestamp: new Date().toISOString(),
-            };
-          },
-        },
+      const workflow = {
+        name: definition.name,
+        graph: compiled,
 
-        // Define the flow execution
-        execute: async (state, input) => {
+        // Run the graph and return the end node's output
+        execute: async (state, input, options = {}) => {
           try {
-            // Execute the nodes in sequence
-            const startState = await workflow.nodes.start(state, input);
-            const agentState = await workflow.nodes.agent(startState, input);
-            const memoryState = await workflow.nodes.memory(agentState);
-            return await workflow.nodes.end(memoryState);
+            // Checkpointed state never carries the previous turn's output
+            const { output, error, ...initialState } = state;
+            const finalState = await compiled.invoke(initialState, {
+              ...options,
+              input,
+            });
+            return finalState.output;
           } catch (error) {
+            // A cancelled stream is not a workflow failure
+            if (options.signal?.aborted) {
+              throw error;
+            }
             logger.error(`Error in workflow execution: ${error.message}`);
             return {
               content:
@@ -187,20 +160,237 @@ class AgentFlowService {
   }
 
   /**
-   * Initialize or get a workflow for a session
+   * Initialize or get the workflow for a session. The flow is chosen per
+   * session or subject and rebuilt whenever its definition file changes.
    *
-   * @param {string} sessionId - The session ID
+   * @param {Object} tutorSession - The tutor session (`id`, `subject`, `flowName`)
    * @returns {Object} - The workflow for this session
    */
-  getOrCreateWorkflow(sessionId) {
-    if (!this.workflows.has(sessionId)) {
-      const workflow = this.createAgentFlow();
-      this.workflows.set(sessionId, workflow);
-      logger.debug(`Created new workflow for session: ${sessionId}`);
-      return workflow;
+  getOrCreateWorkflow(tutorSession) {
+    const { version, definition } = flowLoaderService.resolveFlow(tutorSession);
+
+    if (!this.workflows.has(version)) {
+      this.workflows.set(version, this.createAgentFlow(definition));
+      logger.debug(`Compiled workflow ${version}`);
     }
 
-    return this.workflows.get(sessionId);
+    return this.workflows.get(version);
+  }
+
+  /**
+   * Start node - equivalent to seqStart_0 in TutorV0.5 Agents.json.
+   * Builds the system prompt from the node inputs:
+   * `systemMessagePrompt` (with {name}/{subject} placeholders), or
+   * `promptTemplate: "subject"` for the subject template, plus optional
+   * `additionalInstructions`, followed by the assignment instructions for
+   * sessions started from an assignment. The learner profile, when known, is
+   * appended.
+   *
+   * @private
+   * @param {Object} inputs - Node inputs from the flow definition
+   * @returns {Function} - The node function
+   */
+  _createStartNode(inputs) {
+    return async (state) => {
+      logger.debug(`Starting agent flow for session: ${state.sessionId}`);
+
+      const instructions =
+        [
+          inputs.additionalInstructions
+            ? interpolate(inputs.additionalInstructions, state)
+            : null,
+          state.assignmentInstructions,
+        ]
+          .filter(Boolean)
+          .join('\n\n') || null;
+
+      let systemPrompt;
+      if (inputs.promptTemplate === 'subject') {
+        systemPrompt = instructions
+          ? promptTemplateService.createCustomPromptTemplate(
+              state.subject,
+              instructions,
+            ).template
+          : promptTemplateService.createSubjectPromptTemplate(state.subject)
+              .template;
+      } else {
+        systemPrompt = interpolate(
+          inputs.systemMessagePrompt || DEFAULT_SYSTEM_PROMPT,
+          state,
+        );
+        if (instructions) {
+          systemPrompt += `\n\nADDITIONAL INSTRUCTIONS:\n${instructions}`;
+        }
+      }
+
+      // Adapt explanations to what we know about the student
+      if (state.learnerProfile) {
+        systemPrompt += `\n\n${state.learnerProfile}`;
+      }
+
+      return { systemPrompt };
+    };
+  }
+
+  /**
+   * Agent node - equivalent to seqAgent_0 in TutorV0.5 Agents.json.
+   * `inputs.llm` sets default LLM settings for the node; session settings win.
+   *
+   * @private
+   * @param {Object} inputs - Node inputs from the flow definition
+   * @returns {Function} - The node function
+   */
+  _createAgentNode(inputs) {
+    return async (state, options = {}) => {
+      const { input } = options;
+      logger.debug(`Processing agent node for session: ${state.sessionId}`);
+
+      const llmSettings = { ...inputs.llm, ...options.llmSettings };
+
+      // Create a minimal session object for OpenAI service
+      const minimalSession = {
+        id: state.sessionId,
+        subject: state.subject,
+        systemPrompt: state.systemPrompt,
+        llmSettings,
+      };
+
+      // Keep state.messages within the token budget, folding older turns
+      // into the running summary that the memory node checkpoints
+      const { model, maxTokens } = llmProviderService.resolve(llmSettings);
+      const { messages, summary } = await contextWindowService.compact(
+        minimalSession,
+        state.messages || [],
+        {
+          model,
+          reservedTokens:
+            contextWindowService.countTokens(state.systemPrompt, model) +
+            maxTokens,
+          summary: state.conversationSummary || null,
+        },
+      );
+      minimalSession.conversationSummary = summary;
+
+      // The current input is the last message in state; the service adds it itself
+      const history =
+        messages.length > 0 &&
+        messages[messages.length - 1].role === 'user' &&
+        messages[messages.length - 1].content === input
+          ? messages.slice(0, -1)
+          : messages;
+
+      // Process through OpenAI service using the correct method
+      let response;
+      let error = null;
+      try {
+        logger.debug(`Calling OpenAI service for session ${state.sessionId}`);
+        // Relay token deltas when the caller is streaming
+        response = options.onToken
+          ? await openAIService.streamTutorResponse(
+              input,
+              minimalSession,
+              history,
+              options,
+            )
+          : await openAIService.generateTutorResponse(
+              input,
+              minimalSession,
+              history,
+            );
+        logger.debug(
+          `Received response from OpenAI service: ${response.substring(
+            0,
+            50,
+          )}...`,
+        );
+      } catch (modelError) {
+        if (options.signal?.aborted) {
+          throw modelError;
+        }
+        logger.error(`Error generating tutor response: ${modelError.message}`);
+        logger.error(modelError.stack);
+        response =
+          "I'm having trouble processing your request. Please try again.";
+        error = modelError.message;
+      }
+
+      return {
+        messages: new Overwrite(messages),
+        conversationSummary: summary,
+        response,
+        error,
+      };
+    };
+  }
+
+  /**
+   * Memory node - equivalent to sqliteAgentMemory_0 in TutorV0.5 Agents.json
+   *
+   * @private
+   * @param {Object} memoryManager - Memory manager for state persistence
+   * @returns {Function} - The node function
+   */
+  _createMemoryNode(memoryManager) {
+    return async (state) => {
+      logger.debug(`Processing memory node for session: ${state.sessionId}`);
+
+      if (!memoryManager) {
+        return {};
+      }
+
+      // Save the assistant message to memory
+      const messageId = `msg_${Date.now()}`;
+      await memoryManager.saveMessage(
+        state.sessionId,
+        messageId,
+        'assistant',
+        state.response,
+      );
+
+      const assistantMessage = {
+        role: 'assistant',
+        content: state.response,
+        id: messageId,
+      };
+
+      // Save checkpoint to memory
+      const checkpointId = await memoryManager.saveCheckpoint(state.sessionId, {
+        ...state,
+        messages: [...(state.messages || []), assistantMessage],
+      });
+      logger.debug(
+        `Saved checkpoint ${checkpointId} for session ${state.sessionId}`,
+      );
+
+      // Appended through the messages reducer
+      return { messages: [assistantMessage], checkpointId };
+    };
+  }
+
+  /**
+   * End node - equivalent to seqEnd_0 in TutorV0.5 Agents.json
+   *
+   * @private
+   * @returns {Function} - The node function
+   */
+  _createEndNode() {
+    return async (state) => {
+      logger.debug(`Processing end node for session: ${state.sessionId}`);
+
+      // Format the final output
+      return {
+        output: {
+          content: state.response,
+          agentState: {
+            subject: state.subject,
+            name: state.name,
+            flow: state.flow,
+            checkpointId: state.checkpointId,
+          },
+          timestamp: new Date().toISOString(),
+        },
+      };
+    };
   }
 
   /**
@@ -210,12 +400,22 @@ class AgentFlowService {
    * @param {string} userMessage - The user's message
    * @param {Object} tutorSession - The tutor session containing subject and ID
    * @param {Array} messageHistory - Previous messages in the conversation
+   * @param {Object} options - Optional streaming options
+   * @param {Function} options.onToken - Called with each response token delta
+   * @param {AbortSignal} options.signal - Signal to cancel generation
+   * @param {string} options.learnerProfile - Learner profile section for the start node
+   * @param {string} options.assignmentInstructions - Assignment instructions for the start node
    * @returns {Promise<Object>} - The workflow output
    */
-  async executeAgentFlow(userMessage, tutorSession, messageHistory = []) {
+  async executeAgentFlow(
+    userMessage,
+    tutorSession,
+    messageHistory = [],
+    { learnerProfile = null, assignmentInstructions = null, ...options } = {},
+  ) {
     try {
       // Get or create workflow for this session
-      const workflow = this.getOrCreateWorkflow(tutorSession.id);
+      const workflow = this.getOrCreateWorkflow(tutorSession);
 
       // Transform message history into the format expected by the model
       const formattedHistory = this._formatMessageHistory(messageHistory);
@@ -236,12 +436,15 @@ class AgentFlowService {
       }
 
       // Initialize state with loaded state or defaults
-      const state = initialState || {
+      const defaultState = {
         subject: tutorSession.subject || 'various subjects',
         name: tutorSession.name || 'AI Tutor',
         messages: formattedHistory,
         sessionId: tutorSession.id,
       };
+      const state = initialState
+        ? { ...defaultState, ...initialState }
+        : defaultState;
 
       // Save user message to memory
       try {
@@ -263,9 +466,19 @@ class AgentFlowService {
       }
 
       // Execute the workflow
-      const result = await workflow.execute(state, userMessage);
+      // Per-session LLM overrides live on the TutorSession, not in the checkpoint
+      state.flow = workflow.name;
+      state.learnerProfile = learnerProfile;
+      state.assignmentInstructions = assignmentInstructions;
+      const result = await workflow.execute(state, userMessage, {
+        ...options,
+        llmSettings: tutorSession.llmSettings,
+      });
       return result;
     } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
       logger.error(`Error executing agent flow: ${error.message}`);
       logger.debug(error.stack);
 
@@ -310,7 +523,7 @@ class AgentFlowService {
    * @param {string} sessionId - The session ID to clean up
    */
   cleanupSession(sessionId) {
-    this.workflows.delete(sessionId);
+    // Compiled workflows are shared between sessions and stay cached
     logger.debug(`Cleaned up workflow for session: ${sessionId}`);
   }
 }
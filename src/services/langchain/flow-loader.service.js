@@ -0,0 +1,226 @@
+/**
+ * @module FlowLoaderService
+ * @description Loads declarative agent flow definitions (in the node/edge layout
+ * of "TutorV0.5 Agents.json") from disk, validates them and picks the flow to
+ * use for a tutor session
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Joi from 'joi';
+import config from '../../config/config.js';
+import logger from '../../utils/logger.js';
+
+// Node types the agent flow knows how to instantiate
+const NODE_TYPES = ['seqStart', 'seqAgent', 'sqliteAgentMemory', 'seqEnd'];
+
+// Flowise exports carry extra layout fields (position, width, ...), so unknown
+// keys are allowed throughout
+const flowSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-z0-9._-]+$/i)
+    .required(),
+  description: Joi.string().allow('').default(''),
+  subjects: Joi.array().items(Joi.string()).default([]),
+  nodes: Joi.array()
+    .items(
+      Joi.object({
+        id: Joi.string().required(),
+        data: Joi.object({
+          name: Joi.string()
+            .valid(...NODE_TYPES)
+            .required(),
+          label: Joi.string(),
+          inputs: Joi.object().default({}),
+        })
+          .unknown(true)
+          .required(),
+      }).unknown(true),
+    )
+    .min(1)
+    .required(),
+  edges: Joi.array()
+    .items(
+      Joi.object({
+        source: Joi.string().required(),
+        target: Joi.string().required(),
+        // Name of a state key, optionally negated with "!"; the edge is taken when it is truthy
+        condition: Joi.string().pattern(/^!?[A-Za-z_]\w*$/),
+      }).unknown(true),
+    )
+    .required(),
+}).unknown(true);
+
+class FlowLoaderService {
+  constructor() {
+    this.directory = config.flows.directory;
+    this.cache = new Map(); // name -> { mtimeMs, flow }
+  }
+
+  /**
+   * Load a flow definition by name. Definitions are re-read when the file changes.
+   *
+   * @param {string} name - Flow name (file name without .json)
+   * @returns {Object} - `{ name, version, definition }`
+   * @throws {Error} - If the file is missing or invalid
+   */
+  loadFlow(name) {
+    if (!/^[a-z0-9._-]+$/i.test(name)) {
+      throw new Error(`Invalid flow name: ${name}`);
+    }
+
+    const filePath = path.join(this.directory, `${name}.json`);
+    const { mtimeMs } = fs.statSync(filePath);
+
+    const cached = this.cache.get(name);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.flow;
+    }
+
+    const definition = this.validate(
+      JSON.parse(fs.readFileSync(filePath, 'utf8')),
+    );
+    const flow = { name, version: `${name}@${mtimeMs}`, definition };
+
+    this.cache.set(name, { mtimeMs, flow });
+    logger.info(`Loaded agent flow definition: ${name}`);
+
+    return flow;
+  }
+
+  /**
+   * List the valid flow definitions in the flows directory
+   *
+   * @returns {Array<Object>} - `{ name, description, subjects }` for each flow
+   */
+  listFlows() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory).filter((f) => f.endsWith('.json'));
+    } catch (error) {
+      logger.error(`Could not read flows directory: ${error.message}`);
+      return [];
+    }
+
+    return files.reduce((flows, file) => {
+      const name = path.basename(file, '.json');
+      try {
+        const { definition } = this.loadFlow(name);
+        flows.push({
+          name,
+          description: definition.description,
+          subjects: definition.subjects,
+        });
+      } catch (error) {
+        logger.warn(`Skipping invalid flow ${file}: ${error.message}`);
+      }
+      return flows;
+    }, []);
+  }
+
+  /**
+   * Check whether a flow exists and is valid
+   *
+   * @param {string} name - Flow name
+   * @returns {boolean} - True if the flow can be loaded
+   */
+  hasFlow(name) {
+    try {
+      this.loadFlow(name);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Pick the flow for a session: the session's own choice, then a flow that
+   * lists the session subject, then the configured default
+   *
+   * @param {Object} tutorSession - `{ flowName, subject }`
+   * @returns {Object} - `{ name, version, definition }`
+   */
+  resolveFlow(tutorSession = {}) {
+    if (tutorSession.flowName) {
+      try {
+        return this.loadFlow(tutorSession.flowName);
+      } catch (error) {
+        logger.warn(
+          `Session flow ${tutorSession.flowName} unavailable, falling back: ${error.message}`,
+        );
+      }
+    }
+
+    const subject = tutorSession.subject?.toLowerCase();
+    if (subject) {
+      const match = this.listFlows().find((flow) =>
+        flow.subjects.some((s) => s.toLowerCase() === subject),
+      );
+      if (match) {
+        return this.loadFlow(match.name);
+      }
+    }
+
+    return this.loadFlow(config.flows.default);
+  }
+
+  /**
+   * Validate a flow definition against the schema and its graph structure
+   *
+   * @param {Object} definition - Parsed flow JSON
+   * @returns {Object} - The validated definition, with defaults applied
+   * @throws {Error} - Describing the first problem found
+   */
+  validate(definition) {
+    const { error, value } = flowSchema.validate(definition);
+    if (error) {
+      throw new Error(`Invalid flow definition: ${error.message}`);
+    }
+
+    const ids = new Set();
+    value.nodes.forEach((node) => {
+      if (ids.has(node.id)) {
+        throw new Error(`Duplicate node id: ${node.id}`);
+      }
+      ids.add(node.id);
+    });
+
+    const typeCount = (type) =>
+      value.nodes.filter((node) => node.data.name === type).length;
+    if (typeCount('seqStart') !== 1 || typeCount('seqEnd') !== 1) {
+      throw new Error('A flow needs exactly one seqStart and one seqEnd node');
+    }
+
+    const endId = value.nodes.find((node) => node.data.name === 'seqEnd').id;
+
+    value.edges.forEach((edge) => {
+      if (!ids.has(edge.source) || !ids.has(edge.target)) {
+        throw new Error(
+          `Edge ${edge.source} -> ${edge.target} references an unknown node`,
+        );
+      }
+      if (edge.source === endId) {
+        throw new Error('seqEnd cannot have outgoing edges');
+      }
+    });
+
+    // Every other node needs exactly one unconditional (default) edge
+    value.nodes
+      .filter((node) => node.id !== endId)
+      .forEach((node) => {
+        const defaults = value.edges.filter(
+          (edge) => edge.source === node.id && !edge.condition,
+        );
+        if (defaults.length !== 1) {
+          throw new Error(
+            `Node ${node.id} needs exactly one edge without a condition`,
+          );
+        }
+      });
+
+    return value;
+  }
+}
+
+export { NODE_TYPES };
+export default new FlowLoaderService();
@@ -145,8 +145,9 @@ class SQLiteAgentMemory {
         [sessionId, checkpointId, stateData],
       );
 
-      // Update cache
+      // Update cache, including the latest pointer used by loadCheckpoint()
       this.stateCache.set(`${sessionId}:${checkpointId}`, state);
+      this.stateCache.set(`${sessionId}:latest`, state);
 
       logger.debug(
         `Checkpoint saved for session ${sessionId} with ID ${checkpointId}`,
@@ -188,7 +189,8 @@ class SQLiteAgentMemory {
         params.push(checkpointId);
       } else {
         // Get the latest checkpoint if no specific ID provided
-        query += ' ORDER BY created_at DESC LIMIT 1';
+        // created_at has one-second resolution, so break ties by insertion order
+        query += ' ORDER BY created_at DESC, id DESC LIMIT 1';
       }
 
       const result = await this.dbGet(query, params);
@@ -216,6 +218,156 @@ class SQLiteAgentMemory {
     }
   }
 
+  /**
+   * List the checkpoints saved for a session, oldest first
+   *
+   * @async
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<Array<Object>>} - `{ checkpointId, createdAt, state }` for each checkpoint
+   */
+  async listCheckpoints(sessionId) {
+    if (!this.db) {
+      await this.initialize();
+    }
+
+    try {
+      const rows = await this.dbAll(
+        'SELECT checkpoint_id, state_data, created_at FROM agent_memories WHERE session_id = ? ORDER BY id ASC',
+        [sessionId],
+      );
+
+      return rows.map((row) => ({
+        checkpointId: row.checkpoint_id,
+        createdAt: row.created_at,
+        state: JSON.parse(row.state_data),
+      }));
+    } catch (error) {
+      logger.error(
+        `Error listing checkpoints for session ${sessionId}: ${error.message}`,
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Load a single checkpoint together with its metadata
+   *
+   * @async
+   * @param {string} sessionId - The session ID
+   * @param {string} checkpointId - The checkpoint ID
+   * @returns {Promise<Object|null>} - `{ checkpointId, createdAt, state }`, or null if not found
+   */
+  async getCheckpoint(sessionId, checkpointId) {
+    if (!this.db) {
+      await this.initialize();
+    }
+
+    try {
+      const row = await this.dbGet(
+        'SELECT checkpoint_id, state_data, created_at FROM agent_memories WHERE session_id = ? AND checkpoint_id = ?',
+        [sessionId, checkpointId],
+      );
+
+      if (!row) {
+        return null;
+      }
+
+      return {
+        checkpointId: row.checkpoint_id,
+        createdAt: row.created_at,
+        state: JSON.parse(row.state_data),
+      };
+    } catch (error) {
+      logger.error(
+        `Error loading checkpoint ${checkpointId} for session ${sessionId}: ${error.message}`,
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a session's conversation history to another session, up to and
+   * including the given message
+   *
+   * @async
+   * @param {string} fromSessionId - The source session ID
+   * @param {string} toSessionId - The target session ID
+   * @param {string} throughMessageId - The last message to copy
+   * @returns {Promise<number>} - Number of messages copied
+   */
+  async copyMessages(fromSessionId, toSessionId, throughMessageId) {
+    if (!this.db) {
+      await this.initialize();
+    }
+
+    try {
+      const last = await this.dbGet(
+        'SELECT id FROM agent_messages WHERE session_id = ? AND message_id = ?',
+        [fromSessionId, throughMessageId],
+      );
+
+      if (!last) {
+        return 0;
+      }
+
+      const rows = await this.dbAll(
+        'SELECT message_id, role, content, timestamp FROM agent_messages WHERE session_id = ? AND id <= ? ORDER BY id ASC',
+        [fromSessionId, last.id],
+      );
+
+      for (const row of rows) {
+        await this.dbRun(
+          'INSERT OR REPLACE INTO agent_messages (session_id, message_id, role, content, timestamp) VALUES (?, ?, ?, ?, ?)',
+          [toSessionId, row.message_id, row.role, row.content, row.timestamp],
+        );
+      }
+
+      logger.debug(
+        `Copied ${rows.length} messages from session ${fromSessionId} to ${toSessionId}`,
+      );
+      return rows.length;
+    } catch (error) {
+      logger.error(
+        `Error copying messages from session ${fromSessionId}: ${error.message}`,
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all checkpoints and messages stored for a session
+   *
+   * @async
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<void>}
+   */
+  async deleteSession(sessionId) {
+    if (!this.db) {
+      await this.initialize();
+    }
+
+    try {
+      await this.dbRun('DELETE FROM agent_memories WHERE session_id = ?', [
+        sessionId,
+      ]);
+      await this.dbRun('DELETE FROM agent_messages WHERE session_id = ?', [
+        sessionId,
+      ]);
+
+      // Drop cached states for this session
+      for (const key of this.stateCache.keys()) {
+        if (key.startsWith(`${sessionId}:`)) {
+          this.stateCache.delete(key);
+        }
+      }
+    } catch (error) {
+      logger.error(
+        `Error deleting memory for session ${sessionId}: ${error.message}`,
+      );
+      throw error;
+    }
+  }
+
   /**
    * Save a message to the conversation history
    *
@@ -0,0 +1,320 @@
+/**
+ * @module StateGraph
+ * @description Minimal state-graph runtime modelled on LangGraph's StateGraph.
+ * Nodes read the shared state and return partial updates, which are merged
+ * through per-key reducers. Edges may be static or chosen at runtime.
+ */
+
+import logger from '../../utils/logger.js';
+
+const START = '__start__';
+const END = '__end__';
+
+/**
+ * Wrap an update value to replace a key outright, bypassing its reducer
+ */
+class Overwrite {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Thrown when a graph run exceeds its step limit
+ */
+class GraphRecursionError extends Error {
+  constructor(maxSteps) {
+    super(`Graph exceeded the maximum of ${maxSteps} steps`);
+    this.name = 'GraphRecursionError';
+    this.maxSteps = maxSteps;
+  }
+}
+
+/**
+ * Thrown when a node fails and has no error handler
+ */
+class GraphNodeError extends Error {
+  constructor(node, cause) {
+    super(`Node "${node}" failed: ${cause.message}`);
+    this.name = 'GraphNodeError';
+    this.node = node;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Reducer that appends array updates to the current array
+ *
+ * @param {Array} current - Current value
+ * @param {Array|*} update - Value(s) to append
+ * @returns {Array} - The combined array
+ */
+const appendReducer = (current = [], update) => [
+  ...(current || []),
+  ...(Array.isArray(update) ? update : [update]),
+];
+
+class StateGraph {
+  /**
+   * @param {Object} options - Graph options
+   * @param {Object} options.channels - Per-key `{ reducer, default }` definitions.
+   * Keys without a channel are replaced by each update.
+   */
+  constructor({ channels = {} } = {}) {
+    this.channels = channels;
+    this.nodes = new Map();
+    this.edges = new Map(); // from -> to
+    this.conditionalEdges = new Map(); // from -> { router, pathMap }
+  }
+
+  /**
+   * Add a node
+   *
+   * @param {string} name - Node name
+   * @param {Function} fn - `async (state, config) => update`
+   * @param {Object} options - Node options
+   * @param {Function} options.onError - `(error, state, config) => update` used instead of failing the run
+   * @returns {StateGraph} - This graph, for chaining
+   */
+  addNode(name, fn, { onError } = {}) {
+    if (name === START || name === END) {
+      throw new Error(`"${name}" is a reserved node name`);
+    }
+    if (this.nodes.has(name)) {
+      throw new Error(`Node "${name}" already exists`);
+    }
+
+    this.nodes.set(name, { fn, onError });
+    return this;
+  }
+
+  /**
+   * Add a static edge
+   *
+   * @param {string} from - Source node (or START)
+   * @param {string} to - Target node (or END)
+   * @returns {StateGraph} - This graph, for chaining
+   */
+  addEdge(from, to) {
+    this._assertFreeSource(from);
+    this.edges.set(from, to);
+    return this;
+  }
+
+  /**
+   * Add an edge whose target is chosen from the state after `from` runs
+   *
+   * @param {string} from - Source node (or START)
+   * @param {Function} router - `(state, config) => key`
+   * @param {Object} pathMap - Optional map from router keys to node names
+   * @returns {StateGraph} - This graph, for chaining
+   */
+  addConditionalEdges(from, router, pathMap = null) {
+    this._assertFreeSource(from);
+    this.conditionalEdges.set(from, { router, pathMap });
+    return this;
+  }
+
+  /**
+   * Set the first node to run
+   *
+   * @param {string} name - Node name
+   * @returns {StateGraph} - This graph, for chaining
+   */
+  setEntryPoint(name) {
+    return this.addEdge(START, name);
+  }
+
+  /**
+   * Validate the graph and return a runnable version of it
+   *
+   * @param {Object} options - Compile options
+   * @param {number} options.maxSteps - Maximum node executions per run
+   * @returns {CompiledStateGraph} - The runnable graph
+   */
+  compile({ maxSteps = 25 } = {}) {
+    if (!this.edges.has(START) && !this.conditionalEdges.has(START)) {
+      throw new Error('Graph has no entry point');
+    }
+
+    // Every static edge must point at a known node
+    for (const [from, to] of this.edges) {
+      if (from !== START && !this.nodes.has(from)) {
+        throw new Error(`Edge starts at unknown node "${from}"`);
+      }
+      if (to !== END && !this.nodes.has(to)) {
+        throw new Error(`Edge from "${from}" points at unknown node "${to}"`);
+      }
+    }
+
+    for (const [from, { pathMap }] of this.conditionalEdges) {
+      if (from !== START && !this.nodes.has(from)) {
+        throw new Error(`Conditional edge starts at unknown node "${from}"`);
+      }
+      Object.values(pathMap || {}).forEach((to) => {
+        if (to !== END && !this.nodes.has(to)) {
+          throw new Error(
+            `Conditional edge from "${from}" points at unknown node "${to}"`,
+          );
+        }
+      });
+    }
+
+    // Every node needs a way out
+    for (const name of this.nodes.keys()) {
+      if (!this.edges.has(name) && !this.conditionalEdges.has(name)) {
+        throw new Error(`Node "${name}" has no outgoing edge`);
+      }
+    }
+
+    return new CompiledStateGraph(this, { maxSteps });
+  }
+
+  /**
+   * @private
+   * @param {string} from - Source node
+   */
+  _assertFreeSource(from) {
+    if (this.edges.has(from) || this.conditionalEdges.has(from)) {
+      throw new Error(`Node "${from}" already has an outgoing edge`);
+    }
+  }
+}
+
+class CompiledStateGraph {
+  /**
+   * @param {StateGraph} graph - The validated graph
+   * @param {Object} options - `{ maxSteps }`
+   */
+  constructor(graph, { maxSteps }) {
+    this.graph = graph;
+    this.maxSteps = maxSteps;
+  }
+
+  /**
+   * Run the graph to completion
+   *
+   * @async
+   * @param {Object} input - Initial state values
+   * @param {Object} config - Run configuration passed to every node and router
+   * @returns {Promise<Object>} - The final state
+   * @throws {GraphRecursionError} - If the step limit is exceeded
+   * @throws {GraphNodeError} - If a node without an error handler fails
+   */
+  async invoke(input = {}, config = {}) {
+    let state = this.applyUpdate(this._initialState(), input);
+    let current = await this._next(START, state, config);
+    let steps = 0;
+
+    while (current !== END) {
+      if (steps >= this.maxSteps) {
+        throw new GraphRecursionError(this.maxSteps);
+      }
+      steps += 1;
+
+      const node = this.graph.nodes.get(current);
+      if (!node) {
+        throw new Error(`Graph routed to unknown node "${current}"`);
+      }
+
+      logger.debug(`Graph step ${steps}: ${current}`);
+
+      let update;
+      try {
+        update = await node.fn(state, config);
+      } catch (error) {
+        if (!node.onError) {
+          throw new GraphNodeError(current, error);
+        }
+        logger.warn(`Node "${current}" failed, using its error handler: ${error.message}`);
+        update = await node.onError(error, state, config);
+      }
+
+      state = this.applyUpdate(state, update || {});
+      current = await this._next(current, state, config);
+    }
+
+    return state;
+  }
+
+  /**
+   * Merge an update into a state using the channel reducers
+   *
+   * @param {Object} state - Current state
+   * @param {Object} update - Partial update
+   * @returns {Object} - New state
+   */
+  applyUpdate(state, update) {
+    const next = { ...state };
+
+    Object.entries(update).forEach(([key, value]) => {
+      const reducer = this.graph.channels[key]?.reducer;
+
+      if (value instanceof Overwrite) {
+        next[key] = value.value;
+      } else if (reducer) {
+        next[key] = reducer(next[key], value);
+      } else {
+        next[key] = value;
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * @private
+   * @returns {Object} - State populated with channel defaults
+   */
+  _initialState() {
+    const state = {};
+    Object.entries(this.graph.channels).forEach(([key, channel]) => {
+      if (channel.default !== undefined) {
+        state[key] =
+          typeof channel.default === 'function'
+            ? channel.default()
+            : channel.default;
+      }
+    });
+    return state;
+  }
+
+  /**
+   * Resolve the node that follows `from`
+   *
+   * @private
+   * @async
+   * @param {string} from - The node that just ran (or START)
+   * @param {Object} state - Current state
+   * @param {Object} config - Run configuration
+   * @returns {Promise<string>} - The next node name, or END
+   */
+  async _next(from, state, config) {
+    if (this.graph.edges.has(from)) {
+      return this.graph.edges.get(from);
+    }
+
+    const conditional = this.graph.conditionalEdges.get(from);
+    if (conditional) {
+      const key = await conditional.router(state, config);
+      const target = conditional.pathMap ? conditional.pathMap[key] : key;
+      if (target === undefined) {
+        throw new Error(`Router for "${from}" returned unmapped key "${key}"`);
+      }
+      return target;
+    }
+
+    return END;
+  }
+}
+
+export {
+  StateGraph,
+  CompiledStateGraph,
+  Overwrite,
+  GraphRecursionError,
+  GraphNodeError,
+  appendReducer,
+  START,
+  END,
+};
@@ -5,6 +5,7 @@
 
 import logger from '../../utils/logger.js';
 import sqliteMemoryService from './sqlite-memory.service.js';
+import { StateGraph, appendReducer } from './state-graph.js';
 
 /**
  * Class to handle state management for the agent workflow
@@ -17,6 +18,12 @@ class StateManagerService {
       name: { default: 'Erica' },
       messages: { default: [] },
       sessionId: { default: null },
+      // Running summary of turns trimmed from messages by the context window
+      conversationSummary: { default: null },
+      // Learner profile prompt section, refreshed on every turn
+      learnerProfile: { default: null },
+      // Instructions of the assignment the session was started from
+      assignmentInstructions: { default: null },
     };
   }
 
@@ -52,6 +59,9 @@ class StateManagerService {
         }
       });
 
+      // Graph backing addNode/addEdge/compile
+      const graph = this.createStateGraph();
+
       // Create the state manager
       const stateManager = {
         schema: stateSchema,
@@ -74,26 +84,28 @@ class StateManagerService {
           });
           return stateManager.getState();
         },
-        // Enhanced methods for future LangGraph compatibility
-        addNode: (name, fn) => {
-          logger.info(
-            `Node ${name} would be added in full LangGraph implementation`,
-          );
+        addNode: (name, fn, options) => {
+          graph.addNode(name, fn, options);
           return stateManager;
         },
         addEdge: (from, to) => {
-          logger.info(
-            `Edge from ${from} to ${to} would be added in full LangGraph implementation`,
-          );
+          graph.addEdge(from, to);
           return stateManager;
         },
-        compile: () => {
-          logger.info(
-            'StateGraph would be compiled in full LangGraph implementation',
-          );
+        addConditionalEdges: (from, router, pathMap) => {
+          graph.addConditionalEdges(from, router, pathMap);
+          return stateManager;
+        },
+        compile: (options) => {
+          const compiled = graph.compile(options);
           return {
-            invoke: async (state) => {
-              return stateManager.setState(state);
+            // Run from the current state and keep the result as the new state
+            invoke: async (input = {}, config = {}) => {
+              const finalState = await compiled.invoke(
+                { ...stateManager.getState(), ...input },
+                config,
+              );
+              return stateManager.setState(finalState);
             },
           };
         },
@@ -107,6 +119,22 @@ class StateManagerService {
     }
   }
 
+  /**
+   * Create a state graph whose channels follow the agent state schema:
+   * `messages` updates are appended, other keys are replaced
+   *
+   * @param {Object} channels - Additional or overriding channel definitions
+   * @returns {StateGraph} - A new, empty graph
+   */
+  createStateGraph(channels = {}) {
+    return new StateGraph({
+      channels: {
+        messages: { reducer: appendReducer, default: () => [] },
+        ...channels,
+      },
+    });
+  }
+
   /**
    * Merge updates into an existing state
    *
@@ -127,10 +155,10 @@ class StateManagerService {
           Array.isArray(updates.messages)
         ) {
           // For messages, we want to append rather than replace
-          updatedState.messages = [
-            ...updatedState.messages,
-            ...updates.messages,
-          ];
+          updatedState.messages = appendReducer(
+            updatedState.messages,
+            updates.messages,
+          );
         } else {
           updatedState[key] = updates[key];
         }
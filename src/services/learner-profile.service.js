@@ -0,0 +1,370 @@
+/**
+ * @module LearnerProfileService
+ * @description Tracks a student's per-topic mastery, misconceptions and preferred
+ * explanation style across sessions, and turns them into tutor prompt guidance
+ */
+
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+
+const LearnerProfile = db.LearnerProfile;
+const TopicMastery = db.TopicMastery;
+const QuizAttempt = db.QuizAttempt;
+
+const EXPLANATION_STYLES = [
+  'step-by-step',
+  'examples',
+  'concise',
+  'detailed',
+  'visual',
+  'simple',
+];
+
+// Topic used when evidence isn't tied to a specific topic
+const GENERAL_TOPIC = 'general';
+
+// Each update moves mastery by 1/(evidence + 2) of the gap, never less than this
+const MIN_UPDATE_WEIGHT = 0.1;
+
+// Conversation signals are weaker evidence than graded answers
+const SIGNAL_WEIGHT = 0.5;
+
+const MAX_MISCONCEPTIONS = 10;
+
+// Phrases in a student's message and what they suggest
+const CONFUSION_PATTERN =
+  /\b(i (still )?(don'?t|do not) (get|understand)|i(?:'?m| am) (?:so |still |really )?(confused|lost)|confusing|makes no sense|what do you mean)\b/i;
+const UNDERSTANDING_PATTERN =
+  /\b(got it|makes sense|i (now )?understand|i see|that helps|that'?s clear)\b/i;
+const STYLE_PATTERNS = [
+  ['step-by-step', /\bstep[- ]by[- ]step\b/i],
+  [
+    'examples',
+    /\b((give|show) me|with|use) (an? |some |more )?examples?\b|\bshow me how\b/i,
+  ],
+  ['concise', /\b(shorter|briefly|be brief|concise|tl;?dr)\b/i],
+  ['detailed', /\b(more detail|in depth|go deeper|elaborate)\b/i],
+  ['visual', /\b(diagram|draw|picture|visuali[sz]e)\b/i],
+  ['simple', /\b(simpler|simply|like i'?m (five|5)|eli5|plain english)\b/i],
+];
+
+/**
+ * Normalise a subject or topic name for storage
+ *
+ * @param {string} name - Subject or topic
+ * @returns {string}
+ */
+const normalizeName = (name) =>
+  (name || GENERAL_TOPIC).toLowerCase().replace(/\s+/g, ' ').trim();
+
+class LearnerProfileService {
+  /**
+   * Get a user's profile, creating an empty one if needed
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @returns {Promise<Object>} - The LearnerProfile instance
+   */
+  async getProfile(userId) {
+    const [profile] = await LearnerProfile.findOrCreate({
+      where: { userId },
+      defaults: { userId, misconceptions: [] },
+    });
+    return profile;
+  }
+
+  /**
+   * Get a user's topic mastery estimates
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {string} subject - Optional subject to restrict to
+   * @returns {Promise<Array>} - TopicMastery instances, weakest first
+   */
+  async getMastery(userId, subject = null) {
+    const where = { userId };
+    if (subject) {
+      where.subject = normalizeName(subject);
+    }
+
+    return TopicMastery.findAll({
+      where,
+      order: [
+        ['subject', 'ASC'],
+        ['mastery', 'ASC'],
+      ],
+    });
+  }
+
+  /**
+   * Update the estimated mastery of a topic with a new observation
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {string} subject - The subject
+   * @param {string} topic - The topic within the subject
+   * @param {number} outcome - 1 for evidence of understanding, 0 for a gap
+   * @param {number} weight - Scales how much this observation counts
+   * @returns {Promise<Object>} - The updated TopicMastery instance
+   */
+  async updateMastery(userId, subject, topic, outcome, weight = 1) {
+    const [record] = await TopicMastery.findOrCreate({
+      where: {
+        userId,
+        subject: normalizeName(subject),
+        topic: normalizeName(topic),
+      },
+    });
+
+    const step =
+      Math.max(MIN_UPDATE_WEIGHT, 1 / (record.evidenceCount + 2)) * weight;
+    record.mastery = Math.min(
+      1,
+      Math.max(0, record.mastery + step * (outcome - record.mastery)),
+    );
+    record.evidenceCount += 1;
+    record.lastAssessedAt = new Date();
+    await record.save();
+
+    return record;
+  }
+
+  /**
+   * Update mastery and misconceptions from a graded quiz attempt, once it has
+   * been saved. Only the first attempt at a quiz counts: its results show the
+   * correct answers, so retakes say little about what the student knows.
+   * Failures are logged rather than thrown so grading is never lost.
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {Object} quiz - The Quiz instance
+   * @param {Array} results - Per-question results from QuizService.grade
+   * @returns {Promise<void>}
+   */
+  async recordQuizAttempt(userId, quiz, results) {
+    try {
+      const attempts = await QuizAttempt.count({
+        where: { quizId: quiz.id, userId },
+      });
+      if (attempts > 1) {
+        logger.debug(`Quiz ${quiz.id} retaken; learner profile left as is`);
+        return;
+      }
+
+      const questions = new Map(quiz.questions.map((q) => [q.id, q]));
+      const misconceptions = [];
+
+      for (const result of results) {
+        const question = questions.get(result.questionId);
+        if (!question) continue;
+
+        await this.updateMastery(
+          userId,
+          quiz.subject,
+          question.topic,
+          result.correct ? 1 : 0,
+        );
+
+        if (!result.correct && result.given !== null) {
+          misconceptions.push({
+            subject: normalizeName(quiz.subject),
+            topic: normalizeName(question.topic),
+            description: `Answered "${this._describeAnswer(
+              question,
+              result.given,
+            )}" to "${question.prompt}"; the correct answer is "${
+              result.correctAnswer
+            }"`,
+            seenAt: new Date().toISOString(),
+          });
+        }
+      }
+
+      if (misconceptions.length > 0) {
+        await this._addMisconceptions(userId, misconceptions);
+      }
+    } catch (error) {
+      logger.error(
+        `Could not update learner profile from quiz ${quiz.id}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Update the profile from signals in a student's message: confusion or
+   * understanding, and requests for a kind of explanation.
+   * Failures are logged rather than thrown so messages are never lost.
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {Object} session - The TutorSession the message was sent in
+   * @param {string} content - The message text
+   * @returns {Promise<void>}
+   */
+  async recordMessageSignals(userId, session, content) {
+    try {
+      if (CONFUSION_PATTERN.test(content)) {
+        await this.updateMastery(
+          userId,
+          session.subject,
+          GENERAL_TOPIC,
+          0,
+          SIGNAL_WEIGHT,
+        );
+      } else if (UNDERSTANDING_PATTERN.test(content)) {
+        await this.updateMastery(
+          userId,
+          session.subject,
+          GENERAL_TOPIC,
+          1,
+          SIGNAL_WEIGHT,
+        );
+      }
+
+      const style = STYLE_PATTERNS.find(([, pattern]) =>
+        pattern.test(content),
+      )?.[0];
+      if (style) {
+        const profile = await this.getProfile(userId);
+        if (profile.preferredStyle !== style) {
+          profile.preferredStyle = style;
+          await profile.save();
+        }
+      }
+    } catch (error) {
+      logger.error(
+        `Could not update learner profile from message in session ${session.id}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Describe what is known about the student for the tutor's system prompt
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {string} subject - The session subject
+   * @returns {Promise<string|null>} - Prompt section, or null if nothing is known yet
+   */
+  async buildPromptSection(userId, subject) {
+    if (!userId) {
+      return null;
+    }
+
+    try {
+      const [profile, mastery] = await Promise.all([
+        LearnerProfile.findOne({ where: { userId } }),
+        this.getMastery(userId, subject),
+      ]);
+
+      const subjectName = normalizeName(subject);
+      const lines = [];
+
+      const assessed = mastery.filter((record) => record.evidenceCount > 0);
+      if (assessed.length > 0) {
+        const topics = assessed
+          .map(
+            (record) =>
+              `${record.topic} ${Math.round(record.mastery * 100)}% (${this._level(
+                record.mastery,
+              )})`,
+          )
+          .join(', ');
+        lines.push(`- Estimated mastery in ${subjectName}: ${topics}`);
+      }
+
+      const misconceptions = (profile?.misconceptions || [])
+        .filter((item) => item.subject === subjectName)
+        .slice(0, 5);
+      if (misconceptions.length > 0) {
+        lines.push('- Recent mistakes to watch for:');
+        misconceptions.forEach((item) =>
+          lines.push(`  - ${item.topic}: ${item.description}`),
+        );
+      }
+
+      if (profile?.preferredStyle) {
+        lines.push(`- Preferred explanation style: ${profile.preferredStyle}`);
+      }
+
+      if (lines.length === 0) {
+        return null;
+      }
+
+      return `LEARNER PROFILE:
+${lines.join('\n')}
+
+Adapt your explanations to this student: build on topics they have mastered, slow down and check understanding on weaker topics, address the mistakes above if they come up, and follow their preferred style.`;
+    } catch (error) {
+      logger.warn(
+        `Could not load learner profile for user ${userId}: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Set the student's preferred explanation style
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {string|null} preferredStyle - One of EXPLANATION_STYLES, or null to clear
+   * @returns {Promise<Object>} - The updated LearnerProfile instance
+   */
+  async setPreferredStyle(userId, preferredStyle) {
+    const profile = await this.getProfile(userId);
+    profile.preferredStyle = preferredStyle;
+    await profile.save();
+    return profile;
+  }
+
+  /**
+   * Prepend misconceptions to the profile, keeping the most recent
+   *
+   * @private
+   * @async
+   * @param {number} userId - The user ID
+   * @param {Array} misconceptions - New misconceptions
+   * @returns {Promise<void>}
+   */
+  async _addMisconceptions(userId, misconceptions) {
+    const profile = await this.getProfile(userId);
+    // Reassign so Sequelize notices the JSON change
+    profile.misconceptions = [
+      ...misconceptions,
+      ...(profile.misconceptions || []),
+    ].slice(0, MAX_MISCONCEPTIONS);
+    await profile.save();
+  }
+
+  /**
+   * Human-readable form of an answer
+   *
+   * @private
+   * @param {Object} question - The quiz question
+   * @param {*} given - The student's answer
+   * @returns {string}
+   */
+  _describeAnswer(question, given) {
+    if (question.type === 'multiple_choice' && typeof given === 'number') {
+      return question.options[given] ?? String(given);
+    }
+    return String(given);
+  }
+
+  /**
+   * Label for a mastery estimate
+   *
+   * @private
+   * @param {number} mastery - Mastery from 0 to 1
+   * @returns {string}
+   */
+  _level(mastery) {
+    if (mastery >= 0.8) return 'strong';
+    if (mastery >= 0.5) return 'developing';
+    return 'needs work';
+  }
+}
+
+export { EXPLANATION_STYLES };
+export default new LearnerProfileService();
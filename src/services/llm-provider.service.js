@@ -0,0 +1,161 @@
+/**
+ * @module LLMProviderService
+ * @description Registry that selects the LLM provider and generation settings
+ * from `config.openAI`, optionally overridden per tutor session
+ */
+
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import OpenAIProvider from './providers/openai.provider.js';
+import MockProvider from './providers/mock.provider.js';
+
+class LLMProviderService {
+  constructor() {
+    this.factories = {
+      openai: () =>
+        new OpenAIProvider({
+          name: 'openai',
+          baseURL: config.openAI.baseURL,
+          apiKey: config.openAI.apiKey,
+        }),
+      'openai-compatible': () =>
+        new OpenAIProvider({
+          name: 'openai-compatible',
+          baseURL: config.openAI.compatible.baseURL,
+          apiKey: config.openAI.compatible.apiKey,
+          requiresApiKey: false,
+        }),
+      mock: () => new MockProvider({ scriptPath: config.openAI.mock.scriptPath }),
+    };
+    this.providers = new Map(); // Lazily created provider instances
+  }
+
+  /**
+   * Names of all registered providers
+   *
+   * @returns {Array<string>} - Provider names
+   */
+  listProviders() {
+    return Object.keys(this.factories);
+  }
+
+  /**
+   * Names of the providers a session can choose: those that are configured,
+   * and the mock provider only when `LLM_MOCK_ENABLED` is set
+   *
+   * @returns {Array<string>} - Provider names
+   */
+  listAvailableProviders() {
+    return this.listProviders().filter((name) => this.isAvailable(name));
+  }
+
+  /**
+   * Check whether sessions may choose a provider
+   *
+   * @param {string} name - Provider name
+   * @returns {boolean} - True if the provider is known and available
+   */
+  isAvailable(name) {
+    if (!this.hasProvider(name)) return false;
+    if (name === 'mock') return config.openAI.mock.enabled;
+    return this.getProvider(name).isConfigured();
+  }
+
+  /**
+   * Names of the models a session can choose for a provider: its default
+   * model and, for OpenAI, the allowed models from the configuration
+   *
+   * @param {string} name - Provider name; defaults to the configured provider
+   * @returns {Array<string>} - Model names
+   */
+  listModels(name = config.openAI.provider) {
+    const models = [this._defaultModel(name)];
+    if (name === 'openai') {
+      models.push(...config.openAI.allowedModels);
+    }
+    return [...new Set(models)];
+  }
+
+  /**
+   * Check whether a provider name is known
+   *
+   * @param {string} name - Provider name
+   * @returns {boolean} - True if the provider exists
+   */
+  hasProvider(name) {
+    return Object.prototype.hasOwnProperty.call(this.factories, name);
+  }
+
+  /**
+   * Get a provider instance by name
+   *
+   * @param {string} name - Provider name
+   * @returns {LLMProvider} - The provider
+   * @throws {Error} - If the provider is unknown
+   */
+  getProvider(name) {
+    if (!this.hasProvider(name)) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    if (!this.providers.has(name)) {
+      this.providers.set(name, this.factories[name]());
+      logger.debug(`Created LLM provider: ${name}`);
+    }
+
+    return this.providers.get(name);
+  }
+
+  /**
+   * Resolve the provider and generation settings for a session. Providers
+   * that are no longer available, models the provider does not allow and
+   * token limits above the configured one are not applied, in case they were
+   * stored before the current configuration.
+   *
+   * @param {Object} overrides - Per-session settings (`TutorSession.llmSettings`)
+   * @param {string} overrides.provider - Provider name
+   * @param {string} overrides.model - Model name
+   * @param {number} overrides.temperature - Sampling temperature
+   * @param {number} overrides.maxTokens - Maximum tokens to generate
+   * @returns {Object} - The provider and the model, temperature and maxTokens to use
+   */
+  resolve(overrides = {}) {
+    const settings = overrides || {};
+    const name =
+      settings.provider && this.isAvailable(settings.provider)
+        ? settings.provider
+        : config.openAI.provider;
+    const provider = this.getProvider(name);
+
+    const model = this.listModels(name).includes(settings.model)
+      ? settings.model
+      : this._defaultModel(name);
+
+    return {
+      provider,
+      model,
+      temperature: settings.temperature ?? config.openAI.temperature,
+      maxTokens: Math.min(
+        settings.maxTokens ?? config.openAI.maxTokens,
+        config.openAI.maxTokens,
+      ),
+    };
+  }
+
+  /**
+   * Default model for a provider
+   *
+   * @private
+   * @param {string} name - Provider name
+   * @returns {string} - Model name
+   */
+  _defaultModel(name) {
+    if (name === 'mock') return 'mock';
+    if (name === 'openai-compatible') {
+      return config.openAI.compatible.model || config.openAI.defaultModel;
+    }
+    return config.openAI.defaultModel;
+  }
+}
+
+export default new LLMProviderService();
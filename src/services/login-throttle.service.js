@@ -0,0 +1,368 @@
+/**
+ * @module LoginThrottleService
+ * @description Tracks failed logins per account and per IP address, with
+ * progressive backoff and temporary lockout
+ */
+
+import { Op, QueryTypes } from 'sequelize';
+import config from '../config/config.js';
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { APIError } from '../middleware/error.js';
+
+const LoginThrottle = db.LoginThrottle;
+
+class LoginThrottleService {
+  /**
+   * Refuse a login attempt while the account or IP address is backing off or
+   * locked. The response is the same whether or not the account exists.
+   *
+   * @async
+   * @param {string} email - The email address being logged in to
+   * @param {string} ip - The client IP address
+   * @returns {Promise<void>}
+   * @throws {APIError} - 429 with `retryAfter` in seconds
+   */
+  async assertAllowed(email, ip) {
+    const retryAfter = await this.getRetryAfter(email, ip);
+
+    if (retryAfter > 0) {
+      throw this._tooManyAttempts(retryAfter);
+    }
+  }
+
+  /**
+   * Start a login attempt: refuse it like assertAllowed, then count it as a
+   * failure until the credentials are known to be good. Counting before the
+   * credentials are checked means concurrent attempts see each other, so they
+   * cannot all get past the limit together.
+   *
+   * @async
+   * @param {string} email - The email address being logged in to
+   * @param {string} ip - The client IP address
+   * @returns {Promise<void>}
+   * @throws {APIError} - 429 with `retryAfter` in seconds
+   */
+  async beginAttempt(email, ip) {
+    await this.assertAllowed(email, ip);
+
+    const { maxAccountFailures, maxIpFailures } = config.loginThrottle;
+    const counters = [['account', this._accountKey(email), maxAccountFailures]];
+    if (ip) {
+      counters.push(['ip', ip, maxIpFailures]);
+    }
+
+    const locked = [];
+    for (const [scope, key, maxFailures] of counters) {
+      locked.push(await this._increment(scope, key, maxFailures));
+    }
+
+    // The check above ran before this attempt was counted
+    const lockedUntil = Math.max(...locked.map((row) => row?.lockedUntil ?? 0));
+    if (lockedUntil > 0) {
+      throw this._tooManyAttempts(
+        Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000)),
+      );
+    }
+  }
+
+  /**
+   * Stop counting an attempt from beginAttempt once its credentials are
+   * known to be good
+   *
+   * @async
+   * @param {string} email - The email address being logged in to
+   * @param {string} ip - The client IP address
+   * @returns {Promise<void>}
+   */
+  async releaseAttempt(email, ip) {
+    const keys = [{ scope: 'account', key: this._accountKey(email) }];
+    if (ip) {
+      keys.push({ scope: 'ip', key: ip });
+    }
+
+    await LoginThrottle.decrement('failures', {
+      where: { [Op.or]: keys, failures: { [Op.gt]: 0 } },
+    });
+  }
+
+  /**
+   * Seconds the client has to wait before trying to log in again
+   *
+   * @async
+   * @param {string} email - The email address being logged in to
+   * @param {string} ip - The client IP address
+   * @returns {Promise<number>} - 0 if a login attempt is allowed now
+   */
+  async getRetryAfter(email, ip) {
+    const [account, address] = await Promise.all([
+      this._find('account', this._accountKey(email)),
+      this._find('ip', ip),
+    ]);
+    const now = Date.now();
+
+    const waits = [account, address].map((row) => {
+      if (!row || this._isStale(row, now)) {
+        return 0;
+      }
+      if (row.lockedUntil) {
+        return row.lockedUntil.getTime() - now;
+      }
+      // Only accounts back off; an IP address is shared by many users
+      if (row.scope === 'account') {
+        const backoffMs = this._backoffMs(row.failures);
+        return row.lastFailureAt.getTime() + backoffMs - now;
+      }
+      return 0;
+    });
+
+    return Math.max(0, Math.ceil(Math.max(...waits) / 1000));
+  }
+
+  /**
+   * Record that an attempt from beginAttempt failed. It was counted when it
+   * began; the account and the IP address are locked once they reach their
+   * limit.
+   *
+   * @async
+   * @param {string} email - The email address being logged in to
+   * @param {string} ip - The client IP address
+   * @returns {Promise<void>}
+   */
+  async recordFailure(email, ip) {
+    const { maxAccountFailures, maxIpFailures } = config.loginThrottle;
+
+    await this._lockIfReached(
+      'account',
+      this._accountKey(email),
+      maxAccountFailures,
+    );
+    if (ip) {
+      await this._lockIfReached('ip', ip, maxIpFailures);
+    }
+
+    await this._pruneStale();
+  }
+
+  /**
+   * Forget the failures for an account after a successful login
+   *
+   * @async
+   * @param {string} email - The account's email address
+   * @returns {Promise<void>}
+   */
+  async reset(email) {
+    await LoginThrottle.destroy({
+      where: { scope: 'account', key: this._accountKey(email) },
+    });
+  }
+
+  /**
+   * Unlock an account, e.g. when an admin confirms it is the real user
+   *
+   * @async
+   * @param {string} email - The account's email address
+   * @returns {Promise<boolean>} - True if the account was locked
+   */
+  async unlock(email) {
+    const lockedUntil = await this.getLockedUntil(email);
+
+    await this.reset(email);
+    return lockedUntil !== null;
+  }
+
+  /**
+   * When a locked account becomes available again
+   *
+   * @async
+   * @param {string} email - The account's email address
+   * @returns {Promise<Date|null>} - Null if the account is not locked
+   */
+  async getLockedUntil(email) {
+    const row = await this._find('account', this._accountKey(email));
+    return row?.lockedUntil && row.lockedUntil > new Date()
+      ? row.lockedUntil
+      : null;
+  }
+
+  /**
+   * Add a failure to one counter in a single UPDATE, so concurrent failures
+   * are all counted, and lock it once it is past its limit
+   *
+   * @private
+   * @async
+   * @param {string} scope - 'account' or 'ip'
+   * @param {string} key - Email address or IP address
+   * @param {number} maxFailures - Failures allowed before attempts are refused
+   * @returns {Promise<Object|null>} - The locked counter if this attempt
+   * is past the limit
+   */
+  async _increment(scope, key, maxFailures) {
+    const now = new Date();
+    const windowStart = new Date(
+      now.getTime() - config.loginThrottle.failureWindowMinutes * 60 * 1000,
+    );
+
+    await LoginThrottle.bulkCreate([{ scope, key }], {
+      ignoreDuplicates: true,
+    });
+
+    // Start counting again once earlier failures have expired
+    await LoginThrottle.update(
+      { failures: 0, lockedUntil: null },
+      {
+        where: {
+          scope,
+          key,
+          [Op.or]: [
+            { lastFailureAt: null },
+            { lockedUntil: { [Op.lte]: now } },
+            { lockedUntil: null, lastFailureAt: { [Op.lte]: windowStart } },
+          ],
+        },
+      },
+    );
+
+    // RETURNING gives this attempt's own position among concurrent ones
+    const [{ failures }] = await db.sequelize.query(
+      `UPDATE LoginThrottles SET failures = failures + 1, lastFailureAt = :now
+        WHERE scope = :scope AND key = :key RETURNING failures`,
+      { replacements: { now, scope, key }, type: QueryTypes.SELECT },
+    );
+
+    // Attempts beyond the limit are refused, however many run at once
+    return failures > maxFailures
+      ? this._lockIfReached(scope, key, maxFailures + 1)
+      : null;
+  }
+
+  /**
+   * Lock a counter that has reached a number of failures
+   *
+   * @private
+   * @async
+   * @param {string} scope - 'account' or 'ip'
+   * @param {string} key - Email address or IP address
+   * @param {number} limit - Failures that lock the counter
+   * @returns {Promise<Object|null>} - The counter
+   */
+  async _lockIfReached(scope, key, limit) {
+    const row = await this._find(scope, key);
+    const now = new Date();
+
+    if (!row || row.failures < limit || row.lockedUntil > now) {
+      return row;
+    }
+
+    row.lockedUntil = new Date(
+      now.getTime() + config.loginThrottle.lockoutMinutes * 60 * 1000,
+    );
+    await LoginThrottle.update(
+      { lockedUntil: row.lockedUntil },
+      {
+        where: {
+          id: row.id,
+          [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lte]: now } }],
+        },
+      },
+    );
+    logger.warn(
+      `Login locked for ${scope} ${key} after ${row.failures} failures`,
+    );
+
+    return row;
+  }
+
+  /**
+   * Whether a counter's failures no longer count: its lock has run out, or
+   * its last failure is outside the window
+   *
+   * @private
+   * @param {Object} row - The LoginThrottle instance
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean}
+   */
+  _isStale(row, now) {
+    if (!row.lastFailureAt) {
+      return true;
+    }
+    if (row.lockedUntil) {
+      return row.lockedUntil.getTime() <= now;
+    }
+    const windowMs = config.loginThrottle.failureWindowMinutes * 60 * 1000;
+    return row.lastFailureAt.getTime() + windowMs <= now;
+  }
+
+  /**
+   * Wait required after a number of failures: none after the first, then
+   * twice the base delay, doubling with each further failure
+   *
+   * @private
+   * @param {number} failures - Failures so far
+   * @returns {number} - Milliseconds
+   */
+  _backoffMs(failures) {
+    if (failures < 2) {
+      return 0;
+    }
+    return config.loginThrottle.backoffBaseSeconds * 1000 * 2 ** (failures - 1);
+  }
+
+  /**
+   * Delete counters that no longer affect anyone, so guessed email addresses
+   * do not pile up
+   *
+   * @private
+   * @async
+   * @returns {Promise<void>}
+   */
+  async _pruneStale() {
+    const { failureWindowMinutes, lockoutMinutes } = config.loginThrottle;
+    const cutoff = new Date(
+      Date.now() - Math.max(failureWindowMinutes, lockoutMinutes) * 60 * 1000,
+    );
+
+    await LoginThrottle.destroy({
+      where: { lastFailureAt: { [Op.lt]: cutoff } },
+    });
+  }
+
+  /**
+   * @private
+   * @param {number} retryAfter - Seconds until the next attempt is allowed
+   * @returns {APIError} - 429 with `retryAfter`
+   */
+  _tooManyAttempts(retryAfter) {
+    const error = new APIError(
+      'Too many failed login attempts. Please try again later.',
+      429,
+    );
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  /**
+   * Find the counter for a key
+   *
+   * @private
+   * @param {string} scope - 'account' or 'ip'
+   * @param {string} key - Email address or IP address
+   * @returns {Promise<Object|null>} - The LoginThrottle instance
+   */
+  _find(scope, key) {
+    return key ? LoginThrottle.findOne({ where: { scope, key } }) : null;
+  }
+
+  /**
+   * Counter key for an email address
+   *
+   * @private
+   * @param {string} email - Email address as entered
+   * @returns {string} - Normalised key
+   */
+  _accountKey(email) {
+    return String(email).trim().toLowerCase();
+  }
+}
+
+export default new LoginThrottleService();
@@ -0,0 +1,53 @@
+/**
+ * @module FileTransport
+ * @description Development/test mail transport. Writes each message as JSON to
+ * a directory, or only logs it when no directory is configured. Only the
+ * recipient and subject are logged: message bodies hold live reset and
+ * verification links, and the logs are kept on disk.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../../utils/logger.js';
+
+class FileTransport {
+  /**
+   * @param {Object} settings - Transport settings
+   * @param {string} settings.directory - Directory to write messages to; log only if omitted
+   */
+  constructor({ directory } = {}) {
+    this.name = directory ? 'file' : 'console';
+    this.directory = directory;
+  }
+
+  /**
+   * "Send" a message by writing it to disk and logging where it went
+   *
+   * @async
+   * @param {Object} message - `{ from, to, subject, text, html }`
+   * @returns {Promise<Object>} - `{ messageId, path }`
+   */
+  async send(message) {
+    const messageId = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+    const summary = `[mail:${this.name}] To: ${message.to} | Subject: ${message.subject}`;
+
+    if (!this.directory) {
+      logger.info(summary);
+      return { messageId };
+    }
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, `${messageId}.json`);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ messageId, date: new Date(), ...message }, null, 2),
+    );
+
+    logger.info(`${summary} | File: ${filePath}`);
+    return { messageId, path: filePath };
+  }
+}
+
+export default FileTransport;
@@ -0,0 +1,138 @@
+/**
+ * @module MailService
+ * @description Builds account emails and sends them through the configured transport
+ */
+
+import config from '../../config/config.js';
+import logger from '../../utils/logger.js';
+import SMTPTransport from './smtp.transport.js';
+import FileTransport from './file.transport.js';
+
+class MailService {
+  constructor() {
+    this.transport = this._createTransport(config.mail);
+    logger.info(`MailService initialized with ${this.transport.name} transport`);
+  }
+
+  /**
+   * Send an email
+   *
+   * @async
+   * @param {Object} message - `{ to, subject, text, html }`
+   * @returns {Promise<Object>} - Transport result
+   */
+  async send(message) {
+    try {
+      const result = await this.transport.send({
+        from: config.mail.from,
+        ...message,
+      });
+      logger.debug(`Email "${message.subject}" sent to ${message.to}`);
+      return result;
+    } catch (error) {
+      logger.error(`Error sending email to ${message.to}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the email verification link to a user
+   *
+   * @async
+   * @param {Object} user - The user model instance
+   * @param {string} token - The verification token
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendVerificationEmail(user, token) {
+    const link = `${config.apiUrl}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in ${config.emailVerificationExpirationInHours} hours.`,
+      html: `<p>Hi ${this._escape(user.name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify email address</a></p><p>The link expires in ${config.emailVerificationExpirationInHours} hours.</p>`,
+    });
+  }
+
+  /**
+   * Send the password reset link to a user
+   *
+   * @async
+   * @param {Object} user - The user model instance
+   * @param {string} token - The password reset token
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendPasswordResetEmail(user, token) {
+    const link = `${config.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThe link expires in ${config.passwordResetExpirationInMinutes} minutes. If you did not ask for this, you can ignore this email.`,
+      html: `<p>Hi ${this._escape(user.name)},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>The link expires in ${config.passwordResetExpirationInMinutes} minutes. If you did not ask for this, you can ignore this email.</p>`,
+    });
+  }
+
+  /**
+   * Tell a user's previous address that the account email was changed, so a
+   * change they did not make does not go unnoticed
+   *
+   * @async
+   * @param {Object} user - The user model instance, with the new email
+   * @param {string} previousEmail - The address the account had before
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendEmailChangedEmail(user, previousEmail) {
+    return this.send({
+      to: previousEmail,
+      subject: 'Your email address was changed',
+      text: `Hi ${user.name},\n\nThe email address of your account was changed to ${user.email}. If you did not make this change, contact your administrator straight away.`,
+      html: `<p>Hi ${this._escape(user.name)},</p><p>The email address of your account was changed to ${this._escape(user.email)}. If you did not make this change, contact your administrator straight away.</p>`,
+    });
+  }
+
+  /**
+   * Create the transport named in config. The console transport is refused in
+   * production, where it would silently drop every account email.
+   *
+   * @private
+   * @param {Object} mailConfig - `config.mail`
+   * @returns {Object} - A transport with a `send(message)` method
+   * @throws {Error} - If the console transport is configured in production
+   */
+  _createTransport(mailConfig) {
+    const isConsole = !['smtp', 'file'].includes(mailConfig.transport);
+    if (config.env === 'production' && isConsole) {
+      throw new Error(
+        'MAIL_TRANSPORT=console cannot be used in production; configure smtp',
+      );
+    }
+
+    switch (mailConfig.transport) {
+      case 'smtp':
+        return new SMTPTransport(mailConfig.smtp);
+      case 'file':
+        return new FileTransport({ directory: mailConfig.fileDirectory });
+      case 'console':
+      default:
+        return new FileTransport();
+    }
+  }
+
+  /**
+   * Escape text for inclusion in HTML
+   *
+   * @private
+   * @param {string} value - Raw text
+   * @returns {string} - Escaped text
+   */
+  _escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+export default new MailService();
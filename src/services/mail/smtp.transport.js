@@ -0,0 +1,40 @@
+/**
+ * @module SMTPTransport
+ * @description Mail transport that delivers messages through an SMTP server
+ */
+
+import nodemailer from 'nodemailer';
+
+class SMTPTransport {
+  /**
+   * @param {Object} settings - SMTP settings
+   * @param {string} settings.host - SMTP host
+   * @param {number} settings.port - SMTP port
+   * @param {boolean} settings.secure - Use TLS from the start of the connection
+   * @param {string} settings.user - Username, if the server requires auth
+   * @param {string} settings.pass - Password, if the server requires auth
+   */
+  constructor({ host, port, secure, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      ...(user && { auth: { user, pass } }),
+    });
+  }
+
+  /**
+   * Send a message
+   *
+   * @async
+   * @param {Object} message - `{ from, to, subject, text, html }`
+   * @returns {Promise<Object>} - `{ messageId }`
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+export default SMTPTransport;
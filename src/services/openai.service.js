@@ -1,10 +1,12 @@
 /**
  * @module OpenAIService
- * @description Service to handle interactions with OpenAI API
+ * @description Service to generate tutor responses through the configured LLM provider
  */
 
-import config from '../config/config.js';
 import logger from '../utils/logger.js';
+import llmProviderService from './llm-provider.service.js';
+import contextWindowService from './context-window.service.js';
+import promptTemplateService from './langchain/prompt-template.service.js';
 
 class OpenAIService {
   /**
@@ -15,88 +17,235 @@ class OpenAIService {
    * @param {string} userMessage - The user's message
    * @param {Object} session - The tutor session object
    * @param {Array} messageHistory - Previous messages in the conversation
+   * @param {Object} options - Optional prompt options
+   * @param {string} options.learnerProfile - Learner profile section to add to the system prompt
+   * @param {string} options.assignmentInstructions - Assignment instructions for the system prompt
    * @returns {Promise<string>} - The assistant's response
    */
-  async generateTutorResponse(userMessage, session, messageHistory) {
+  async generateTutorResponse(
+    userMessage,
+    session,
+    messageHistory,
+    { learnerProfile, assignmentInstructions } = {},
+  ) {
     try {
-      if (!config.openAI.apiKey) {
-        logger.warn('OpenAI API key not configured, using fallback response');
-        return this.generateFallbackResponse(userMessage, session.subject);
-      }
+      const { provider, ...settings } = llmProviderService.resolve(
+        session.llmSettings,
+      );
 
-      // Prepare messages for the OpenAI API call
-      const messages = [
-        {
-          role: 'system',
-          content: `You are a friendly and knowledgeable tutor specializing in ${
-            session.subject || 'various subjects'
-          }. 
-                   Your goal is to help the user understand concepts clearly and answer their questions thoroughly.
-                   Provide explanations that are accurate, helpful, and tailored to the user's level of understanding.`,
-        },
-      ];
-
-      // Add message history
-      if (messageHistory && messageHistory.length > 0) {
-        // Filter out system messages for the API call
-        const apiMessages = messageHistory
-          .filter((msg) => msg.role !== 'system')
-          .map((msg) => ({
-            role: msg.role,
-            content: msg.content,
-          }));
-
-        messages.push(...apiMessages);
+      if (!provider.isConfigured()) {
+        logger.warn(
+          `LLM provider ${provider.name} not configured, using fallback response`,
+        );
+        return this.generateFallbackResponse(userMessage, session.subject);
       }
 
-      // Add the current user message
-      messages.push({
-        role: 'user',
-        content: userMessage,
-      });
+      const messages = await this._buildMessages(
+        userMessage,
+        session,
+        messageHistory,
+        settings,
+        { learnerProfile, assignmentInstructions },
+      );
 
       // Log request to aid debugging (without sensitive data)
       logger.debug(
-        `Sending request to OpenAI API with ${messages.length} messages`,
+        `Sending request to ${provider.name} (${settings.model}) with ${messages.length} messages`,
       );
 
-      // Call OpenAI API
-      const response = await fetch(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${config.openAI.apiKey}`,
-          },
-          body: JSON.stringify({
-            model: config.openAI.defaultModel,
-            messages: messages,
-            temperature: 0.7,
-            max_tokens: 1000,
-          }),
-        },
+      const content = await provider.complete(messages, {
+        ...settings,
+        subject: session.subject,
+      });
+
+      // Log successful API call
+      logger.info(
+        `Received response from ${provider.name} for session ${session.id}`,
       );
 
-      if (!response.ok) {
-        const error = await response.json();
-        logger.error(`OpenAI API error: ${JSON.stringify(error)}`);
-        return this.generateFallbackResponse(userMessage, session.subject);
+      return content;
+    } catch (error) {
+      logger.error(`Error generating tutor response: ${error.message}`);
+      logger.debug(error.stack);
+      return this.generateFallbackResponse(userMessage, session.subject);
+    }
+  }
+
+  /**
+   * Stream a tutor response token by token. Each content delta from the provider
+   * is passed to `onToken` as it arrives, and the full text is returned at the end.
+   * Aborting `signal` cancels the upstream request and rejects with an AbortError.
+   *
+   * @async
+   * @param {string} userMessage - The user's message
+   * @param {Object} session - The tutor session object
+   * @param {Array} messageHistory - Previous messages in the conversation
+   * @param {Object} options - Streaming options
+   * @param {Function} options.onToken - Called with each content delta
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.learnerProfile - Learner profile section to add to the system prompt
+   * @param {string} options.assignmentInstructions - Assignment instructions for the system prompt
+   * @returns {Promise<string>} - The complete assistant response
+   */
+  async streamTutorResponse(
+    userMessage,
+    session,
+    messageHistory,
+    { onToken = () => {}, signal, learnerProfile, assignmentInstructions } = {},
+  ) {
+    let content = '';
+
+    try {
+      const { provider, ...settings } = llmProviderService.resolve(
+        session.llmSettings,
+      );
+
+      if (!provider.isConfigured()) {
+        logger.warn(
+          `LLM provider ${provider.name} not configured, using fallback response`,
+        );
+        content = this.generateFallbackResponse(userMessage, session.subject);
+        onToken(content);
+        return content;
       }
 
-      const data = await response.json();
+      const messages = await this._buildMessages(
+        userMessage,
+        session,
+        messageHistory,
+        settings,
+        { learnerProfile, assignmentInstructions },
+      );
+
+      logger.debug(
+        `Sending streaming request to ${provider.name} (${settings.model}) with ${messages.length} messages`,
+      );
+
+      content = await provider.stream(messages, {
+        ...settings,
+        subject: session.subject,
+        signal,
+        onToken: (delta) => {
+          content += delta;
+          onToken(delta);
+        },
+      });
 
-      // Log successful API call
       logger.info(
-        `Received response from OpenAI API for session ${session.id}`,
+        `Streamed response from ${provider.name} for session ${session.id}`,
       );
 
-      return data.choices[0].message.content;
+      return content;
     } catch (error) {
-      logger.error(`Error generating tutor response: ${error.message}`);
+      // Client went away: let the caller decide what to keep
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      logger.error(`Error streaming tutor response: ${error.message}`);
       logger.debug(error.stack);
-      return this.generateFallbackResponse(userMessage, session.subject);
+
+      // Keep whatever already reached the client rather than contradicting it
+      if (content) {
+        return content;
+      }
+
+      content = this.generateFallbackResponse(userMessage, session.subject);
+      onToken(content);
+      return content;
+    }
+  }
+
+  /**
+   * Build the chat messages payload for the provider. History is fitted into the
+   * model's token budget, with older turns replaced by the running summary.
+   *
+   * @private
+   * @async
+   * @param {string} userMessage - The user's message
+   * @param {Object} session - The tutor session object. An optional
+   * `systemPrompt` replaces the default prompt. If it carries a
+   * `conversationSummary` (possibly null) the caller owns summary persistence.
+   * @param {Array} messageHistory - Previous messages in the conversation
+   * @param {Object} settings - Resolved generation settings `{ model, maxTokens }`
+   * @param {Object} prompt - Optional system prompt additions
+   * @param {string} prompt.learnerProfile - Learner profile section
+   * @param {string} prompt.assignmentInstructions - Assignment instructions; the
+   * subject prompt with these instructions replaces the general tutor prompt
+   * @returns {Promise<Array>} - Messages in OpenAI chat format
+   */
+  async _buildMessages(
+    userMessage,
+    session,
+    messageHistory,
+    settings,
+    { learnerProfile = null, assignmentInstructions = null } = {},
+  ) {
+    // Prepare messages for the OpenAI API call. Agent flows supply their own
+    // system prompt; assignment sessions use the subject prompt with the
+    // assignment instructions; otherwise use the general tutor prompt.
+    const messages = [
+      {
+        role: 'system',
+        content:
+          session.systemPrompt ||
+          (assignmentInstructions &&
+            promptTemplateService.createCustomPromptTemplate(
+              session.subject,
+              assignmentInstructions,
+            ).template) ||
+          `You are a friendly and knowledgeable tutor specializing in ${
+            session.subject || 'various subjects'
+          }. 
+                   Your goal is to help the user understand concepts clearly and answer their questions thoroughly.
+                   Provide explanations that are accurate, helpful, and tailored to the user's level of understanding.`,
+      },
+    ];
+
+    if (learnerProfile) {
+      messages[0].content += `\n\n${learnerProfile}`;
+    }
+
+    const currentMessage = {
+      role: 'user',
+      content: userMessage,
+    };
+
+    // Add message history, trimmed to the token budget
+    if (messageHistory && messageHistory.length > 0) {
+      const reservedTokens =
+        contextWindowService.countMessageTokens(
+          [...messages, currentMessage],
+          settings.model,
+        ) + settings.maxTokens;
+
+      const { messages: recent, summary } = await contextWindowService.compact(
+        session,
+        messageHistory,
+        {
+          model: settings.model,
+          reservedTokens,
+          summary: session.conversationSummary,
+        },
+      );
+
+      const summaryMessage = contextWindowService.buildSummaryMessage(summary);
+      if (summaryMessage) {
+        messages.push(summaryMessage);
+      }
+
+      messages.push(
+        ...recent.map((msg) => ({
+          role: msg.role,
+          content: msg.content,
+        })),
+      );
     }
+
+    // Add the current user message
+    messages.push(currentMessage);
+
+    return messages;
   }
 
   /**
@@ -0,0 +1,57 @@
+/**
+ * @module LLMProvider
+ * @description Base class describing the interface every LLM provider implements
+ */
+
+class LLMProvider {
+  /**
+   * @param {string} name - The provider name used in config and session settings
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has everything it needs to make requests
+   *
+   * @returns {boolean} - True if the provider can be used
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Generate a complete chat response
+   *
+   * @async
+   * @param {Array} messages - Messages in OpenAI chat format
+   * @param {Object} options - Generation options
+   * @param {string} options.model - The model to use
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.maxTokens - Maximum tokens to generate
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {boolean} options.json - Ask for a single JSON object as the response
+   * @returns {Promise<string>} - The response text
+   */
+  async complete(messages, options = {}) {
+    throw new Error(`Provider ${this.name} does not implement complete()`);
+  }
+
+  /**
+   * Generate a chat response, passing each content delta to `onToken`.
+   * Providers without native streaming emit the whole response as one delta.
+   *
+   * @async
+   * @param {Array} messages - Messages in OpenAI chat format
+   * @param {Object} options - Generation options, as for complete()
+   * @param {Function} options.onToken - Called with each content delta
+   * @returns {Promise<string>} - The complete response text
+   */
+  async stream(messages, options = {}) {
+    const content = await this.complete(messages, options);
+    options.onToken?.(content);
+    return content;
+  }
+}
+
+export default LLMProvider;
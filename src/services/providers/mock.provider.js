@@ -0,0 +1,214 @@
+/**
+ * @module MockProvider
+ * @description Deterministic offline provider that answers from scripted rules.
+ * Used for local development and tests when no LLM is available.
+ */
+
+import fs from 'fs';
+import LLMProvider from './base.provider.js';
+import logger from '../../utils/logger.js';
+
+// Built-in rules used when no script file is configured
+const DEFAULT_SCRIPT = {
+  rules: [
+    {
+      match: '^(hi|hello|hey)\\b',
+      reply:
+        'Hello! I am your mock tutor for {{subject}}. What would you like to work on?',
+    },
+    {
+      match: '\\bquiz\\b',
+      reply:
+        'Here is a practice question on {{subject}}: explain the idea behind "{{input}}" in your own words.',
+    },
+  ],
+  default:
+    'Mock tutor response about {{subject}}. You said: "{{input}}". Let us break that down step by step.',
+  // Replies for requests that ask for JSON output, matched against the prompt
+  json: [
+    {
+      match: 'title for this tutoring session',
+      reply: { title: 'Getting started with {{subject}}' },
+    },
+    {
+      match: 'summarise a tutoring session',
+      reply: {
+        topics: ['The questions the student asked about {{subject}}'],
+        takeaways: ['Review the key definitions before moving on.'],
+        openQuestions: [],
+        nextSteps: ['Try a practice quiz on {{subject}}.'],
+      },
+    },
+    {
+      match: 'flashcards',
+      reply: {
+        cards: [
+          {
+            front: 'What is the main topic of this {{subject}} session?',
+            back: 'The questions the student asked about {{subject}}.',
+            source: 'm1',
+          },
+          {
+            front: 'Name one good habit when studying {{subject}}.',
+            back: 'Review the key definitions before moving on.',
+            source: null,
+          },
+        ],
+      },
+    },
+    {
+      match: 'quiz',
+      reply: {
+        title: 'Practice quiz on {{subject}}',
+        questions: [
+          {
+            type: 'multiple_choice',
+            topic: 'study skills',
+            prompt: 'Which of these is a good first step when studying {{subject}}?',
+            options: [
+              'Skip the basics',
+              'Review the key definitions',
+              'Memorise answers without understanding',
+            ],
+            answer: 1,
+            explanation:
+              'Reviewing key definitions gives you the vocabulary to understand everything else.',
+          },
+          {
+            type: 'short_answer',
+            topic: 'study skills',
+            prompt: 'Name the subject of this tutoring session.',
+            answer: '{{subject}}',
+            acceptableAnswers: [],
+            explanation: 'This session is about {{subject}}.',
+          },
+          {
+            type: 'numeric',
+            topic: 'arithmetic',
+            prompt: 'What is 6 multiplied by 7?',
+            answer: 42,
+            tolerance: 0,
+            explanation: '6 x 7 = 42.',
+          },
+        ],
+      },
+    },
+  ],
+};
+
+class MockProvider extends LLMProvider {
+  /**
+   * @param {Object} settings - Provider settings
+   * @param {string} settings.scriptPath - Optional path to a JSON script
+   * of the form `{ "rules": [{ "match": "regex", "reply": "text" }], "default": "text" }`.
+   * Replies may use the `{{input}}` and `{{subject}}` placeholders. An optional
+   * `"json": [{ "match": "regex", "reply": {} }]` list answers requests for
+   * JSON output, matching against the whole prompt.
+   */
+  constructor({ scriptPath } = {}) {
+    super('mock');
+    this.script = this._loadScript(scriptPath);
+  }
+
+  async complete(messages, options = {}) {
+    if (options.json) {
+      return this.replyJson(messages, options.subject);
+    }
+
+    return this.reply(messages, options.subject, options.maxTokens);
+  }
+
+  async stream(messages, options = {}) {
+    const { onToken = () => {}, signal } = options;
+    const content = this.reply(messages, options.subject, options.maxTokens);
+
+    // Emit word by word so streaming clients can be exercised offline
+    for (const token of content.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+      onToken(token);
+    }
+
+    return content;
+  }
+
+  /**
+   * Pick the scripted reply for the last user message
+   *
+   * @param {Array} messages - Messages in OpenAI chat format
+   * @param {string} subject - The session subject
+   * @param {number} maxTokens - Optional cap, applied as a word count
+   * @returns {string} - The reply text
+   */
+  reply(messages, subject, maxTokens) {
+    const lastUser = [...messages].reverse().find((m) => m.role === 'user');
+    const input = lastUser?.content?.trim() || '';
+
+    const rule = this.script.rules.find((r) =>
+      new RegExp(r.match, 'i').test(input),
+    );
+    const template = rule ? rule.reply : this.script.default;
+
+    const text = template
+      .replace(/{{input}}/g, input)
+      .replace(/{{subject}}/g, subject || 'this subject');
+
+    const words = text.split(/\s+/);
+    return maxTokens && words.length > maxTokens
+      ? words.slice(0, maxTokens).join(' ')
+      : text;
+  }
+
+  /**
+   * Pick the scripted JSON reply for a prompt
+   *
+   * @param {Array} messages - Messages in OpenAI chat format
+   * @param {string} subject - The session subject
+   * @returns {string} - The reply as JSON text
+   */
+  replyJson(messages, subject) {
+    const prompt = messages.map((m) => m.content).join('\n');
+    const rule = this.script.json.find((r) =>
+      new RegExp(r.match, 'i').test(prompt),
+    );
+
+    // Escaped so the subject can't break the JSON
+    const escaped = JSON.stringify(subject || 'this subject').slice(1, -1);
+    return JSON.stringify(rule ? rule.reply : {}).replace(
+      /{{subject}}/g,
+      escaped,
+    );
+  }
+
+  /**
+   * Load the reply script from disk, falling back to the built-in rules
+   *
+   * @private
+   * @param {string} scriptPath - Path to a JSON script file
+   * @returns {Object} - The script
+   */
+  _loadScript(scriptPath) {
+    if (!scriptPath) {
+      return DEFAULT_SCRIPT;
+    }
+
+    try {
+      const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+      return {
+        rules: Array.isArray(script.rules) ? script.rules : [],
+        default: script.default || DEFAULT_SCRIPT.default,
+        json: Array.isArray(script.json) ? script.json : DEFAULT_SCRIPT.json,
+      };
+    } catch (error) {
+      logger.error(
+        `Could not load mock provider script ${scriptPath}: ${error.message}`,
+      );
+      return DEFAULT_SCRIPT;
+    }
+  }
+}
+
+export default MockProvider;
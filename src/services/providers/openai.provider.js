@@ -0,0 +1,108 @@
+/**
+ * @module OpenAIProvider
+ * @description Provider for the OpenAI chat completions API and servers that
+ * expose the same API (Ollama, llama.cpp, vLLM, ...)
+ */
+
+import LLMProvider from './base.provider.js';
+
+class OpenAIProvider extends LLMProvider {
+  /**
+   * @param {Object} settings - Provider settings
+   * @param {string} settings.name - The provider name
+   * @param {string} settings.baseURL - API base URL, e.g. https://api.openai.com/v1
+   * @param {string} settings.apiKey - API key sent as a Bearer token, if any
+   * @param {boolean} settings.requiresApiKey - Whether requests need an API key
+   */
+  constructor({ name, baseURL, apiKey, requiresApiKey = true }) {
+    super(name);
+    this.baseURL = (baseURL || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.requiresApiKey = requiresApiKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL) && (!this.requiresApiKey || !!this.apiKey);
+  }
+
+  async complete(messages, options = {}) {
+    const response = await this._request(messages, options);
+    const data = await response.json();
+    return data.choices[0].message.content;
+  }
+
+  async stream(messages, options = {}) {
+    const { onToken = () => {} } = options;
+    const response = await this._request(messages, { ...options, stream: true });
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+
+    // The API sends one `data: {...}` line per chunk, terminated by `data: [DONE]`
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') continue;
+
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onToken(delta);
+        }
+      }
+    }
+
+    return content;
+  }
+
+  /**
+   * Send a chat completion request
+   *
+   * @private
+   * @async
+   * @param {Array} messages - Messages in OpenAI chat format
+   * @param {Object} options - Generation options
+   * @returns {Promise<Response>} - The successful fetch response
+   * @throws {Error} - If the API responds with an error status
+   */
+  async _request(
+    messages,
+    { model, temperature, maxTokens, stream = false, json = false, signal },
+  ) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream,
+        ...(json && { response_format: { type: 'json_object' } }),
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`${this.name} API error (${response.status}): ${body}`);
+    }
+
+    return response;
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,342 @@
+/**
+ * @module QuizService
+ * @description Generates structured quizzes from tutor session transcripts and grades attempts
+ */
+
+import Joi from 'joi';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { parseJson } from '../utils/llm-json.js';
+import { APIError } from '../middleware/error.js';
+import llmProviderService from './llm-provider.service.js';
+import contextWindowService from './context-window.service.js';
+import promptTemplateService from './langchain/prompt-template.service.js';
+
+const QUESTION_TYPES = ['multiple_choice', 'short_answer', 'numeric'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Models add stray fields (and sometimes empty `options` on open questions),
+// so fields that don't apply to a question type are stripped, not rejected
+const questionSchema = Joi.object({
+  type: Joi.string()
+    .valid(...QUESTION_TYPES)
+    .required(),
+  prompt: Joi.string().trim().min(1).required(),
+  // Short topic label, used to track mastery per topic
+  topic: Joi.string().trim().max(100),
+  options: Joi.when('type', {
+    is: 'multiple_choice',
+    then: Joi.array()
+      .items(Joi.string().trim().min(1))
+      .min(2)
+      .max(6)
+      .unique()
+      .required(),
+    otherwise: Joi.any().strip(),
+  }),
+  answer: Joi.when('type', {
+    switch: [
+      {
+        is: 'multiple_choice',
+        then: Joi.number().integer().min(0).required(),
+      },
+      { is: 'numeric', then: Joi.number().required() },
+    ],
+    otherwise: Joi.string().trim().min(1).required(),
+  }),
+  acceptableAnswers: Joi.when('type', {
+    is: 'short_answer',
+    then: Joi.array().items(Joi.string().trim().min(1)).default([]),
+    otherwise: Joi.any().strip(),
+  }),
+  tolerance: Joi.when('type', {
+    is: 'numeric',
+    then: Joi.number().min(0).default(0),
+    otherwise: Joi.any().strip(),
+  }),
+  unit: Joi.when('type', {
+    is: 'numeric',
+    then: Joi.string().trim().allow(''),
+    otherwise: Joi.any().strip(),
+  }),
+  explanation: Joi.string().trim().min(1).required(),
+}).custom((question, helpers) => {
+  if (
+    question.type === 'multiple_choice' &&
+    question.answer >= question.options.length
+  ) {
+    return helpers.message('multiple choice answer must index one of the options');
+  }
+  return question;
+});
+
+const quizSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  questions: Joi.array().items(questionSchema).min(1).required(),
+});
+
+// Format description sent to the model alongside the schema validation above
+const QUIZ_FORMAT = `Respond with a single JSON object and nothing else, in this format:
+{
+  "title": "short quiz title",
+  "questions": [
+    { "type": "multiple_choice", "topic": "...", "prompt": "...", "options": ["...", "..."], "answer": <index of the correct option, from 0>, "explanation": "..." },
+    { "type": "short_answer", "topic": "...", "prompt": "...", "answer": "...", "acceptableAnswers": ["other accepted wordings"], "explanation": "..." },
+    { "type": "numeric", "topic": "...", "prompt": "...", "answer": <number>, "tolerance": <allowed absolute error>, "unit": "optional unit", "explanation": "..." }
+  ]
+}`;
+
+class QuizService {
+  /**
+   * Generate a quiz for a session from its transcript and subject
+   *
+   * @async
+   * @param {Object} session - The TutorSession instance
+   * @param {Array} messages - Active session messages, oldest first
+   * @param {Object} options - Quiz options
+   * @param {number} options.questionCount - Number of questions to ask for
+   * @param {Array<string>} options.types - Question types to use
+   * @param {string} options.difficulty - easy, medium or hard
+   * @param {string} options.topic - Optional topic to focus on
+   * @returns {Promise<Object>} - Validated `{ title, questions }` with question IDs
+   * @throws {APIError} - If no provider is available or the output stays invalid
+   */
+  async generateQuiz(session, messages, options) {
+    const { provider, model, temperature } = llmProviderService.resolve(
+      session.llmSettings,
+    );
+
+    if (!provider.isConfigured()) {
+      throw new APIError(
+        'Quiz generation is not available: no LLM provider is configured',
+        503,
+      );
+    }
+
+    const prompt = await this._buildPrompt(session, messages, options, model);
+    let lastError = null;
+
+    // One retry, telling the model what was wrong with its first answer
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const retryMessages = lastError
+        ? [
+            {
+              role: 'user',
+              content: `That response was not valid: ${lastError}. ${QUIZ_FORMAT}`,
+            },
+          ]
+        : [];
+
+      try {
+        const raw = await provider.complete([...prompt, ...retryMessages], {
+          model,
+          temperature,
+          json: true,
+          subject: session.subject,
+        });
+
+        return this._parseQuiz(raw, options.questionCount);
+      } catch (error) {
+        lastError = error.message;
+        logger.warn(
+          `Invalid quiz output for session ${session.id} (attempt ${
+            attempt + 1
+          }): ${error.message}`,
+        );
+      }
+    }
+
+    throw new APIError('Could not generate a valid quiz, please try again', 502);
+  }
+
+  /**
+   * Questions as shown to a student, without answers or explanations
+   *
+   * @param {Array} questions - Stored quiz questions
+   * @returns {Array} - Questions safe to send before grading
+   */
+  toStudentQuestions(questions) {
+    return questions.map(({ id, type, prompt, options, unit }) => ({
+      id,
+      type,
+      prompt,
+      ...(options && { options }),
+      ...(unit && { unit }),
+    }));
+  }
+
+  /**
+   * Grade answers against a quiz
+   *
+   * @param {Array} questions - Stored quiz questions
+   * @param {Object} answers - Map of question ID to the student's answer
+   * @returns {Object} - `{ results, score, maxScore }`
+   */
+  grade(questions, answers = {}) {
+    const results = questions.map((question) => {
+      const given = answers[question.id] ?? null;
+
+      return {
+        questionId: question.id,
+        correct: given !== null && this._isCorrect(question, given),
+        given,
+        correctAnswer:
+          question.type === 'multiple_choice'
+            ? question.options[question.answer]
+            : question.answer,
+        explanation: question.explanation,
+      };
+    });
+
+    return {
+      results,
+      score: results.filter((result) => result.correct).length,
+      maxScore: questions.length,
+    };
+  }
+
+  /**
+   * Build the generation prompt: the subject guidance, quiz instructions and
+   * the most recent part of the transcript
+   *
+   * @private
+   * @async
+   * @param {Object} session - The TutorSession instance
+   * @param {Array} messages - Active session messages, oldest first
+   * @param {Object} options - Quiz options
+   * @param {string} model - The model name, for token counting
+   * @returns {Promise<Array>} - Messages in OpenAI chat format
+   */
+  async _buildPrompt(session, messages, options, model) {
+    const subjectTemplate = promptTemplateService.createSubjectPromptTemplate(
+      session.subject,
+    );
+
+    const system = `${subjectTemplate.template}
+
+QUIZ INSTRUCTIONS:
+- Write a ${options.difficulty} quiz of exactly ${
+      options.questionCount
+    } questions to check the student's understanding.
+- Use only these question types: ${options.types.join(', ')}.
+- Base the questions on what was covered in the conversation; if little was covered, use core topics of the subject.
+- Every question needs one unambiguous correct answer and a short explanation of why it is correct.
+- Label each question with a short, general topic name (e.g. "fractions", "photosynthesis") so results can be tracked per topic.
+
+${QUIZ_FORMAT}`;
+
+    // Keep the most recent messages that fit the transcript budget
+    const transcript = [];
+    let used = 0;
+    for (const message of [...messages].reverse()) {
+      if (message.role === 'system') continue;
+
+      const line = `${message.role}: ${message.content}`;
+      used += contextWindowService.countTokens(line, model);
+      if (used > config.quiz.maxTranscriptTokens) break;
+      transcript.unshift(line);
+    }
+
+    const summary = await contextWindowService.loadSummary(session.id);
+    const parts = [
+      options.topic ? `Focus the quiz on: ${options.topic}` : null,
+      summary?.text ? `Summary of the earlier conversation:\n${summary.text}` : null,
+      transcript.length
+        ? `Conversation:\n${transcript.join('\n')}`
+        : 'There is no conversation yet.',
+    ];
+
+    return [
+      { role: 'system', content: system },
+      { role: 'user', content: parts.filter(Boolean).join('\n\n') },
+    ];
+  }
+
+  /**
+   * Parse and validate model output, assigning question IDs
+   *
+   * @private
+   * @param {string} raw - The model response
+   * @param {number} questionCount - Maximum number of questions to keep
+   * @returns {Object} - `{ title, questions }`
+   * @throws {Error} - If the output is not a valid quiz
+   */
+  _parseQuiz(raw, questionCount) {
+    const data = parseJson(raw);
+    if (data === null) {
+      throw new Error('response is not JSON');
+    }
+
+    const { error, value } = quizSchema.validate(data, { stripUnknown: true });
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return {
+      title: value.title,
+      questions: value.questions
+        .slice(0, questionCount)
+        .map((question, index) => ({ id: `q${index + 1}`, ...question })),
+    };
+  }
+
+  /**
+   * Whether an answer is correct for a question
+   *
+   * @private
+   * @param {Object} question - The stored question
+   * @param {*} given - The student's answer
+   * @returns {boolean}
+   */
+  _isCorrect(question, given) {
+    switch (question.type) {
+      case 'multiple_choice':
+        // Accept the option index, also as a string as form posts send it,
+        // or the option text
+        if (typeof given === 'number' || /^\s*\d+\s*$/.test(given)) {
+          return Number(given) === question.answer;
+        }
+        return (
+          this._normalize(given) ===
+          this._normalize(question.options[question.answer])
+        );
+
+      case 'numeric': {
+        // The whole answer must be a number, so "12abc" or "1/2" are wrong;
+        // Number() would read a blank answer as 0
+        const text = String(given).replace(/,/g, '').trim();
+        const value =
+          typeof given === 'number' ? given : text === '' ? NaN : Number(text);
+        return (
+          Number.isFinite(value) &&
+          Math.abs(value - question.answer) <=
+            Math.max(question.tolerance, Math.abs(question.answer) * 1e-9)
+        );
+      }
+
+      default:
+        return [question.answer, ...question.acceptableAnswers].some(
+          (answer) => this._normalize(answer) === this._normalize(given),
+        );
+    }
+  }
+
+  /**
+   * Normalise free text for comparison: case, spacing, quotes and trailing punctuation
+   *
+   * @private
+   * @param {*} value - The text to normalise
+   * @returns {string}
+   */
+  _normalize(value) {
+    return String(value)
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^["']+|["'.!?]+$/g, '')
+      .trim();
+  }
+}
+
+export { QUESTION_TYPES, DIFFICULTIES, quizSchema };
+export default new QuizService();
@@ -0,0 +1,251 @@
+/**
+ * @module SearchService
+ * @description Full-text search over a user's tutoring history, backed by
+ * SQLite FTS5 indexes of message content and session titles
+ */
+
+import { QueryTypes } from 'sequelize';
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { APIError } from '../middleware/error.js';
+
+const sequelize = db.sequelize;
+
+const TOKENIZER = 'porter unicode61 remove_diacritics 2';
+
+// Marks around matched terms in snippets, replaced after HTML escaping
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Index rows are found by the ID of the row they index: rowids of tables
+// with a UUID key are not stable and may change on VACUUM. Triggers also
+// catch bulk and cascading deletes, which model hooks would miss.
+const TABLES = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS MessageSearch USING fts5(
+    content, messageId UNINDEXED, sessionId UNINDEXED,
+    tokenize = '${TOKENIZER}'
+  )`,
+  `CREATE VIRTUAL TABLE IF NOT EXISTS SessionSearch USING fts5(
+    title, sessionId UNINDEXED,
+    tokenize = '${TOKENIZER}'
+  )`,
+];
+
+// Triggers are replaced on every start, so changes here reach existing
+// databases
+const TRIGGERS = {
+  Messages_search_insert: `AFTER INSERT ON Messages BEGIN
+      INSERT INTO MessageSearch (content, messageId, sessionId)
+      VALUES (new.content, new.id, new.sessionId);
+    END`,
+  Messages_search_update: `AFTER UPDATE OF content ON Messages BEGIN
+      UPDATE MessageSearch SET content = new.content
+      WHERE messageId = old.id;
+    END`,
+  Messages_search_delete: `AFTER DELETE ON Messages BEGIN
+      DELETE FROM MessageSearch WHERE messageId = old.id;
+    END`,
+  TutorSessions_search_insert: `AFTER INSERT ON TutorSessions BEGIN
+      INSERT INTO SessionSearch (title, sessionId)
+      VALUES (new.title, new.id);
+    END`,
+  TutorSessions_search_update: `AFTER UPDATE OF title ON TutorSessions BEGIN
+      UPDATE SessionSearch SET title = new.title WHERE sessionId = old.id;
+    END`,
+  TutorSessions_search_delete: `AFTER DELETE ON TutorSessions BEGIN
+      DELETE FROM SessionSearch WHERE sessionId = old.id;
+    END`,
+};
+
+class SearchService {
+  /**
+   * Create the search indexes and the triggers that keep them in sync, and
+   * fill the indexes from existing data the first time. Run after db.sync().
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async ensureIndex() {
+    const [existing] = await sequelize.query(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'MessageSearch'",
+      { type: QueryTypes.SELECT },
+    );
+
+    await sequelize.transaction(async (transaction) => {
+      for (const statement of TABLES) {
+        await sequelize.query(statement, { transaction });
+      }
+      for (const [name, body] of Object.entries(TRIGGERS)) {
+        await sequelize.query(`DROP TRIGGER IF EXISTS ${name}`, {
+          transaction,
+        });
+        await sequelize.query(`CREATE TRIGGER ${name} ${body}`, {
+          transaction,
+        });
+      }
+    });
+
+    if (!existing) {
+      await this.rebuild();
+    }
+  }
+
+  /**
+   * Rebuild the search indexes from the Messages and TutorSessions tables,
+   * e.g. after restoring a backup or changing the tokenizer
+   *
+   * @async
+   * @returns {Promise<Object>} - `{ messages, sessions }` rows indexed
+   */
+  async rebuild() {
+    await sequelize.transaction(async (transaction) => {
+      await sequelize.query('DELETE FROM MessageSearch', { transaction });
+      await sequelize.query(
+        `INSERT INTO MessageSearch (content, messageId, sessionId)
+          SELECT content, id, sessionId FROM Messages`,
+        { transaction },
+      );
+      await sequelize.query('DELETE FROM SessionSearch', { transaction });
+      await sequelize.query(
+        `INSERT INTO SessionSearch (title, sessionId)
+          SELECT title, id FROM TutorSessions`,
+        { transaction },
+      );
+    });
+
+    const [messages, sessions] = await Promise.all([
+      db.Message.count(),
+      db.TutorSession.count(),
+    ]);
+
+    logger.info(
+      `Search index rebuilt: ${messages} messages, ${sessions} sessions`,
+    );
+    return { messages, sessions };
+  }
+
+  /**
+   * Search a user's messages and session titles. Messages replaced by a
+   * regenerate or edit are left out.
+   *
+   * @async
+   * @param {number} userId - The user whose history is searched
+   * @param {Object} options - Search options
+   * @param {string} options.q - Words to find; the last may be a prefix
+   * @param {string} options.subject - Only sessions with this subject
+   * @param {string} options.role - Only messages from this role; session
+   * titles are then left out
+   * @param {Date} options.from - Only messages and sessions created from then
+   * @param {Date} options.to - Only messages and sessions created until then
+   * @param {number} options.limit - Maximum results
+   * @param {number} options.offset - Results to skip
+   * @returns {Promise<Array>} - Results, best match first, with an HTML
+   * `snippet` whose matches are wrapped in `<mark>`
+   * @throws {APIError} - 400 if the query has no words to search for
+   */
+  async search(userId, { q, subject, role, from, to, limit = 20, offset = 0 }) {
+    const match = this._toMatchQuery(q);
+    if (!match) {
+      throw new APIError('Search query must contain a word', 400);
+    }
+
+    const replacements = {
+      userId,
+      match,
+      subject,
+      role,
+      from,
+      to,
+      limit,
+      offset,
+      start: MATCH_START,
+      end: MATCH_END,
+    };
+    const filters = (alias) =>
+      [
+        subject ? 's.subject = :subject' : null,
+        from ? `${alias}.createdAt >= :from` : null,
+        to ? `${alias}.createdAt <= :to` : null,
+      ]
+        .filter(Boolean)
+        .map((filter) => `AND ${filter}`)
+        .join(' ');
+
+    const messageQuery = `
+      SELECT 'message' AS type, m.sessionId, m.id AS messageId, m.role,
+        s.title, s.subject, m.createdAt,
+        snippet(MessageSearch, 0, :start, :end, '…', 16) AS snippet,
+        bm25(MessageSearch) AS rank
+      FROM MessageSearch
+      JOIN Messages m ON m.id = MessageSearch.messageId
+      JOIN TutorSessions s ON s.id = m.sessionId
+      WHERE MessageSearch MATCH :match
+        AND s.userId = :userId
+        AND m.supersededById IS NULL
+        ${role ? 'AND m.role = :role' : ''}
+        ${filters('m')}`;
+
+    const sessionQuery = `
+      SELECT 'session' AS type, s.id AS sessionId, NULL AS messageId,
+        NULL AS role, s.title, s.subject, s.createdAt,
+        highlight(SessionSearch, 0, :start, :end) AS snippet,
+        bm25(SessionSearch) AS rank
+      FROM SessionSearch
+      JOIN TutorSessions s ON s.id = SessionSearch.sessionId
+      WHERE SessionSearch MATCH :match
+        AND s.userId = :userId
+        ${filters('s')}`;
+
+    const rows = await sequelize.query(
+      `${role ? messageQuery : `${messageQuery} UNION ALL ${sessionQuery}`}
+      ORDER BY rank LIMIT :limit OFFSET :offset`,
+      { replacements, type: QueryTypes.SELECT },
+    );
+
+    return rows.map(({ rank, snippet, ...row }) => ({
+      ...row,
+      snippet: this._toHtml(snippet),
+    }));
+  }
+
+  /**
+   * Turn free text into an FTS5 query that matches all of its words, so
+   * characters with a meaning in the query syntax cannot cause errors
+   *
+   * @private
+   * @param {string} text - The text entered by the user
+   * @returns {string|null} - FTS5 query, or null if there are no words
+   */
+  _toMatchQuery(text) {
+    const words = String(text).match(/[\p{L}\p{N}_]+/gu);
+    if (!words) {
+      return null;
+    }
+
+    // Match the last word as a prefix so results appear while typing
+    return words
+      .map((word, index) =>
+        index === words.length - 1 ? `"${word}"*` : `"${word}"`,
+      )
+      .join(' ');
+  }
+
+  /**
+   * Escape a snippet for HTML and wrap its matches in `<mark>`
+   *
+   * @private
+   * @param {string} snippet - Snippet with MATCH_START and MATCH_END marks
+   * @returns {string} - HTML
+   */
+  _toHtml(snippet) {
+    return String(snippet ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replaceAll(MATCH_START, '<mark>')
+      .replaceAll(MATCH_END, '</mark>');
+  }
+}
+
+export default new SearchService();
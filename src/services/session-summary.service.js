@@ -0,0 +1,225 @@
+/**
+ * @module SessionSummaryService
+ * @description Generates titles for tutor sessions from their first exchange
+ * and structured summaries when they end
+ */
+
+import Joi from 'joi';
+import config from '../config/config.js';
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { parseJson } from '../utils/llm-json.js';
+import { APIError } from '../middleware/error.js';
+import llmProviderService from './llm-provider.service.js';
+import contextWindowService from './context-window.service.js';
+
+const Message = db.Message;
+
+const MAX_TITLE_LENGTH = 80;
+const MAX_SUMMARY_ITEMS = 8;
+
+const titleSchema = Joi.object({
+  title: Joi.string()
+    .trim()
+    // Models like to quote titles and end them with a full stop
+    .replace(/^["'“]+|["'”.]+$/g, '')
+    .min(1)
+    .max(MAX_TITLE_LENGTH)
+    .required(),
+});
+
+const summaryItems = Joi.array()
+  .items(Joi.string().trim().min(1).max(500))
+  .max(MAX_SUMMARY_ITEMS)
+  .default([]);
+
+const summarySchema = Joi.object({
+  topics: summaryItems.min(1).required(),
+  takeaways: summaryItems,
+  openQuestions: summaryItems,
+  nextSteps: summaryItems,
+});
+
+class SessionSummaryService {
+  /**
+   * Generate a title for a session from its first exchange and save it
+   *
+   * @async
+   * @param {Object} session - The TutorSession instance
+   * @returns {Promise<string>} - The new title
+   * @throws {APIError} - If there is no exchange yet, no provider is
+   * available or the output is invalid
+   */
+  async generateTitle(session) {
+    const exchange = await Message.findAll({
+      where: {
+        sessionId: session.id,
+        supersededById: null,
+        role: ['user', 'assistant'],
+      },
+      order: [['createdAt', 'ASC']],
+      limit: 2,
+    });
+
+    if (!exchange.some((message) => message.role === 'user')) {
+      throw new APIError('There is no message to title the session from', 400);
+    }
+
+    const lines = exchange.map(
+      (message) => `${message.role}: ${message.content.slice(0, 2000)}`,
+    );
+    const { title } = await this._generate(session, titleSchema, 'title', [
+      {
+        role: 'system',
+        content: `You write the title for this tutoring session about ${
+          session.subject || 'various subjects'
+        }, shown in the student's list of sessions. Name the specific topic or problem in at most 8 words, without quotes or a full stop. Respond with a single JSON object and nothing else, in this format:
+{ "title": "..." }`,
+      },
+      { role: 'user', content: lines.join('\n') },
+    ]);
+
+    session.title = title;
+    session.titleGeneratedAt = new Date();
+    await session.save();
+
+    logger.debug(`Generated title for session: ${session.id}`);
+    return title;
+  }
+
+  /**
+   * Summarise a session's transcript and save the summary on the session
+   *
+   * @async
+   * @param {Object} session - The TutorSession instance
+   * @returns {Promise<Object>} - `{ topics, takeaways, openQuestions,
+   * nextSteps }`
+   * @throws {APIError} - If there are no messages, no provider is available
+   * or the output is invalid
+   */
+  async summarize(session) {
+    const messages = await Message.findAll({
+      where: {
+        sessionId: session.id,
+        supersededById: null,
+        role: ['user', 'assistant'],
+      },
+      order: [['createdAt', 'ASC']],
+    });
+
+    if (messages.length === 0) {
+      throw new APIError('There are no messages to summarise', 400);
+    }
+
+    const summary = await this._generate(
+      session,
+      summarySchema,
+      'summary',
+      await this._buildSummaryPrompt(session, messages),
+    );
+
+    session.summary = summary;
+    session.summarizedAt = new Date();
+    await session.save();
+
+    logger.info(`Summarised session: ${session.id}`);
+    return summary;
+  }
+
+  /**
+   * Ask the session's model for JSON and validate it
+   *
+   * @private
+   * @async
+   * @param {Object} session - The TutorSession instance
+   * @param {Object} schema - Joi schema for the output
+   * @param {string} kind - What is generated, for messages
+   * @param {Array} prompt - Messages in OpenAI chat format
+   * @returns {Promise<Object>} - The validated output
+   */
+  async _generate(session, schema, kind, prompt) {
+    const { provider, model, temperature } = llmProviderService.resolve(
+      session.llmSettings,
+    );
+
+    if (!provider.isConfigured()) {
+      throw new APIError(
+        `Session ${kind} generation is not available: no LLM provider is configured`,
+        503,
+      );
+    }
+
+    const raw = await provider.complete(prompt, {
+      model,
+      temperature,
+      json: true,
+      subject: session.subject,
+    });
+
+    const { error, value } = schema.validate(parseJson(raw), {
+      stripUnknown: true,
+    });
+    if (error) {
+      logger.warn(
+        `Invalid ${kind} output for session ${session.id}: ${error.message}`,
+      );
+      throw new APIError(
+        `Could not generate a session ${kind}, please try again`,
+        502,
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Build the summary prompt: the instructions, the summary of any earlier
+   * conversation and the most recent part of the transcript
+   *
+   * @private
+   * @async
+   * @param {Object} session - The TutorSession instance
+   * @param {Array} messages - Active user and assistant messages, oldest
+   * first
+   * @returns {Promise<Array>} - Messages in OpenAI chat format
+   */
+  async _buildSummaryPrompt(session, messages) {
+    const { model } = llmProviderService.resolve(session.llmSettings);
+
+    // Keep the most recent messages that fit the transcript budget
+    const transcript = [];
+    let used = 0;
+    for (const message of [...messages].reverse()) {
+      const line = `${message.role}: ${message.content}`;
+      used += contextWindowService.countTokens(line, model);
+      if (used > config.summaries.maxTranscriptTokens) break;
+      transcript.unshift(line);
+    }
+
+    const earlier = await contextWindowService.loadSummary(session.id);
+    const parts = [
+      earlier?.text
+        ? `Summary of the earlier conversation:\n${earlier.text}`
+        : null,
+      `Conversation:\n${transcript.join('\n')}`,
+    ];
+
+    return [
+      {
+        role: 'system',
+        content: `You summarise a tutoring session about ${
+          session.subject || 'various subjects'
+        } for the student and their parents and teachers. Write short, plain sentences addressed to the student, with at most ${MAX_SUMMARY_ITEMS} items per list:
+- topics: the topics covered
+- takeaways: the key points, methods or formulas the student learned
+- openQuestions: what the student is still unsure about or did not finish, if anything
+- nextSteps: what to practise or study next
+Respond with a single JSON object and nothing else, in this format:
+{ "topics": ["..."], "takeaways": ["..."], "openQuestions": ["..."], "nextSteps": ["..."] }`,
+      },
+      { role: 'user', content: parts.filter(Boolean).join('\n\n') },
+    ];
+  }
+}
+
+export default new SessionSummaryService();
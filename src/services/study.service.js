@@ -0,0 +1,215 @@
+/**
+ * @module StudyService
+ * @description Extracts flashcards from tutor sessions and schedules reviews with SM-2
+ */
+
+import Joi from 'joi';
+import config from '../config/config.js';
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { parseJson } from '../utils/llm-json.js';
+import { APIError } from '../middleware/error.js';
+import llmProviderService from './llm-provider.service.js';
+import contextWindowService from './context-window.service.js';
+
+const Flashcard = db.Flashcard;
+const Message = db.Message;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+
+const cardsSchema = Joi.object({
+  cards: Joi.array()
+    .items(
+      Joi.object({
+        front: Joi.string().trim().min(1).max(500).required(),
+        back: Joi.string().trim().min(1).max(2000).required(),
+        // Transcript reference such as "m3"
+        source: Joi.string().allow(null, ''),
+      }),
+    )
+    .required(),
+});
+
+class StudyService {
+  /**
+   * Extract flashcards from a session's transcript and store them for its user.
+   * Cards whose front matches an existing card from the same session are skipped.
+   *
+   * @async
+   * @param {Object} session - The TutorSession instance
+   * @returns {Promise<Array>} - The created Flashcard instances
+   * @throws {APIError} - If no provider is available or the output is invalid
+   */
+  async extractCards(session) {
+    const { provider, model, temperature } = llmProviderService.resolve(
+      session.llmSettings,
+    );
+
+    if (!provider.isConfigured()) {
+      throw new APIError(
+        'Flashcard extraction is not available: no LLM provider is configured',
+        503,
+      );
+    }
+
+    const messages = await Message.findAll({
+      where: { sessionId: session.id, supersededById: null },
+      order: [['createdAt', 'ASC']],
+    });
+    const transcript = messages.filter((message) => message.role !== 'system');
+
+    if (transcript.length === 0) {
+      return [];
+    }
+
+    const raw = await provider.complete(
+      this._buildPrompt(session, transcript, model),
+      { model, temperature, json: true, subject: session.subject },
+    );
+
+    const { error, value } = cardsSchema.validate(parseJson(raw), {
+      stripUnknown: true,
+    });
+    if (error) {
+      logger.warn(
+        `Invalid flashcard output for session ${session.id}: ${error.message}`,
+      );
+      throw new APIError('Could not extract flashcards, please try again', 502);
+    }
+
+    const existing = await Flashcard.findAll({
+      where: { userId: session.userId, sessionId: session.id },
+      attributes: ['front'],
+    });
+    const seen = new Set(existing.map((card) => this._normalize(card.front)));
+
+    const cards = [];
+    for (const card of value.cards.slice(0, config.study.maxCardsPerSession)) {
+      const key = this._normalize(card.front);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      // "m3" refers to the third transcript message
+      const index = parseInt(card.source?.replace(/^m/i, ''), 10) - 1;
+      cards.push({
+        front: card.front,
+        back: card.back,
+        userId: session.userId,
+        sessionId: session.id,
+        messageId: transcript[index]?.id || null,
+      });
+    }
+
+    const created = await Flashcard.bulkCreate(cards);
+    logger.info(
+      `Extracted ${created.length} flashcards from session: ${session.id}`,
+    );
+    return created;
+  }
+
+  /**
+   * Record a review of a card and schedule the next one
+   *
+   * @async
+   * @param {Object} card - The Flashcard instance
+   * @param {number} grade - Recall quality from 0 (blackout) to 5 (perfect)
+   * @returns {Promise<Object>} - The updated card
+   */
+  async review(card, grade) {
+    const now = new Date();
+    card.set(this.schedule(card, grade, now));
+    card.lastReviewedAt = now;
+    await card.save();
+    return card;
+  }
+
+  /**
+   * SM-2 scheduling. A grade of 3 or more counts as recalled: the interval
+   * grows 1 day, 6 days, then by the ease factor. Lower grades reset the
+   * repetitions and show the card again the next day.
+   *
+   * @param {Object} card - `{ easeFactor, interval, repetitions, lapses }`
+   * @param {number} grade - Recall quality from 0 to 5
+   * @param {Date} now - Review time
+   * @returns {Object} - `{ easeFactor, interval, repetitions, lapses, dueAt }`
+   */
+  schedule(card, grade, now = new Date()) {
+    let { interval, repetitions, lapses } = card;
+
+    if (grade >= 3) {
+      if (repetitions === 0) {
+        interval = 1;
+      } else if (repetitions === 1) {
+        interval = 6;
+      } else {
+        interval = Math.round(interval * card.easeFactor);
+      }
+      repetitions += 1;
+    } else {
+      repetitions = 0;
+      interval = 1;
+      lapses += 1;
+    }
+
+    const easeFactor = Math.max(
+      MIN_EASE_FACTOR,
+      card.easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)),
+    );
+
+    return {
+      easeFactor,
+      interval,
+      repetitions,
+      lapses,
+      dueAt: new Date(now.getTime() + interval * DAY_MS),
+    };
+  }
+
+  /**
+   * Build the extraction prompt from the most recent transcript messages
+   *
+   * @private
+   * @param {Object} session - The TutorSession instance
+   * @param {Array} transcript - Non-system messages, oldest first
+   * @param {string} model - The model name, for token counting
+   * @returns {Array} - Messages in OpenAI chat format
+   */
+  _buildPrompt(session, transcript, model) {
+    const lines = [];
+    let used = 0;
+    for (let i = transcript.length - 1; i >= 0; i--) {
+      const line = `[m${i + 1}] ${transcript[i].role}: ${transcript[i].content}`;
+      used += contextWindowService.countTokens(line, model);
+      if (used > config.context.maxHistoryTokens) break;
+      lines.unshift(line);
+    }
+
+    return [
+      {
+        role: 'system',
+        content: `You turn tutoring conversations about ${
+          session.subject || 'various subjects'
+        } into study flashcards. Pick the key concepts, definitions, formulas and facts the student learned, at most ${
+          config.study.maxCardsPerSession
+        } cards. Each card has a short question or prompt on the front and a concise answer on the back. Respond with a single JSON object and nothing else, in this format:
+{ "cards": [ { "front": "...", "back": "...", "source": "m3" } ] }
+where "source" is the label of the message the card is based on.`,
+      },
+      { role: 'user', content: lines.join('\n') },
+    ];
+  }
+
+  /**
+   * Normalise card text for duplicate detection
+   *
+   * @private
+   * @param {string} text - Card text
+   * @returns {string}
+   */
+  _normalize(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+}
+
+export default new StudyService();
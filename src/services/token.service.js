@@ -0,0 +1,404 @@
+/**
+ * @module TokenService
+ * @description Manages login sessions and their access and refresh tokens, and single-use account tokens
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import config from '../config/config.js';
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { APIError } from '../middleware/error.js';
+
+const RefreshToken = db.RefreshToken;
+const AccountToken = db.AccountToken;
+const LoginSession = db.LoginSession;
+const ApiKey = db.ApiKey;
+const User = db.User;
+
+// Record last use at most this often, rather than on every request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+class TokenService {
+  /**
+   * Start a login session for a user signing in on a device and issue its
+   * first access and refresh tokens
+   *
+   * @async
+   * @param {Object} user - The user model instance
+   * @param {Object} client - `{ userAgent, ip }` of the device signing in
+   * @returns {Promise<Object>} - `{ token, refreshToken }`
+   */
+  async startLoginSession(user, client = {}) {
+    const session = await LoginSession.create({
+      userId: user.id,
+      userAgent: client.userAgent?.slice(0, 512) ?? null,
+      ip: client.ip ?? null,
+      lastUsedAt: new Date(),
+      expiresAt: this._refreshTokenExpiry(),
+    });
+
+    logger.debug(`Login session ${session.id} started for user ID: ${user.id}`);
+    return this.issueTokens(user, session.id);
+  }
+
+  /**
+   * Issue an access token and a refresh token for a login session
+   *
+   * @async
+   * @param {Object} user - The user model instance
+   * @param {string} sessionId - The LoginSession ID
+   * @returns {Promise<Object>} - `{ token, refreshToken }`
+   */
+  async issueTokens(user, sessionId) {
+    const refreshToken = await this.issueRefreshToken(user.id, sessionId);
+
+    return {
+      token: user.generateToken(sessionId),
+      refreshToken,
+    };
+  }
+
+  /**
+   * Create and store a new refresh token, extending its login session
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {string} sessionId - The LoginSession ID, used as the token family
+   * @returns {Promise<string>} - The raw refresh token (only ever returned here)
+   */
+  async issueRefreshToken(userId, sessionId) {
+    const rawToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = this._refreshTokenExpiry();
+
+    await RefreshToken.create({
+      tokenHash: this.hashToken(rawToken),
+      familyId: sessionId,
+      userId,
+      expiresAt,
+    });
+    await LoginSession.update({ expiresAt }, { where: { id: sessionId } });
+
+    return rawToken;
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair.
+   * Presenting a token that has already been used revokes its whole family.
+   *
+   * @async
+   * @param {string} rawToken - The refresh token presented by the client
+   * @param {Object} client - `{ userAgent, ip }` of the device
+   * @returns {Promise<Object>} - `{ user, token, refreshToken }`
+   * @throws {APIError} - 401 if the token is unknown, expired, revoked or reused
+   */
+  async rotateRefreshToken(rawToken, client = {}) {
+    const stored = await RefreshToken.findOne({
+      where: { tokenHash: this.hashToken(rawToken) },
+    });
+
+    if (!stored) {
+      throw new APIError('Invalid refresh token', 401);
+    }
+
+    // Signed out, not reused
+    if (stored.revokedAt && !stored.usedAt) {
+      throw new APIError('Refresh token has been revoked', 401);
+    }
+
+    if (stored.usedAt || stored.revokedAt) {
+      await this._handleReuse(stored);
+    }
+
+    if (stored.expiresAt < new Date()) {
+      throw new APIError('Refresh token has expired', 401);
+    }
+
+    // Mark as used only if nobody else did in the meantime
+    const [updated] = await RefreshToken.update(
+      { usedAt: new Date() },
+      { where: { id: stored.id, usedAt: null, revokedAt: null } },
+    );
+    if (updated === 0) {
+      await this._handleReuse(stored);
+    }
+
+    const user = await User.findByPk(stored.userId);
+    if (!user || !user.active) {
+      await this.revokeFamily(stored.familyId);
+      throw new APIError('User not found or inactive', 401);
+    }
+
+    // Logins from before sessions were recorded get one on their first refresh
+    const [session] = await LoginSession.findOrCreate({
+      where: { id: stored.familyId },
+      defaults: {
+        userId: user.id,
+        userAgent: client.userAgent?.slice(0, 512) ?? null,
+        expiresAt: stored.expiresAt,
+      },
+    });
+    await this.touchLoginSession(session, client.ip, { force: true });
+
+    const tokens = await this.issueTokens(user, session.id);
+    logger.debug(`Refresh token rotated for user ID: ${user.id}`);
+
+    return { user, ...tokens };
+  }
+
+  /**
+   * Revoke every token in a family, signing out its login session
+   *
+   * @async
+   * @param {string} familyId - The token family, i.e. the LoginSession ID
+   * @returns {Promise<void>}
+   */
+  async revokeFamily(familyId) {
+    const revokedAt = new Date();
+
+    await RefreshToken.update(
+      { revokedAt },
+      { where: { familyId, revokedAt: null } },
+    );
+    await LoginSession.update(
+      { revokedAt },
+      { where: { id: familyId, revokedAt: null } },
+    );
+  }
+
+  /**
+   * List a user's active login sessions, most recently used first
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @returns {Promise<Array>} - LoginSession instances
+   */
+  async listLoginSessions(userId) {
+    return LoginSession.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() },
+      },
+      attributes: ['id', 'userAgent', 'ip', 'createdAt', 'lastUsedAt'],
+      order: [['lastUsedAt', 'DESC']],
+    });
+  }
+
+  /**
+   * Sign out one of a user's login sessions
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {string} sessionId - The LoginSession ID
+   * @returns {Promise<boolean>} - False if the user has no such active session
+   */
+  async revokeLoginSession(userId, sessionId) {
+    const session = await LoginSession.findOne({
+      where: { id: sessionId, userId, revokedAt: null },
+    });
+
+    if (!session) {
+      return false;
+    }
+
+    await this.revokeFamily(session.id);
+    logger.info(`Login session ${session.id} revoked for user ID: ${userId}`);
+    return true;
+  }
+
+  /**
+   * Sign out every login session of a user except one
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @param {string} keepSessionId - The session to keep, usually the current one
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeOtherLoginSessions(userId, keepSessionId) {
+    const revokedAt = new Date();
+
+    await RefreshToken.update(
+      { revokedAt },
+      {
+        where: {
+          userId,
+          familyId: { [Op.ne]: keepSessionId },
+          revokedAt: null,
+        },
+      },
+    );
+    const [count] = await LoginSession.update(
+      { revokedAt },
+      { where: { userId, id: { [Op.ne]: keepSessionId }, revokedAt: null } },
+    );
+
+    logger.info(`${count} other login sessions revoked for user ID: ${userId}`);
+    return count;
+  }
+
+  /**
+   * Record that a login session was used
+   *
+   * @async
+   * @param {Object} session - The LoginSession instance
+   * @param {string} ip - The client IP address
+   * @param {Object} options - `{ force }` to write even if recently recorded
+   * @returns {Promise<void>}
+   */
+  async touchLoginSession(session, ip, { force = false } = {}) {
+    const recent =
+      session.lastUsedAt &&
+      Date.now() - session.lastUsedAt.getTime() < SESSION_TOUCH_INTERVAL_MS;
+
+    if (!force && recent && session.ip === ip) {
+      return;
+    }
+
+    session.lastUsedAt = new Date();
+    session.ip = ip ?? session.ip;
+    await session.save();
+  }
+
+  /**
+   * Sign a user out everywhere: revoke every refresh token and API key they
+   * hold and every access token issued so far
+   *
+   * @async
+   * @param {number} userId - The user ID
+   * @returns {Promise<void>}
+   */
+  async revokeAllForUser(userId) {
+    const revokedAt = new Date();
+
+    await RefreshToken.update(
+      { revokedAt },
+      { where: { userId, revokedAt: null } },
+    );
+    await LoginSession.update(
+      { revokedAt },
+      { where: { userId, revokedAt: null } },
+    );
+    await ApiKey.update({ revokedAt }, { where: { userId, revokedAt: null } });
+    await User.increment('tokenVersion', { where: { id: userId } });
+  }
+
+  /**
+   * Issue a signed, single-use token for an account action such as a password
+   * reset. Any earlier unused token for the same purpose is invalidated.
+   *
+   * @async
+   * @param {Object} user - The user model instance
+   * @param {string} purpose - 'password_reset' or 'email_verification'
+   * @param {number} expiresInMinutes - Lifetime of the token
+   * @returns {Promise<string>} - The signed token
+   */
+  async issueAccountToken(user, purpose, expiresInMinutes) {
+    const jti = crypto.randomUUID();
+
+    await AccountToken.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, purpose, usedAt: null } },
+    );
+
+    await AccountToken.create({
+      jti,
+      purpose,
+      userId: user.id,
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    });
+
+    return jwt.sign({ id: user.id, purpose }, config.jwtSecret, {
+      jwtid: jti,
+      expiresIn: `${expiresInMinutes}m`,
+    });
+  }
+
+  /**
+   * Verify and consume an account action token
+   *
+   * @async
+   * @param {string} token - The signed token
+   * @param {string} purpose - The purpose the token must have been issued for
+   * @returns {Promise<Object>} - The user the token belongs to
+   * @throws {APIError} - 400 if the token is invalid, expired or already used
+   */
+  async consumeAccountToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwtSecret);
+    } catch (err) {
+      throw new APIError('Invalid or expired token', 400);
+    }
+
+    if (decoded.purpose !== purpose || !decoded.jti) {
+      throw new APIError('Invalid or expired token', 400);
+    }
+
+    // Mark as used only if it is still unused and unexpired
+    const [updated] = await AccountToken.update(
+      { usedAt: new Date() },
+      {
+        where: {
+          jti: decoded.jti,
+          purpose,
+          userId: decoded.id,
+          usedAt: null,
+          expiresAt: { [Op.gt]: new Date() },
+        },
+      },
+    );
+
+    if (updated === 0) {
+      throw new APIError('Invalid or expired token', 400);
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user) {
+      throw new APIError('Invalid or expired token', 400);
+    }
+
+    return user;
+  }
+
+  /**
+   * Hash a raw refresh token for storage and lookup
+   *
+   * @param {string} rawToken - The raw token
+   * @returns {string} - Hex-encoded SHA-256 hash
+   */
+  hashToken(rawToken) {
+    return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+  }
+
+  /**
+   * Expiry for a refresh token issued now
+   *
+   * @private
+   * @returns {Date}
+   */
+  _refreshTokenExpiry() {
+    return new Date(
+      Date.now() + config.refreshTokenExpirationInDays * 24 * 60 * 60 * 1000,
+    );
+  }
+
+  /**
+   * Revoke the family of a token that was presented after it had been used
+   *
+   * @private
+   * @async
+   * @param {Object} stored - The RefreshToken row
+   * @throws {APIError} - Always, 401
+   */
+  async _handleReuse(stored) {
+    logger.warn(
+      `Refresh token reuse detected for user ID: ${stored.userId}, revoking family ${stored.familyId}`,
+    );
+    await this.revokeFamily(stored.familyId);
+    throw new APIError('Refresh token has been revoked', 401);
+  }
+}
+
+export default new TokenService();
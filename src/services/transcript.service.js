@@ -0,0 +1,635 @@
+/**
+ * @module TranscriptService
+ * @description Exports session transcripts as Markdown, HTML, PDF or JSON, for
+ * sharing a session with parents and teachers
+ */
+
+import PDFDocument from 'pdfkit';
+import SVGtoPDF from 'svg-to-pdfkit';
+import { Marked } from 'marked';
+import config from '../config/config.js';
+import db from '../models/index.js';
+import { splitMath, renderMath } from '../utils/math.js';
+
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+const TUTOR_LABEL = 'Tutor';
+
+// Stands in for a formula while the rest of a message goes through Markdown
+const placeholder = (index) => `\uE000${index}\uE001`;
+const PLACEHOLDER_PATTERN = /\uE000(\d+)\uE001/g;
+
+const escapeHtml = (text) =>
+  String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Model output is untrusted: raw HTML is shown as text and only web and mail
+// links are kept
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    link({ href, tokens }) {
+      return /^(https?:|mailto:)/i.test(href)
+        ? false
+        : this.parser.parseInline(tokens);
+    },
+    image({ href, text }) {
+      return /^https?:/i.test(href) ? false : escapeHtml(text);
+    },
+  },
+});
+
+const HTML_STYLE = `
+  body { font-family: Helvetica, Arial, sans-serif; color: #222;
+    max-width: 760px; margin: 2em auto; padding: 0 1em; line-height: 1.5; }
+  h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+  .details { color: #666; margin: 0 0 2em; }
+  .details dt { float: left; clear: left; width: 6em; font-weight: bold; }
+  .message { border-top: 1px solid #ddd; padding: 0.8em 0; }
+  .message header { font-size: 0.9em; margin-bottom: 0.4em; }
+  .message.assistant header strong { color: #1a5fb4; }
+  .message time { color: #888; margin-left: 0.5em; }
+  .content p { margin: 0.4em 0; }
+  pre { background: #f5f5f5; padding: 0.8em; overflow-x: auto; }
+  code { font-family: Menlo, Consolas, monospace; font-size: 0.9em; }
+  .math.display { display: block; text-align: center; margin: 0.6em 0; }`;
+
+// PDF layout, in points
+const PDF = {
+  margin: 56,
+  titleSize: 18,
+  labelSize: 10,
+  textSize: 11,
+  codeSize: 9,
+  lineGap: 3,
+  messageGap: 14,
+  textColor: '#222222',
+  mutedColor: '#666666',
+  ruleColor: '#dddddd',
+  tutorColor: '#1a5fb4',
+};
+
+class TranscriptService {
+  /**
+   * Load a session's transcript for export: its active messages, in the order
+   * they were sent, and the name of the student. Messages replaced by a
+   * regenerate or edit and system messages are left out.
+   *
+   * @async
+   * @param {Object} session - TutorSession instance
+   * @returns {Promise<Object>} - Transcript
+   */
+  async load(session) {
+    const [student, messages] = await Promise.all([
+      db.User.findByPk(session.userId, { attributes: ['id', 'name'] }),
+      db.Message.findAll({
+        where: {
+          sessionId: session.id,
+          supersededById: null,
+          role: ['user', 'assistant'],
+        },
+        order: [
+          ['createdAt', 'ASC'],
+          ['id', 'ASC'],
+        ],
+      }),
+    ]);
+
+    return {
+      id: session.id,
+      title: session.title,
+      subject: session.subject,
+      student: student?.name || 'Student',
+      startedAt: session.startedAt ?? session.createdAt,
+      endedAt: session.endedAt,
+      messages: messages.map(({ id, role, content, createdAt }) => ({
+        id,
+        role,
+        content,
+        createdAt,
+      })),
+    };
+  }
+
+  /**
+   * Export a session's transcript
+   *
+   * @async
+   * @param {Object} session - TutorSession instance
+   * @param {string} format - One of FORMATS
+   * @returns {Promise<Object>} - `{ body, contentType, filename }`
+   */
+  async export(session, format) {
+    const transcript = await this.load(session);
+    const { contentType, extension } = FORMATS[format];
+
+    let body;
+    if (format === 'md') {
+      body = this.toMarkdown(transcript);
+    } else if (format === 'html') {
+      body = this.toHtml(transcript);
+    } else if (format === 'pdf') {
+      body = await this.toPdf(transcript);
+    } else {
+      body = JSON.stringify(transcript, null, 2);
+    }
+
+    return {
+      body,
+      contentType,
+      filename: `${this._slug(transcript.title)}.${extension}`,
+    };
+  }
+
+  /**
+   * Format a transcript as Markdown. Message content is Markdown already, so
+   * it is copied as is, LaTeX included.
+   *
+   * @param {Object} transcript - Transcript from load()
+   * @returns {string} - Markdown document
+   */
+  toMarkdown(transcript) {
+    const lines = [`# ${transcript.title}`, ''];
+
+    for (const [label, value] of this._details(transcript)) {
+      lines.push(`- **${label}:** ${value}`);
+    }
+
+    for (const message of transcript.messages) {
+      const speaker = this._speaker(transcript, message);
+
+      lines.push(
+        '',
+        '---',
+        '',
+        `**${speaker}** · ${this._time(message.createdAt)}`,
+        '',
+        message.content.trim(),
+      );
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Format a transcript as a standalone HTML page. Message Markdown is
+   * rendered and formulas are inlined as SVG, so the page needs no scripts,
+   * stylesheets or fonts from elsewhere.
+   *
+   * @param {Object} transcript - Transcript from load()
+   * @returns {string} - HTML document
+   */
+  toHtml(transcript) {
+    const details = this._details(transcript)
+      .map(
+        ([label, value]) =>
+          `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`,
+      )
+      .join('\n');
+
+    const messages = transcript.messages
+      .map((message) => {
+        const speaker = escapeHtml(this._speaker(transcript, message));
+        const sentAt = new Date(message.createdAt).toISOString();
+
+        return `<section class="message ${message.role}">
+<header><strong>${speaker}</strong><time datetime="${sentAt}">${this._time(message.createdAt)}</time></header>
+<div class="content">${this._contentToHtml(message.content)}</div>
+</section>`;
+      })
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(transcript.title)}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(transcript.title)}</h1>
+<dl class="details">
+${details}
+</dl>
+${messages}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Format a transcript as a PDF, with formulas drawn from their SVG
+   *
+   * @async
+   * @param {Object} transcript - Transcript from load()
+   * @returns {Promise<Buffer>} - PDF file
+   */
+  toPdf(transcript) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PDF.margin,
+      info: { Title: transcript.title, Author: transcript.student },
+    });
+    const fonts = this._registerFonts(doc);
+
+    const done = new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    doc.font(fonts.bold).fontSize(PDF.titleSize).text(transcript.title);
+    doc.moveDown(0.5);
+    doc.font(fonts.regular).fontSize(PDF.labelSize).fillColor(PDF.mutedColor);
+    for (const [label, value] of this._details(transcript)) {
+      doc.text(`${label}: ${value}`);
+    }
+
+    for (const message of transcript.messages) {
+      doc.y += PDF.messageGap;
+      // Keep a message's label on the same page as its first lines
+      const bottom = doc.page.height - doc.page.margins.bottom;
+      if (doc.y > bottom - 3 * PDF.textSize) {
+        doc.addPage();
+      }
+
+      const left = doc.page.margins.left;
+      doc
+        .moveTo(left, doc.y)
+        .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+        .lineWidth(0.5)
+        .strokeColor(PDF.ruleColor)
+        .stroke();
+      doc.y += 6;
+
+      doc
+        .font(fonts.bold)
+        .fontSize(PDF.labelSize)
+        .fillColor(message.role === 'assistant' ? PDF.tutorColor : PDF.textColor)
+        .text(this._speaker(transcript, message), left, doc.y, {
+          continued: true,
+        })
+        .font(fonts.regular)
+        .fillColor(PDF.mutedColor)
+        .text(`  ${this._time(message.createdAt)}`);
+      doc.y += 4;
+
+      doc.fillColor(PDF.textColor);
+      this._layoutPdfContent(doc, fonts, message.content);
+    }
+
+    doc.end();
+    return done;
+  }
+
+  /**
+   * Render message Markdown to HTML with formulas as inline SVG
+   *
+   * @private
+   * @param {string} content - Message content
+   * @returns {string} - HTML
+   */
+  _contentToHtml(content) {
+    const formulas = [];
+    const text = splitMath(content)
+      .map((segment) => {
+        if (segment.type !== 'math') {
+          return segment.value;
+        }
+        formulas.push(segment);
+        return placeholder(formulas.length - 1);
+      })
+      .join('');
+
+    return markdown
+      .parse(text)
+      .replace(PLACEHOLDER_PATTERN, (match, index) => {
+        const { value, display, source } = formulas[index];
+        const math = renderMath(value, { display });
+        const className = display ? 'math display' : 'math';
+
+        // Show the TeX if it does not render, so nothing is lost
+        return math
+          ? `<span class="${className}">${math.svg}</span>`
+          : `<code>${escapeHtml(source)}</code>`;
+      })
+      .trim();
+  }
+
+  /**
+   * Use the configured TrueType fonts, if any, instead of Helvetica
+   *
+   * @private
+   * @param {Object} doc - PDFKit document
+   * @returns {Object} - Font names `{ regular, bold, code }`
+   */
+  _registerFonts(doc) {
+    const fonts = {
+      regular: 'Helvetica',
+      bold: 'Helvetica-Bold',
+      code: 'Courier',
+    };
+
+    if (config.export.pdfFont) {
+      doc.registerFont('Regular', config.export.pdfFont);
+      fonts.regular = 'Regular';
+      fonts.bold = 'Regular';
+    }
+    if (config.export.pdfBoldFont) {
+      doc.registerFont('Bold', config.export.pdfBoldFont);
+      fonts.bold = 'Bold';
+    }
+
+    return fonts;
+  }
+
+  /**
+   * Lay out message content at doc.y. PDFKit cannot put images inside a line
+   * of text, so lines of words and inline formulas are built and drawn here.
+   * Headings, list bullets, bold text and code are kept; other Markdown is
+   * shown as written.
+   *
+   * @private
+   * @param {Object} doc - PDFKit document
+   * @param {Object} fonts - Fonts from _registerFonts()
+   * @param {string} content - Message content
+   */
+  _layoutPdfContent(doc, fonts, content) {
+    const size = PDF.textSize;
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    let line = [];
+    let x = 0;
+
+    // Make room for a block of the given height, on a new page if needed
+    const reserve = (height) => {
+      if (doc.y + height > bottom() && doc.y > doc.page.margins.top) {
+        doc.addPage();
+      }
+    };
+
+    const flush = () => {
+      while (line.length && line[line.length - 1].space) {
+        line.pop();
+      }
+      if (!line.length) {
+        return;
+      }
+
+      const ascent = Math.max(...line.map((item) => item.ascent), size * 0.8);
+      const descent = Math.max(
+        ...line.map((item) => item.descent),
+        size * 0.25,
+      );
+      reserve(ascent + descent);
+      const baseline = doc.y + ascent;
+
+      for (const item of line) {
+        if (item.math) {
+          const top = baseline - item.ascent;
+          this._drawMath(doc, item.math, left + item.x, top, size);
+        } else if (!item.space) {
+          doc
+            .font(item.font)
+            .fontSize(item.size)
+            .text(item.text, left + item.x, baseline, {
+              baseline: 'alphabetic',
+              lineBreak: false,
+            });
+        }
+      }
+
+      doc.x = left;
+      doc.y = baseline + descent + PDF.lineGap;
+      line = [];
+      x = 0;
+    };
+
+    const place = (item) => {
+      if (item.space && !line.length) {
+        return;
+      }
+      if (!item.space && line.length && x + item.width > width) {
+        flush();
+      }
+      line.push({ ...item, x });
+      x += item.width;
+    };
+
+    const addWord = (text, font, wordSize = size) => {
+      doc.font(font).fontSize(wordSize);
+      place({
+        text,
+        font,
+        size: wordSize,
+        width: doc.widthOfString(text),
+        ascent: wordSize * 0.8,
+        descent: wordSize * 0.25,
+      });
+    };
+
+    const addText = (text, font, wordSize) => {
+      for (const part of text.split(/(\s+)/)) {
+        if (/^\s+$/.test(part)) {
+          doc.font(fonts.regular).fontSize(size);
+          place({
+            space: true,
+            width: doc.widthOfString(' '),
+            ascent: 0,
+            descent: 0,
+          });
+        } else if (part) {
+          addWord(part, font, wordSize);
+        }
+      }
+    };
+
+    const addInline = (text) => {
+      for (const part of text.split(/(\*\*[^*]+\*\*)/)) {
+        const bold = part.match(/^\*\*([^*]+)\*\*$/);
+        addText(bold ? bold[1] : part, bold ? fonts.bold : fonts.regular);
+      }
+    };
+
+    const addLine = (text) => {
+      const heading = text.match(/^#{1,6}\s+(.*)$/);
+      const bullet = text.match(/^(\s*)[-*+]\s+(.*)$/);
+
+      if (heading) {
+        addText(heading[1], fonts.bold, size + 1);
+        return;
+      }
+      addInline(bullet ? `${bullet[1]}•  ${bullet[2]}` : text);
+    };
+
+    const addCodeBlock = (code) => {
+      flush();
+      const text = code
+        .replace(/^```[^\n]*\n?/, '')
+        .replace(/\n?```$/, '')
+        .replace(/\s+$/, '');
+
+      doc.font(fonts.code).fontSize(PDF.codeSize);
+      reserve(doc.currentLineHeight(true));
+      doc.text(text, left + 12, doc.y, { width: width - 12 });
+      doc.x = left;
+      doc.y += PDF.lineGap;
+    };
+
+    const addDisplayMath = (math) => {
+      flush();
+      // Scale wide formulas down to the page width
+      const scale = Math.min(size, width / math.width);
+      const height = (math.ascent + math.descent) * scale;
+
+      reserve(height);
+      const x = left + (width - math.width * scale) / 2;
+      this._drawMath(doc, math, x, doc.y, scale);
+      doc.y += height + 2 * PDF.lineGap;
+    };
+
+    let atLineStart = true;
+    for (const segment of splitMath(content.trim())) {
+      if (segment.type === 'code') {
+        if (segment.value.startsWith('```')) {
+          addCodeBlock(segment.value);
+        } else {
+          addText(segment.value.slice(1, -1), fonts.code);
+        }
+        atLineStart = false;
+        continue;
+      }
+
+      if (segment.type === 'math') {
+        const math = renderMath(segment.value, { display: segment.display });
+        if (!math) {
+          addText(segment.source, fonts.code);
+        } else if (segment.display) {
+          addDisplayMath(math);
+        } else {
+          place({
+            math,
+            width: math.width * size,
+            ascent: math.ascent * size,
+            descent: math.descent * size,
+          });
+        }
+        atLineStart = false;
+        continue;
+      }
+
+      segment.value.split('\n').forEach((text, index) => {
+        if (index > 0) {
+          if (!line.length && !text.trim()) {
+            // Blank line: start a new paragraph
+            doc.y += size / 2;
+          }
+          flush();
+          atLineStart = true;
+        }
+        if (atLineStart) {
+          addLine(text);
+        } else {
+          addInline(text);
+        }
+        atLineStart = false;
+      });
+    }
+
+    flush();
+  }
+
+  /**
+   * Draw a formula from renderMath() with its top left corner at (x, y)
+   *
+   * @private
+   * @param {Object} doc - PDFKit document
+   * @param {Object} math - Formula from renderMath()
+   * @param {number} x - Left edge, in points
+   * @param {number} y - Top edge, in points
+   * @param {number} size - Points per em
+   */
+  _drawMath(doc, math, x, y, size) {
+    // The SVG is sized in ex for browsers; without a size it fills the box
+    const svg = math.svg.replace(/^<svg[^>]*>/, (tag) =>
+      tag.replace(/ (width|height)="[^"]*"/g, ''),
+    );
+
+    SVGtoPDF(doc, svg, x, y, {
+      width: math.width * size,
+      height: (math.ascent + math.descent) * size,
+    });
+  }
+
+  /**
+   * Session details shown above the transcript
+   *
+   * @private
+   * @param {Object} transcript - Transcript from load()
+   * @returns {Array<Array<string>>} - `[label, value]` pairs
+   */
+  _details(transcript) {
+    return [
+      ['Subject', transcript.subject || 'General'],
+      ['Student', transcript.student],
+      ['Started', this._time(transcript.startedAt)],
+      [
+        'Ended',
+        transcript.endedAt ? this._time(transcript.endedAt) : 'In progress',
+      ],
+    ];
+  }
+
+  /**
+   * @private
+   * @returns {string} - Speaker label for a message
+   */
+  _speaker(transcript, message) {
+    return message.role === 'assistant' ? TUTOR_LABEL : transcript.student;
+  }
+
+  /**
+   * @private
+   * @param {Date} date - Timestamp
+   * @returns {string} - e.g. "2025-05-04 14:03 UTC"
+   */
+  _time(date) {
+    return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  }
+
+  /**
+   * @private
+   * @param {string} title - Session title
+   * @returns {string} - File name without extension
+   */
+  _slug(title) {
+    const slug = String(title)
+      .normalize('NFKD')
+      .replace(/[^\w\s-]/g, '')
+      .trim()
+      .replace(/[\s_-]+/g, '-')
+      .toLowerCase()
+      .slice(0, 60);
+
+    return slug || 'session';
+  }
+}
+
+export { FORMATS };
+export default new TranscriptService();
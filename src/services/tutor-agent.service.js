@@ -8,6 +8,9 @@ import config from '../config/config.js';
 import logger from '../utils/logger.js';
 import openAIService from './openai.service.js';
 import agentService from './agent.service.js';
+import llmProviderService from './llm-provider.service.js';
+import learnerProfileService from './learner-profile.service.js';
+import assignmentService from './assignment.service.js';
 
 // Import the LangChain implementation conditionally
 let agentFlowService = null;
@@ -32,10 +35,27 @@ class TutorAgentService {
    * @param {string} userMessage - The user's message
    * @param {Object} tutorSession - The tutor session containing subject and ID
    * @param {Array} messageHistory - Previous messages in the conversation
+   * @param {Object} options - Optional streaming options
+   * @param {Function} options.onToken - Called with each response token delta
+   * @param {AbortSignal} options.signal - Signal to cancel generation
    * @returns {Promise<Object>} - The response and metadata
    */
-  async processMessage(userMessage, tutorSession, messageHistory = []) {
+  async processMessage(userMessage, tutorSession, messageHistory = [], options = {}) {
     try {
+      // Record which provider and model answered
+      const { provider, model } = llmProviderService.resolve(tutorSession.llmSettings);
+
+      // What we know about the student, for the system prompt
+      const learnerProfile = await learnerProfileService.buildPromptSection(
+        tutorSession.userId,
+        tutorSession.subject
+      );
+
+      // Teacher's assignment instructions when the session belongs to one
+      const assignmentInstructions = await assignmentService.getSessionInstructions(
+        tutorSession
+      );
+
       // Check if we should use LangChain implementation
       if (this.useLangChain && agentFlowService) {
         logger.info(`Using LangChain implementation for session ${tutorSession.id}`);
@@ -44,13 +64,16 @@ class TutorAgentService {
         const result = await agentFlowService.executeAgentFlow(
           userMessage,
           tutorSession,
-          messageHistory
+          messageHistory,
+          { ...options, learnerProfile, assignmentInstructions }
         );
         
         return {
           content: result.content,
           metadata: {
             implementation: 'langchain',
+            provider: provider.name,
+            model,
             ...result.agentState
           }
         };
@@ -58,17 +81,27 @@ class TutorAgentService {
         // Use the original implementation
         logger.info(`Using direct OpenAI implementation for session ${tutorSession.id}`);
         
-        // Process through direct OpenAI service
-        const response = await openAIService.generateTutorResponse(
-          userMessage,
-          tutorSession,
-          messageHistory
-        );
+        // Process through direct OpenAI service, streaming if requested
+        const response = options.onToken
+          ? await openAIService.streamTutorResponse(
+              userMessage,
+              tutorSession,
+              messageHistory,
+              { ...options, learnerProfile, assignmentInstructions }
+            )
+          : await openAIService.generateTutorResponse(
+              userMessage,
+              tutorSession,
+              messageHistory,
+              { learnerProfile, assignmentInstructions }
+            );
         
         return {
           content: response,
           metadata: {
             implementation: 'openai',
+            provider: provider.name,
+            model,
             subject: tutorSession.subject
           }
         };
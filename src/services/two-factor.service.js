@@ -0,0 +1,447 @@
+/**
+ * @module TwoFactorService
+ * @description TOTP (RFC 6238) enrollment and verification, one-time recovery
+ * codes and the challenge tokens used for two-step login
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import { generateSecret, generateURI, verify } from 'otplib';
+import config from '../config/config.js';
+import db from '../models/index.js';
+import logger from '../utils/logger.js';
+import { APIError } from '../middleware/error.js';
+import loginThrottleService from './login-throttle.service.js';
+
+const User = db.User;
+const TwoFactorChallenge = db.TwoFactorChallenge;
+
+// otplib's defaults, which authenticator apps expect: 6-digit SHA-1 codes
+// that change every 30 seconds
+const CODE_PATTERN = /^\d{6}$/;
+const STEP_SECONDS = 30;
+// Accept the previous and next code to allow for clock drift
+const DRIFT_SECONDS = STEP_SECONDS;
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'two_factor_challenge';
+// Codes that can be tried per challenge before the user has to log in again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const INVALID_CHALLENGE = 'Invalid or expired challenge, please log in again';
+
+class TwoFactorService {
+  /**
+   * Whether the user's role has to use two-factor authentication
+   *
+   * @param {Object} user - The User instance
+   * @returns {boolean}
+   */
+  isRequiredFor(user) {
+    return config.twoFactor.requiredRoles.includes(user.role);
+  }
+
+  /**
+   * Start enrollment: store a new, not yet enabled secret
+   *
+   * @async
+   * @param {Object} user - The User instance
+   * @returns {Promise<Object>} - `{ secret, otpauthUrl }` for the authenticator app
+   * @throws {APIError} - 400 if two-factor is already enabled
+   */
+  async setup(user) {
+    if (user.twoFactorEnabled) {
+      throw new APIError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = generateSecret();
+
+    user.twoFactorSecret = this._encrypt(secret);
+    user.twoFactorRecoveryCodes = null;
+    user.twoFactorLastUsedStep = null;
+    await user.save();
+
+    return { secret, otpauthUrl: this.getProvisioningUri(user, secret) };
+  }
+
+  /**
+   * Finish enrollment by confirming a code from the authenticator app
+   *
+   * @async
+   * @param {Object} user - The User instance
+   * @param {string} code - The current TOTP code
+   * @returns {Promise<string[]>} - Recovery codes, shown to the user only once
+   * @throws {APIError} - 400 if setup has not been started or the code is wrong
+   */
+  async enable(user, code) {
+    if (user.twoFactorEnabled) {
+      throw new APIError('Two-factor authentication is already enabled', 400);
+    }
+    if (!user.twoFactorSecret) {
+      throw new APIError('Start two-factor setup first', 400);
+    }
+    if (!(await this._checkCode(user, code))) {
+      throw new APIError('Invalid authentication code', 400);
+    }
+
+    user.twoFactorEnabled = true;
+    const recoveryCodes = this._assignRecoveryCodes(user);
+    await user.save();
+
+    logger.info(`Two-factor authentication enabled for user ID: ${user.id}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret. Callers decide
+   * whether the user may do without it.
+   *
+   * @async
+   * @param {Object} user - The User instance
+   * @returns {Promise<void>}
+   */
+  async disable(user) {
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = null;
+    user.twoFactorLastUsedStep = null;
+    await user.save();
+
+    logger.info(`Two-factor authentication disabled for user ID: ${user.id}`);
+  }
+
+  /**
+   * Replace the user's recovery codes
+   *
+   * @async
+   * @param {Object} user - The User instance
+   * @returns {Promise<string[]>} - The new recovery codes
+   */
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this._assignRecoveryCodes(user);
+    await user.save();
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP code or a recovery code for a user with two-factor enabled.
+   * Accepted codes are used up: TOTP codes cannot be replayed and recovery
+   * codes are removed.
+   *
+   * @async
+   * @param {Object} user - The User instance
+   * @param {Object} credentials - `{ code }` or `{ recoveryCode }`
+   * @returns {Promise<boolean>} - True if the code was accepted
+   */
+  async verify(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactorEnabled) {
+      return false;
+    }
+    if (recoveryCode) {
+      return this._useRecoveryCode(user, recoveryCode);
+    }
+    return this._checkCode(user, code);
+  }
+
+  /**
+   * Issue the short-lived token returned by login when a code is still needed
+   *
+   * @async
+   * @param {Object} user - The User instance
+   * @returns {Promise<string>} - The signed challenge token
+   */
+  async issueChallenge(user) {
+    const jti = crypto.randomUUID();
+    const { challengeExpirationInMinutes } = config.twoFactor;
+    const lifetimeMs = challengeExpirationInMinutes * 60 * 1000;
+
+    await TwoFactorChallenge.destroy({
+      where: { expiresAt: { [Op.lt]: new Date() } },
+    });
+    await TwoFactorChallenge.create({
+      jti,
+      userId: user.id,
+      expiresAt: new Date(Date.now() + lifetimeMs),
+    });
+
+    return jwt.sign(
+      { id: user.id, purpose: CHALLENGE_PURPOSE, ver: user.tokenVersion },
+      config.jwtSecret,
+      { jwtid: jti, expiresIn: `${challengeExpirationInMinutes}m` },
+    );
+  }
+
+  /**
+   * Exchange a challenge token and a code for the user who logged in
+   *
+   * @async
+   * @param {string} challengeToken - Token issued by `issueChallenge`
+   * @param {Object} credentials - `{ code }` or `{ recoveryCode }`
+   * @param {string} ip - The client IP address; wrong codes count as failed
+   * logins
+   * @returns {Promise<Object>} - The User instance
+   * @throws {APIError} - 401 if the challenge or the code is invalid, 429 if
+   * the account is locked out
+   */
+  async completeChallenge(challengeToken, credentials, ip) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, config.jwtSecret);
+    } catch (err) {
+      throw new APIError(INVALID_CHALLENGE, 401);
+    }
+
+    if (decoded.purpose !== CHALLENGE_PURPOSE || !decoded.jti) {
+      throw new APIError(INVALID_CHALLENGE, 401);
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user || !user.active || decoded.ver !== user.tokenVersion) {
+      throw new APIError(INVALID_CHALLENGE, 401);
+    }
+
+    await this._beginChallengeAttempt(decoded);
+    await loginThrottleService.beginAttempt(user.email, ip);
+
+    if (!(await this.verify(user, credentials))) {
+      await loginThrottleService.recordFailure(user.email, ip);
+      logger.warn(`Failed two-factor attempt for user ID: ${user.id}`);
+      throw new APIError('Invalid authentication code', 401);
+    }
+
+    await loginThrottleService.releaseAttempt(user.email, ip);
+
+    // The challenge cannot be used again
+    const [used] = await TwoFactorChallenge.update(
+      { usedAt: new Date() },
+      { where: { jti: decoded.jti, usedAt: null } },
+    );
+    if (used === 0) {
+      throw new APIError(INVALID_CHALLENGE, 401);
+    }
+
+    return user;
+  }
+
+  /**
+   * Build the otpauth:// URI that authenticator apps read from a QR code
+   *
+   * @param {Object} user - The User instance
+   * @param {string} secret - Base32 secret
+   * @returns {string} - The provisioning URI
+   */
+  getProvisioningUri(user, secret) {
+    return generateURI({
+      issuer: config.twoFactor.issuer,
+      label: user.email,
+      secret,
+    });
+  }
+
+  /**
+   * Check a TOTP code against the user's secret and record its time step
+   *
+   * @private
+   * @async
+   * @param {Object} user - The User instance
+   * @param {string} code - The code entered by the user
+   * @returns {Promise<boolean>}
+   */
+  async _checkCode(user, code) {
+    const entered = String(code ?? '').replace(/\s/g, '');
+    if (!user.twoFactorSecret || !CODE_PATTERN.test(entered)) {
+      return false;
+    }
+
+    // Codes from the last accepted time step or before cannot be replayed
+    let result;
+    try {
+      result = await verify({
+        secret: this._decrypt(user.twoFactorSecret),
+        token: entered,
+        period: STEP_SECONDS,
+        epochTolerance: DRIFT_SECONDS,
+        afterTimeStep: user.twoFactorLastUsedStep ?? undefined,
+      });
+    } catch (error) {
+      // e.g. the last accepted step is ahead of a clock that was set back
+      logger.warn(
+        `Could not check TOTP code for user ID: ${user.id}: ${error.message}`,
+      );
+      return false;
+    }
+    if (!result.valid) {
+      return false;
+    }
+
+    user.twoFactorLastUsedStep = result.timeStep;
+    await user.save();
+    return true;
+  }
+
+  /**
+   * Use up one of the user's recovery codes
+   *
+   * @private
+   * @async
+   * @param {Object} user - The User instance
+   * @param {string} recoveryCode - The code entered by the user
+   * @returns {Promise<boolean>}
+   */
+  async _useRecoveryCode(user, recoveryCode) {
+    const hash = this._hashRecoveryCode(recoveryCode);
+    const remaining = user.twoFactorRecoveryCodes || [];
+
+    if (!remaining.some((stored) => this._safeEqual(stored, hash))) {
+      return false;
+    }
+
+    user.twoFactorRecoveryCodes = remaining.filter((stored) => stored !== hash);
+    await user.save();
+
+    logger.info(
+      `Recovery code used for user ID: ${user.id} (${user.twoFactorRecoveryCodes.length} left)`,
+    );
+    return true;
+  }
+
+  /**
+   * Generate recovery codes and store their hashes on the user (unsaved)
+   *
+   * @private
+   * @param {Object} user - The User instance
+   * @returns {string[]} - The plain recovery codes
+   */
+  _assignRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    user.twoFactorRecoveryCodes = codes.map((code) =>
+      this._hashRecoveryCode(code),
+    );
+    return codes;
+  }
+
+  /**
+   * Hash a recovery code, ignoring case, spaces and dashes
+   *
+   * @private
+   * @param {string} code - The recovery code
+   * @returns {string} - Hex-encoded SHA-256 hash
+   */
+  _hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Constant-time string comparison
+   *
+   * @private
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  _safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return (
+      bufferA.length === bufferB.length &&
+      crypto.timingSafeEqual(bufferA, bufferB)
+    );
+  }
+
+  /**
+   * Count an attempt at a challenge before its code is checked. The count is
+   * increased in one conditional update, so parallel requests cannot get
+   * more than MAX_CHALLENGE_ATTEMPTS codes checked between them.
+   *
+   * @private
+   * @async
+   * @param {Object} decoded - The verified challenge token payload
+   * @returns {Promise<void>}
+   * @throws {APIError} - 401 if the challenge is unknown or used, or has no
+   * attempts left
+   */
+  async _beginChallengeAttempt(decoded) {
+    const where = { jti: decoded.jti, userId: decoded.id, usedAt: null };
+
+    const [counted] = await TwoFactorChallenge.update(
+      { attempts: db.sequelize.literal('attempts + 1') },
+      { where: { ...where, attempts: { [Op.lt]: MAX_CHALLENGE_ATTEMPTS } } },
+    );
+    if (counted > 0) {
+      return;
+    }
+
+    if (await TwoFactorChallenge.count({ where })) {
+      throw new APIError('Too many attempts, please log in again', 401);
+    }
+    throw new APIError(INVALID_CHALLENGE, 401);
+  }
+
+  /**
+   * Key for encrypting TOTP secrets at rest
+   *
+   * @private
+   * @returns {Buffer} - 32-byte AES key
+   */
+  _encryptionKey() {
+    return crypto
+      .createHash('sha256')
+      .update(config.twoFactor.encryptionKey || `totp:${config.jwtSecret}`)
+      .digest();
+  }
+
+  /**
+   * Encrypt a secret with AES-256-GCM
+   *
+   * @private
+   * @param {string} plain - The secret
+   * @returns {string} - `iv.tag.ciphertext`, base64-encoded
+   */
+  _encrypt(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      'aes-256-gcm',
+      this._encryptionKey(),
+      iv,
+    );
+    const encrypted = Buffer.concat([
+      cipher.update(plain, 'utf8'),
+      cipher.final(),
+    ]);
+
+    return [iv, cipher.getAuthTag(), encrypted]
+      .map((part) => part.toString('base64'))
+      .join('.');
+  }
+
+  /**
+   * Decrypt a secret stored by `_encrypt`
+   *
+   * @private
+   * @param {string} stored - `iv.tag.ciphertext`
+   * @returns {string} - The secret
+   */
+  _decrypt(stored) {
+    const [iv, tag, encrypted] = stored
+      .split('.')
+      .map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this._encryptionKey(),
+      iv,
+    );
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+}
+
+export default new TwoFactorService();
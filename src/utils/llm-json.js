@@ -0,0 +1,26 @@
+/**
+ * @module LLMJson
+ * @description Parses JSON from model responses. Some models wrap JSON in a
+ * Markdown code fence even in JSON mode, so a surrounding fence is removed
+ * first.
+ */
+
+/**
+ * Parse JSON model output, tolerating a Markdown code fence
+ * @param {string} raw - The model response
+ * @returns {*} - The parsed value, or null if it is not JSON
+ */
+const parseJson = (raw) => {
+  try {
+    return JSON.parse(
+      raw
+        .trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, ''),
+    );
+  } catch {
+    return null;
+  }
+};
+
+export { parseJson };
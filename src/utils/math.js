@@ -0,0 +1,126 @@
+/**
+ * @module Math
+ * @description Finds LaTeX in message text and renders it to SVG with MathJax,
+ * so exports show formulas without a browser or an external service
+ */
+
+import { mathjax } from 'mathjax-full/js/mathjax.js';
+import { TeX } from 'mathjax-full/js/input/tex.js';
+import { SVG } from 'mathjax-full/js/output/svg.js';
+import { liteAdaptor } from 'mathjax-full/js/adaptors/liteAdaptor.js';
+import { RegisterHTMLHandler } from 'mathjax-full/js/handlers/html.js';
+import { SafeHandler } from 'mathjax-full/js/ui/safe/SafeHandler.js';
+import { AllPackages } from 'mathjax-full/js/input/tex/AllPackages.js';
+
+// Code is matched first so that dollar signs in code are left alone. Inline
+// `$...$` must not start or end with a space and not be followed by a digit,
+// so prices like "$5 and $10" are not taken for math.
+const SEGMENT_PATTERN = new RegExp(
+  [
+    /(```[\s\S]*?(?:```|$)|`[^`\n]+`)/.source,
+    /\$\$([\s\S]+?)\$\$/.source,
+    /\\\[([\s\S]+?)\\\]/.source,
+    /\\\(([\s\S]+?)\\\)/.source,
+    /(?<!\\)\$(?=\S)((?:\\\$|[^$\n])+?)(?<=\S)\$(?!\d)/.source,
+  ].join('|'),
+  'g',
+);
+
+// Formulas come from students and models and end up in exported HTML, so
+// the packages that add links, styles, classes and IDs are left out and the
+// safe extension filters what the remaining ones allow (e.g. \bbox styles)
+const UNSAFE_PACKAGES = ['html', 'unicode'];
+
+const adaptor = liteAdaptor();
+SafeHandler(RegisterHTMLHandler(adaptor));
+
+const mathDocument = mathjax.document('', {
+  InputJax: new TeX({
+    packages: AllPackages.filter((name) => !UNSAFE_PACKAGES.includes(name)),
+    // Throw instead of rendering the error, so callers can show the source
+    formatError: (jax, error) => {
+      throw error;
+    },
+  }),
+  // Paths are inlined in every formula so each SVG stands on its own
+  OutputJax: new SVG({ fontCache: 'none' }),
+});
+
+/**
+ * Split text into plain text, code and math segments
+ *
+ * @param {string} text - Message content
+ * @returns {Array<Object>} - Segments in order: `{ type: 'text', value }`,
+ * `{ type: 'code', value }` with the backticks, or
+ * `{ type: 'math', value, display, source }` where `value` is the TeX and
+ * `source` the original text with its delimiters
+ */
+const splitMath = (text) => {
+  const segments = [];
+  let last = 0;
+
+  for (const match of text.matchAll(SEGMENT_PATTERN)) {
+    const [source, code, block, bracket, paren, dollar] = match;
+
+    if (match.index > last) {
+      segments.push({ type: 'text', value: text.slice(last, match.index) });
+    }
+
+    if (code) {
+      segments.push({ type: 'code', value: code });
+    } else {
+      segments.push({
+        type: 'math',
+        value: (block ?? bracket ?? paren ?? dollar).trim(),
+        display: Boolean(block ?? bracket),
+        source,
+      });
+    }
+    last = match.index + source.length;
+  }
+
+  if (last < text.length) {
+    segments.push({ type: 'text', value: text.slice(last) });
+  }
+
+  return segments;
+};
+
+/**
+ * Render TeX to a standalone SVG
+ *
+ * @param {string} tex - TeX source without delimiters
+ * @param {Object} options
+ * @param {boolean} options.display - Render as a display (block) formula
+ * @returns {Object|null} - `{ svg, width, ascent, descent }` with sizes in em,
+ * or null if the TeX is invalid
+ */
+const renderMath = (tex, { display = false } = {}) => {
+  let svg;
+  try {
+    svg = adaptor.firstChild(mathDocument.convert(tex, { display }));
+  } catch (error) {
+    return null;
+  }
+
+  // Last line of defence: a formula must never render a link
+  const html = adaptor.outerHTML(svg);
+  if (/<a[\s>]|\bhref\s*=|javascript:/i.test(html)) {
+    return null;
+  }
+
+  // The viewBox is in thousandths of an em, with the baseline at y = 0
+  const [, minY, width, height] = adaptor
+    .getAttribute(svg, 'viewBox')
+    .split(' ')
+    .map(Number);
+
+  return {
+    svg: html,
+    width: width / 1000,
+    ascent: -minY / 1000,
+    descent: (height + minY) / 1000,
+  };
+};
+
+export { splitMath, renderMath };
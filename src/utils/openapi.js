@@ -0,0 +1,240 @@
+/**
+ * @module OpenAPI
+ * @description Builds OpenAPI path definitions from the route specs checked
+ * by the validate middleware, so the API docs describe exactly what the
+ * routes accept
+ */
+
+import {
+  verifyToken,
+  verifyTokenForTwoFactorSetup,
+  verifyTokenOrApiKey,
+} from '../middleware/auth.js';
+
+const BEARER = { bearerAuth: [] };
+
+// Security requirements documented for each authentication middleware
+const SECURITY = new Map([
+  [verifyToken, [BEARER]],
+  [verifyTokenForTwoFactorSetup, [BEARER]],
+  [verifyTokenOrApiKey, [BEARER, { apiKeyAuth: [] }]],
+]);
+
+/**
+ * Join text written over several lines in a spec into one line, like a YAML
+ * folded block
+ * @param {string} text - Text from a spec
+ * @returns {string} - The text with runs of whitespace collapsed
+ */
+const fold = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Convert a Joi schema description to an OpenAPI schema
+ * @param {Object} description - Output of `schema.describe()`
+ * @returns {Object} - OpenAPI schema object
+ */
+const toSchema = (description) => {
+  const {
+    type,
+    flags = {},
+    rules = [],
+    allow = [],
+    keys,
+    items,
+    patterns,
+    matches,
+    metas = [],
+  } = description;
+  const rule = (name) => rules.find((r) => r.name === name)?.args ?? null;
+  const hasRule = (name) => rules.some((r) => r.name === name);
+  const schema = {};
+
+  switch (type) {
+    case 'object':
+      schema.type = 'object';
+      if (keys) {
+        schema.properties = Object.fromEntries(
+          Object.entries(keys).map(([key, value]) => [key, toSchema(value)]),
+        );
+        const required = Object.keys(keys).filter(
+          (key) => keys[key].flags?.presence === 'required',
+        );
+        if (required.length > 0) {
+          schema.required = required;
+        }
+      }
+      if (patterns) {
+        schema.additionalProperties = toSchema(patterns[0].rule);
+      } else if (keys) {
+        schema.additionalProperties = false;
+      }
+      if (rule('min')) schema.minProperties = rule('min').limit;
+      break;
+    case 'array':
+      schema.type = 'array';
+      schema.items = items ? toSchema(items[0]) : {};
+      if (rule('min')) schema.minItems = rule('min').limit;
+      if (rule('max')) schema.maxItems = rule('max').limit;
+      if (hasRule('unique')) schema.uniqueItems = true;
+      break;
+    case 'string':
+      schema.type = 'string';
+      if (rule('min')) schema.minLength = rule('min').limit;
+      if (rule('max')) schema.maxLength = rule('max').limit;
+      if (hasRule('email')) schema.format = 'email';
+      if (hasRule('guid')) schema.format = 'uuid';
+      break;
+    case 'number':
+      schema.type = hasRule('integer') ? 'integer' : 'number';
+      if (rule('min')) schema.minimum = rule('min').limit;
+      if (rule('max')) schema.maximum = rule('max').limit;
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'alternatives':
+      schema.oneOf = matches.map((match) => toSchema(match.schema));
+      break;
+    default:
+      break;
+  }
+
+  if (flags.only) {
+    schema.enum = allow.filter((value) => value !== null);
+  }
+  if (allow.includes(null)) {
+    schema.nullable = true;
+  }
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = fold(flags.description);
+  }
+
+  // Extra OpenAPI keywords given with `.meta()`, e.g. `{ format: 'password' }`
+  return Object.assign(schema, ...metas);
+};
+
+/**
+ * Convert a params or query schema to OpenAPI parameters
+ * @param {string} location - 'path' or 'query'
+ * @param {Object} schema - Joi object schema
+ * @returns {Array<Object>} - OpenAPI parameter objects
+ */
+const toParameters = (location, schema) => {
+  const { keys = {} } = schema.describe();
+
+  return Object.entries(keys).map(([name, value]) => {
+    const { description, ...rest } = toSchema(value);
+    return {
+      in: location,
+      name,
+      required: location === 'path' || value.flags?.presence === 'required',
+      ...(description && { description }),
+      schema: rest,
+    };
+  });
+};
+
+/**
+ * Build the OpenAPI operation for a route spec
+ * @param {Object} spec - Route spec given to the validate middleware
+ * @param {Array<Object>|null} security - Security requirements of the route
+ * @param {string} tag - Tag of the router, unless the spec has its own
+ * @returns {Object} - OpenAPI operation object
+ */
+const toOperation = (spec, security, tag) => {
+  const operation = {
+    summary: fold(spec.summary),
+    ...(spec.description && { description: fold(spec.description) }),
+    tags: [spec.tag || tag],
+  };
+
+  if (security) {
+    operation.security = security;
+  }
+
+  const parameters = [
+    ...(spec.params ? toParameters('path', spec.params) : []),
+    ...(spec.query ? toParameters('query', spec.query) : []),
+  ];
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (spec.body) {
+    const schema = toSchema(spec.body.describe());
+    operation.requestBody = {
+      required: Boolean(schema.required),
+      content: { 'application/json': { schema } },
+    };
+  }
+
+  // Every validated route can reject its input
+  const responses = { 400: 'Invalid input', ...spec.responses };
+  if (security && !responses[401]) {
+    responses[401] = 'Not authenticated';
+  }
+  operation.responses = Object.fromEntries(
+    Object.entries(responses).map(([status, response]) => [
+      status,
+      typeof response === 'string'
+        ? { description: fold(response) }
+        : response,
+    ]),
+  );
+
+  return operation;
+};
+
+/**
+ * Build OpenAPI paths for the validated routes of some routers. Routes
+ * without a validate middleware are left out.
+ * @param {Array<Object>} mounts - `{ prefix, router, tag }` for each router,
+ * where `prefix` is the path it is mounted at
+ * @returns {Object} - OpenAPI paths object
+ */
+const buildPaths = (mounts) => {
+  const paths = {};
+
+  for (const { prefix, router, tag } of mounts) {
+    // Authentication applied with router.use() covers the routes after it
+    let routerSecurity = null;
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        routerSecurity = SECURITY.get(layer.handle) || routerSecurity;
+        continue;
+      }
+
+      const handlers = layer.route.stack.map(({ handle }) => handle);
+      const spec = handlers.find((handle) => handle.spec)?.spec;
+      if (!spec) {
+        continue;
+      }
+
+      const security =
+        handlers.map((handle) => SECURITY.get(handle)).find(Boolean) ||
+        routerSecurity;
+      // The router's own root is documented as the prefix, without a slash
+      const route = layer.route.path === '/' ? '' : layer.route.path;
+      const path = `${prefix}${route.replace(/:(\w+)/g, '{$1}')}`;
+
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path] = {
+          ...paths[path],
+          [method]: toOperation(spec, security, tag),
+        };
+      }
+    }
+  }
+
+  return paths;
+};
+
+export { buildPaths };
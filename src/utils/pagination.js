@@ -0,0 +1,101 @@
+/**
+ * @module Pagination
+ * @description Cursor pagination for listings ordered by a date column. Rows
+ * with the same date are ordered by ID, so the order is stable and pages
+ * neither skip nor repeat rows when new ones are added.
+ */
+
+import { Op } from 'sequelize';
+import { APIError } from '../middleware/error.js';
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {Object} row - The last row of a page
+ * @param {string} field - The date column the listing is ordered by
+ * @returns {string} - Cursor
+ */
+const encodeCursor = (row, field) =>
+  Buffer.from(
+    JSON.stringify([new Date(row[field]).toISOString(), row.id]),
+  ).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Array} - `[date, id]`
+ * @throws {APIError} - 400 if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8'),
+    );
+    const date = new Date(value);
+
+    if (Number.isNaN(date.getTime()) || id === undefined || id === null) {
+      throw new Error('Malformed cursor');
+    }
+
+    return [date, id];
+  } catch (error) {
+    throw new APIError('Invalid cursor', 400);
+  }
+};
+
+/**
+ * Build the query options for one page
+ * @param {Object} options
+ * @param {string} options.cursor - Cursor from the previous page, if any
+ * @param {number} options.limit - Page size
+ * @param {string} options.field - Date column to order by
+ * @param {string} options.order - 'asc' or 'desc'
+ * @returns {Object} - `{ where, order, limit }` for findAll. `where` must be
+ * combined with the listing's own filters, and one extra row is fetched to
+ * tell whether there is another page.
+ */
+const pageQuery = ({ cursor, limit, field = 'createdAt', order = 'desc' }) => {
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const after = order === 'asc' ? Op.gt : Op.lt;
+  const query = {
+    where: {},
+    order: [
+      [field, direction],
+      ['id', direction],
+    ],
+    limit: limit + 1,
+  };
+
+  if (cursor) {
+    const [value, id] = decodeCursor(cursor);
+    query.where = {
+      [Op.or]: [
+        { [field]: { [after]: value } },
+        { [field]: value, id: { [after]: id } },
+      ],
+    };
+  }
+
+  return query;
+};
+
+/**
+ * Split the rows fetched with pageQuery into a page and its metadata
+ * @param {Array} rows - Rows fetched with pageQuery
+ * @param {Object} options - The `limit` and `field` given to pageQuery
+ * @returns {Object} - `{ items, pagination: { limit, hasMore, nextCursor } }`
+ */
+const toPage = (rows, { limit, field = 'createdAt' }) => {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null,
+    },
+  };
+};
+
+export { pageQuery, toPage };
@@ -0,0 +1,70 @@
+/**
+ * @module SSE
+ * @description Helpers for writing Server-Sent Events responses
+ */
+
+/**
+ * Prepare an Express response for Server-Sent Events and return a small writer
+ *
+ * @param {Object} res - Express response object
+ * @returns {Object} - Writer with send, close and isOpen helpers
+ */
+const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable proxy buffering (nginx) so tokens reach the client immediately
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const stream = {
+    /**
+     * Send a named event with a JSON payload
+     *
+     * @param {string} event - The event name
+     * @param {Object} data - The payload to serialise
+     * @returns {boolean} - False if the client has already gone away
+     */
+    send: (event, data) => {
+      if (closed || res.writableEnded) {
+        return false;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+    /**
+     * End the response if it is still open
+     */
+    close: () => {
+      if (!closed && !res.writableEnded) {
+        res.end();
+      }
+      closed = true;
+    },
+    /**
+     * @returns {boolean} - Whether the client is still connected
+     */
+    isOpen: () => !closed && !res.writableEnded,
+  };
+
+  return stream;
+};
+
+/**
+ * Check whether the client asked for an event stream via the Accept header
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if text/event-stream is accepted
+ */
+const wantsEventStream = (req) =>
+  (req.get('Accept') || '').includes('text/event-stream');
+
+export { openEventStream, wantsEventStream };
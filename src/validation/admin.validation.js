@@ -0,0 +1,155 @@
+/**
+ * @module AdminValidation
+ * @description Request schemas and API docs for the /api/admin routes, used
+ * by the validate middleware
+ */
+
+import Joi from 'joi';
+import { newPassword } from './auth.validation.js';
+
+const ROLES = ['student', 'teacher', 'admin'];
+const MAX_PER_PAGE = 100;
+
+const userParams = Joi.object({
+  id: Joi.number().integer().min(1).required().description('User ID'),
+});
+
+const limit = Joi.number().integer().min(1).max(MAX_PER_PAGE).default(20);
+
+const cursor = Joi.string()
+  .max(500)
+  .description('nextCursor from the previous page; omit for the first page');
+
+// Every admin route is limited to admins and may not find the user
+const userResponses = {
+  403: 'Not an admin',
+  404: 'User not found',
+};
+
+const getUsers = {
+  summary: 'List and search users, oldest first',
+  query: Joi.object({
+    q: Joi.string().trim().max(254).description('Match against name or email'),
+    role: Joi.string().valid(...ROLES),
+    active: Joi.boolean(),
+    limit,
+    cursor,
+  }),
+  responses: {
+    200: 'A page of users with pagination details',
+    403: 'Not an admin',
+  },
+};
+
+const getUser = {
+  summary: 'Get a user',
+  params: userParams,
+  responses: {
+    200: 'User details, with `lockedUntil` if failed logins have locked the account',
+    ...userResponses,
+  },
+};
+
+const updateUserRole = {
+  summary: "Change a user's role",
+  params: userParams,
+  body: Joi.object({
+    role: Joi.string()
+      .valid(...ROLES)
+      .required(),
+  }),
+  responses: {
+    200: 'Updated user',
+    400: 'Invalid role, or your own account',
+    ...userResponses,
+  },
+};
+
+const updateUserStatus = {
+  summary:
+    'Activate or deactivate a user; deactivating signs them out everywhere',
+  params: userParams,
+  body: Joi.object({
+    active: Joi.boolean().required(),
+  }),
+  responses: {
+    200: 'Updated user',
+    400: 'Invalid value, or your own account',
+    ...userResponses,
+  },
+};
+
+const logoutUser = {
+  summary:
+    'Sign a user out everywhere by revoking all of their tokens and API keys',
+  params: userParams,
+  responses: {
+    200: 'User signed out',
+    ...userResponses,
+  },
+};
+
+const resetUserPassword = {
+  summary: "Reset a user's password and sign them out everywhere",
+  description:
+    'Sets the given password, or emails the user a reset link if none is given.',
+  params: userParams,
+  body: Joi.object({
+    password: newPassword,
+  }),
+  responses: {
+    200: 'Password set or reset link sent',
+    ...userResponses,
+    502: 'The reset email could not be sent',
+  },
+};
+
+const unlockUser = {
+  summary: 'Unlock an account locked after repeated failed logins',
+  params: userParams,
+  responses: {
+    200: 'Account unlocked and failed attempts cleared',
+    ...userResponses,
+  },
+};
+
+const resetUserTwoFactor = {
+  summary:
+    "Turn off a user's two-factor authentication and sign them out everywhere",
+  description: `For users who lost their authenticator and recovery codes.
+    Users whose role requires two-factor must enroll again.`,
+  params: userParams,
+  responses: {
+    200: 'Two-factor reset',
+    400: 'Two-factor is not enabled for the user',
+    ...userResponses,
+  },
+};
+
+const getAuditLogs = {
+  summary: 'List audit log entries, newest first',
+  query: Joi.object({
+    action: Joi.string().trim().max(100).description('e.g. user.role_changed'),
+    actorId: Joi.number().integer().min(1),
+    targetType: Joi.string().trim().max(100),
+    targetId: Joi.string().trim().max(100),
+    limit,
+    cursor,
+  }),
+  responses: {
+    200: 'A page of audit entries with pagination details',
+    403: 'Not an admin',
+  },
+};
+
+export default {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  logoutUser,
+  resetUserPassword,
+  unlockUser,
+  resetUserTwoFactor,
+  getAuditLogs,
+};
@@ -0,0 +1,143 @@
+/**
+ * @module AssignmentValidation
+ * @description Request schemas and API docs for the /api/assignments routes
+ * and a classroom's assignments, used by the validate middleware
+ */
+
+import Joi from 'joi';
+import { MAX_SUBJECT_LENGTH } from './tutor.validation.js';
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_OBJECTIVES = 20;
+const MAX_OBJECTIVE_LENGTH = 500;
+const MAX_INSTRUCTIONS_LENGTH = 5000;
+
+const assignmentParams = Joi.object({
+  id: Joi.string().guid().required().description('Assignment ID'),
+});
+
+const classroomParams = Joi.object({
+  id: Joi.string().guid().required().description('Classroom ID'),
+});
+
+// Fields a teacher sets; creating an assignment also requires title and subject
+const fields = {
+  title: Joi.string().trim().min(1).max(MAX_TITLE_LENGTH),
+  subject: Joi.string().trim().min(1).max(MAX_SUBJECT_LENGTH),
+  objectives: Joi.array()
+    .items(Joi.string().trim().min(1).max(MAX_OBJECTIVE_LENGTH))
+    .max(MAX_OBJECTIVES)
+    .description('What the student should be able to do afterwards'),
+  instructions: Joi.string()
+    .trim()
+    .min(1)
+    .max(MAX_INSTRUCTIONS_LENGTH)
+    .allow(null)
+    .description(
+      'Instructions for the tutor in sessions started from this assignment',
+    ),
+  dueAt: Joi.date().iso().allow(null),
+};
+
+const createAssignment = {
+  summary: 'Create an assignment for a classroom',
+  tag: 'Assignments',
+  params: classroomParams,
+  body: Joi.object({
+    ...fields,
+    title: fields.title.required(),
+    subject: fields.subject.required(),
+  }),
+  responses: {
+    201: 'Assignment created',
+    403: "Not the classroom's teacher",
+    404: 'Classroom not found',
+  },
+};
+
+const getAssignments = {
+  summary:
+    "List a classroom's assignments; students also get their own progress",
+  tag: 'Assignments',
+  params: classroomParams,
+  responses: {
+    200: 'List of assignments',
+    404: 'Classroom not found',
+  },
+};
+
+const getAssignment = {
+  summary: 'Get an assignment; students also get their own progress',
+  params: assignmentParams,
+  responses: {
+    200: 'Assignment details',
+    404: 'Assignment not found',
+  },
+};
+
+const updateAssignment = {
+  summary: 'Update an assignment',
+  description: 'Set `instructions` or `dueAt` to null to clear them.',
+  params: assignmentParams,
+  body: Joi.object(fields),
+  responses: {
+    200: 'Updated assignment',
+    403: "Not the classroom's teacher",
+    404: 'Assignment not found',
+  },
+};
+
+const deleteAssignment = {
+  summary: 'Delete an assignment; sessions started from it are kept',
+  params: assignmentParams,
+  responses: {
+    200: 'Assignment deleted',
+    403: "Not the classroom's teacher",
+    404: 'Assignment not found',
+  },
+};
+
+const startAssignment = {
+  summary: 'Start a tutor session on an assignment',
+  description: `The tutor is guided by the assignment's objectives and
+    instructions. Continue it with the usual /api/tutor/sessions/{id} routes.`,
+  params: assignmentParams,
+  responses: {
+    201: 'Session created',
+    403: 'Only students can start assignments',
+    404: 'Assignment not found',
+  },
+};
+
+const completeAssignment = {
+  summary: 'Mark an assignment you have started as completed',
+  params: assignmentParams,
+  responses: {
+    200: 'Assignment progress',
+    400: 'Assignment not started yet',
+    403: 'Only students can complete assignments',
+    404: 'Assignment not found',
+  },
+};
+
+const getAssignmentReport = {
+  summary:
+    'Report who started and finished an assignment and their time spent',
+  params: assignmentParams,
+  responses: {
+    200: 'Summary counts and one row per enrolled student',
+    403: "Not the classroom's teacher",
+    404: 'Assignment not found',
+  },
+};
+
+export default {
+  createAssignment,
+  getAssignments,
+  getAssignment,
+  updateAssignment,
+  deleteAssignment,
+  startAssignment,
+  completeAssignment,
+  getAssignmentReport,
+};
@@ -0,0 +1,369 @@
+/**
+ * @module AuthValidation
+ * @description Request schemas and API docs for the /api/auth routes, used by
+ * the validate middleware
+ */
+
+import Joi from 'joi';
+import { API_KEY_SCOPES } from '../services/api-key.service.js';
+
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_NAME_LENGTH = 100;
+const MAX_API_KEY_EXPIRY_DAYS = 365;
+
+const email = Joi.string()
+  .trim()
+  .max(254)
+  .email({ tlds: { allow: false } });
+
+// A password being checked against the stored hash
+const password = Joi.string().max(MAX_PASSWORD_LENGTH).meta({
+  format: 'password',
+});
+
+// A password being set
+const newPassword = password.min(MIN_PASSWORD_LENGTH);
+
+const name = Joi.string().trim().min(1).max(MAX_NAME_LENGTH);
+
+const token = Joi.string().trim().max(512);
+
+const code = Joi.string()
+  .trim()
+  .max(32)
+  .description('6-digit code from the authenticator app');
+
+const recoveryCode = Joi.string()
+  .trim()
+  .max(32)
+  .description('One-time recovery code, used instead of code');
+
+const register = {
+  summary: 'Register a new user',
+  body: Joi.object({
+    name: name.required(),
+    email: email.required(),
+    password: newPassword.required(),
+  }),
+  responses: {
+    201: 'User created successfully',
+    400: 'Invalid input or user already exists',
+  },
+};
+
+const login = {
+  summary: 'Login to get access token',
+  body: Joi.object({
+    email: email.required(),
+    password: password.required(),
+  }),
+  responses: {
+    200: `Login successful. For users with two-factor authentication the
+      response is \`{ twoFactorRequired: true, challengeToken }\` instead;
+      exchange it at /api/auth/2fa/verify. \`twoFactorSetupRequired\` means
+      the user's role requires two-factor and only the enrollment routes
+      accept the token until it is enabled.`,
+    401: 'Invalid credentials',
+    429: `Too many failed attempts for this email or IP address. Wait for the
+      number of seconds in the Retry-After header.`,
+  },
+};
+
+const verifyTwoFactor = {
+  summary: 'Complete a two-factor login',
+  description: `Exchange the challenge token returned by login and a code from
+    the authenticator app, or one of the recovery codes, for access tokens.`,
+  body: Joi.object({
+    challengeToken: token.required(),
+    code,
+    recoveryCode,
+  })
+    .or('code', 'recoveryCode')
+    .messages({ 'object.missing': 'Please provide a code or recoveryCode' }),
+  responses: {
+    200: 'Login successful',
+    400: 'Missing challenge token or code',
+    401: 'Challenge expired, code invalid or too many attempts',
+    429: 'Account locked after too many failed attempts',
+  },
+};
+
+const refresh = {
+  summary: 'Exchange a refresh token for a new access token and refresh token',
+  description: `Refresh tokens are single use. Presenting a refresh token that
+    has already been exchanged revokes every token issued from the same
+    login.`,
+  body: Joi.object({
+    refreshToken: token.required(),
+  }),
+  responses: {
+    200: 'New token pair issued',
+    401: 'Refresh token invalid, expired or revoked',
+  },
+};
+
+const forgotPassword = {
+  summary: 'Request a password reset email',
+  body: Joi.object({
+    email: email.required(),
+  }),
+  responses: {
+    200: 'Reset email sent if the account exists',
+  },
+};
+
+const resetPassword = {
+  summary: 'Set a new password using a password reset token',
+  body: Joi.object({
+    token: token.required(),
+    password: newPassword.required(),
+  }),
+  responses: {
+    200: 'Password reset',
+    400: 'Invalid input, or invalid, expired or already used token',
+  },
+};
+
+const verifyEmail = {
+  summary: 'Confirm an email address using a verification token',
+  query: Joi.object({
+    token: token.required().description('Verification token from the email'),
+  }),
+  responses: {
+    200: 'Email verified',
+    400: 'Invalid, expired or already used token',
+  },
+};
+
+const resendVerification = {
+  summary: 'Send a new email verification link',
+  body: Joi.object({
+    email: email.required(),
+  }),
+  responses: {
+    200: 'Verification email sent if the account needs one',
+  },
+};
+
+const logout = {
+  summary: 'Logout, revoking the current login session and its refresh tokens',
+  responses: {
+    200: 'Successfully logged out',
+  },
+};
+
+const getLoginSessions = {
+  summary: 'List your active login sessions',
+  description: `One per device signed in, with its user agent, IP address,
+    creation time and last use. The session making the request is marked
+    \`current\`.`,
+  responses: {
+    200: 'Active login sessions, most recently used first',
+  },
+};
+
+const revokeOtherLoginSessions = {
+  summary: 'Sign out every other device',
+  responses: {
+    200: 'Number of sessions revoked',
+  },
+};
+
+const revokeLoginSession = {
+  summary: 'Sign out one login session, e.g. a lost device',
+  params: Joi.object({
+    id: Joi.string().guid().required().description('Login session ID'),
+  }),
+  responses: {
+    200: 'Session revoked',
+    404: 'Login session not found',
+  },
+};
+
+const getProfile = {
+  summary: 'Get current user profile',
+  responses: {
+    200: 'User profile data',
+  },
+};
+
+const updateProfile = {
+  summary: 'Update your name or email; a new email must be verified again',
+  description: `Changing the email needs your current password. The previous
+    address is told about the change.`,
+  body: Joi.object({
+    name,
+    email,
+    currentPassword: password
+      .when('email', { is: Joi.exist(), then: Joi.required() })
+      .description('Your current password; required with email'),
+  })
+    .or('name', 'email')
+    .messages({
+      'object.missing': 'Please provide a name or email to update',
+    }),
+  responses: {
+    200: 'Updated profile',
+    400: 'Invalid input or email already in use',
+    401: 'Not authenticated or current password incorrect',
+  },
+};
+
+const changePassword = {
+  summary:
+    'Change your password, sign out your other sessions and revoke your API keys',
+  body: Joi.object({
+    currentPassword: password.required(),
+    newPassword: newPassword.required(),
+  }),
+  responses: {
+    200: 'Password changed; new tokens for this session',
+    401: 'Not authenticated or current password incorrect',
+  },
+};
+
+const deleteAccount = {
+  summary: 'Delete your account and all of its data',
+  description: `Removes your sessions, messages, agent memory, quizzes,
+    flashcards and learner profile.`,
+  body: Joi.object({
+    password: password
+      .required()
+      .description('Your current password, to confirm'),
+  }),
+  responses: {
+    200: 'Account deleted',
+    401: 'Not authenticated or password incorrect',
+  },
+};
+
+const exportAccount = {
+  summary: 'Download all of your data as a JSON file',
+  description: `Includes your profile, sessions with messages and agent
+    memory, quizzes, flashcards, learner profile and classroom data.`,
+  responses: {
+    200: 'JSON export, sent as an attachment',
+  },
+};
+
+const setupTwoFactor = {
+  summary: 'Start two-factor enrollment',
+  description: `Returns a new TOTP secret and an otpauth:// URI to show as a QR
+    code. Two-factor is not active until confirmed at /api/auth/2fa/enable.`,
+  responses: {
+    200: 'Secret and provisioning URI',
+    400: 'Two-factor is already enabled',
+  },
+};
+
+const enableTwoFactor = {
+  summary: 'Confirm a code from the authenticator app to enable two-factor',
+  body: Joi.object({
+    code: code.required(),
+  }),
+  responses: {
+    200: 'Two-factor enabled; returns recovery codes, shown only once',
+    400: 'Setup not started, already enabled or invalid code',
+  },
+};
+
+const disableTwoFactor = {
+  summary: 'Disable two-factor authentication',
+  body: Joi.object({
+    password: password.required(),
+    code,
+    recoveryCode,
+  })
+    .or('code', 'recoveryCode')
+    .messages({ 'object.missing': 'Please provide a code or recoveryCode' }),
+  responses: {
+    200: 'Two-factor disabled',
+    400: 'Invalid input, not enabled, or required for your role',
+    401: 'Not authenticated, or wrong password or code',
+  },
+};
+
+const regenerateRecoveryCodes = {
+  summary: 'Replace your recovery codes',
+  body: Joi.object({
+    code: code.required(),
+  }),
+  responses: {
+    200: 'New recovery codes; the old ones stop working',
+    400: 'Invalid input, or two-factor is not enabled',
+    401: 'Not authenticated, or invalid code',
+  },
+};
+
+const getApiKeys = {
+  summary: 'List your API keys and the scopes a key can have',
+  responses: {
+    200: 'Active API keys, identified by their prefix',
+  },
+};
+
+const createApiKey = {
+  summary: 'Create an API key for scripts and integrations',
+  description: `Send the key in the X-API-Key header. Keys work on the
+    /api/tutor routes, limited to their scopes. The key is only returned
+    once.`,
+  body: Joi.object({
+    name: name.required(),
+    scopes: Joi.array()
+      .items(Joi.string().valid(...Object.keys(API_KEY_SCOPES)))
+      .min(1)
+      .required(),
+    expiresInDays: Joi.number()
+      .integer()
+      .min(1)
+      .max(MAX_API_KEY_EXPIRY_DAYS)
+      .allow(null)
+      .description('Omit for a key that does not expire'),
+  }),
+  responses: {
+    201: 'Key created; the response includes the key itself',
+    400: 'Invalid input, or too many keys',
+  },
+};
+
+const revokeApiKey = {
+  summary: 'Revoke an API key',
+  params: Joi.object({
+    id: Joi.number().integer().min(1).required().description('API key ID'),
+  }),
+  responses: {
+    200: 'Key revoked',
+    404: 'API key not found',
+  },
+};
+
+// Also used when admins set a user's password
+export { newPassword };
+
+export default {
+  register,
+  login,
+  verifyTwoFactor,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  logout,
+  getLoginSessions,
+  revokeOtherLoginSessions,
+  revokeLoginSession,
+  getProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  exportAccount,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -0,0 +1,135 @@
+/**
+ * @module ClassroomValidation
+ * @description Request schemas and API docs for the /api/classrooms routes,
+ * used by the validate middleware
+ */
+
+import Joi from 'joi';
+import { sessionListQuery } from './tutor.validation.js';
+
+const MAX_NAME_LENGTH = 255;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const classroomId = Joi.string()
+  .guid()
+  .required()
+  .description('Classroom ID');
+
+const classroomParams = Joi.object({ id: classroomId });
+
+const studentParams = Joi.object({
+  id: classroomId,
+  studentId: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .description("Student's user ID"),
+});
+
+const createClassroom = {
+  summary: 'Create a classroom with a join code for students',
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(MAX_NAME_LENGTH).required(),
+    description: Joi.string().trim().max(MAX_DESCRIPTION_LENGTH).allow(''),
+  }),
+  responses: {
+    201: 'Classroom created',
+    403: 'Only teachers and admins can create classrooms',
+  },
+};
+
+const getClassrooms = {
+  summary:
+    'List the classrooms you teach, or as a student the ones you are enrolled in',
+  responses: {
+    200: 'List of classrooms with student counts',
+  },
+};
+
+const joinClassroom = {
+  summary: 'Join a classroom with its join code',
+  body: Joi.object({
+    joinCode: Joi.string().trim().min(1).max(20).required(),
+  }),
+  responses: {
+    200: 'Already enrolled',
+    201: 'Joined the classroom',
+    403: 'Only students can join classrooms',
+    404: 'Invalid join code',
+  },
+};
+
+const getClassroom = {
+  summary: 'Get a classroom you teach or are enrolled in',
+  params: classroomParams,
+  responses: {
+    200: 'Classroom details; the join code is only shown to its teacher',
+    404: 'Classroom not found',
+  },
+};
+
+const leaveClassroom = {
+  summary: 'Leave a classroom you are enrolled in',
+  params: classroomParams,
+  responses: {
+    200: 'Left the classroom',
+    400: 'Not enrolled in this classroom',
+    404: 'Classroom not found',
+  },
+};
+
+const regenerateJoinCode = {
+  summary: "Replace the classroom's join code",
+  params: classroomParams,
+  responses: {
+    200: 'Classroom with its new join code',
+    403: "Not the classroom's teacher",
+    404: 'Classroom not found',
+  },
+};
+
+const getStudents = {
+  summary: 'List the students enrolled in a classroom',
+  params: classroomParams,
+  responses: {
+    200: 'List of enrolled students',
+    403: "Not the classroom's teacher",
+    404: 'Classroom not found',
+  },
+};
+
+const removeStudent = {
+  summary: 'Remove a student from a classroom',
+  params: studentParams,
+  responses: {
+    200: 'Student removed',
+    403: "Not the classroom's teacher",
+    404: 'Classroom or student not found',
+  },
+};
+
+const getStudentSessions = {
+  summary: "List an enrolled student's tutor sessions",
+  description: `Same shape, filters and pagination as GET /api/tutor/sessions.
+    Open a session's transcript with GET /api/tutor/sessions/{id}.`,
+  params: studentParams,
+  query: sessionListQuery,
+  responses: {
+    200: "A page of the student's sessions",
+    400: 'Invalid filters or cursor',
+    403: "Not the classroom's teacher",
+    404: 'Classroom or student not found',
+  },
+};
+
+export default {
+  createClassroom,
+  getClassrooms,
+  joinClassroom,
+  getClassroom,
+  leaveClassroom,
+  regenerateJoinCode,
+  getStudents,
+  removeStudent,
+  getStudentSessions,
+};
@@ -0,0 +1,92 @@
+/**
+ * @module StudyValidation
+ * @description Request schemas and API docs for the /api/study routes, used by
+ * the validate middleware
+ */
+
+import Joi from 'joi';
+import { MAX_SUBJECT_LENGTH } from './tutor.validation.js';
+import { EXPLANATION_STYLES } from '../services/learner-profile.service.js';
+
+const MAX_DUE_CARDS = 100;
+
+const getCards = {
+  summary: 'List your flashcards',
+  query: Joi.object({
+    sessionId: Joi.string()
+      .guid()
+      .description('Only cards extracted from this session'),
+  }),
+  responses: {
+    200: 'List of flashcards',
+  },
+};
+
+const getDueCards = {
+  summary: 'List flashcards due for review, most overdue first',
+  query: Joi.object({
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(MAX_DUE_CARDS)
+      .default(20)
+      .description('Maximum number of cards to return'),
+  }),
+  responses: {
+    200: 'List of due flashcards',
+  },
+};
+
+const reviewCard = {
+  summary: "Record a review and schedule the card's next one (SM-2)",
+  params: Joi.object({
+    id: Joi.string().guid().required().description('Flashcard ID'),
+  }),
+  body: Joi.object({
+    grade: Joi.number()
+      .integer()
+      .min(0)
+      .max(5)
+      .required()
+      .description('Recall quality; 3 or more counts as remembered'),
+  }),
+  responses: {
+    200: 'Card with its updated interval, ease factor and due date',
+    404: 'Flashcard not found',
+  },
+};
+
+const getLearnerProfile = {
+  summary: 'Get your learner profile and estimated topic mastery',
+  query: Joi.object({
+    subject: Joi.string()
+      .trim()
+      .max(MAX_SUBJECT_LENGTH)
+      .description('Only mastery for this subject'),
+  }),
+  responses: {
+    200: 'Preferred style, recent misconceptions and per-topic mastery (0-1)',
+  },
+};
+
+const updateLearnerProfile = {
+  summary: 'Set your preferred explanation style',
+  body: Joi.object({
+    preferredStyle: Joi.string()
+      .valid(...EXPLANATION_STYLES)
+      .allow(null)
+      .required()
+      .description('null to clear it'),
+  }),
+  responses: {
+    200: 'Updated profile',
+  },
+};
+
+export default {
+  getCards,
+  getDueCards,
+  reviewCard,
+  getLearnerProfile,
+  updateLearnerProfile,
+};
@@ -0,0 +1,494 @@
+/**
+ * @module TutorValidation
+ * @description Request schemas and API docs for the /api/tutor routes, used by
+ * the validate middleware
+ */
+
+import Joi from 'joi';
+import config from '../config/config.js';
+import llmProviderService from '../services/llm-provider.service.js';
+import { QUESTION_TYPES, DIFFICULTIES } from '../services/quiz.service.js';
+import { FORMATS } from '../services/transcript.service.js';
+
+const MAX_MESSAGE_LENGTH = 20000;
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_ANSWER_LENGTH = 2000;
+const MAX_SEARCH_RESULTS = 50;
+const MAX_SESSIONS_PER_PAGE = 100;
+const MAX_MESSAGES_PER_PAGE = 200;
+
+const sessionId = Joi.string().guid().required().description('Session ID');
+
+const checkpointId = Joi.string()
+  .max(100)
+  .required()
+  .description('Checkpoint ID');
+
+// Messages are stored as typed, so they are not trimmed
+const content = Joi.string()
+  .max(MAX_MESSAGE_LENGTH)
+  .pattern(/\S/)
+  .messages({ 'string.pattern.base': '{#label} cannot be blank' });
+
+const sessionParams = Joi.object({ id: sessionId });
+
+// Sessions may only choose configured providers, and each provider's models
+const llmProviders = llmProviderService.listAvailableProviders();
+const llmModel = (provider) =>
+  Joi.string().valid(...llmProviderService.listModels(provider));
+
+const cursor = Joi.string()
+  .max(500)
+  .description('nextCursor from the previous page; omit for the first page');
+
+// Filters, sorting and pages shared by the session listings
+const sessionListQuery = Joi.object({
+  subject: Joi.string()
+    .trim()
+    .max(MAX_SUBJECT_LENGTH)
+    .description('Only sessions with this subject'),
+  status: Joi.string()
+    .valid('active', 'ended')
+    .description('Only sessions that are still active, or that have ended'),
+  from: Joi.date().iso().description('Only sessions created from this time'),
+  to: Joi.date()
+    .iso()
+    .min(Joi.ref('from'))
+    .description('Only sessions created until this time'),
+  sort: Joi.string()
+    .valid('createdAt', 'updatedAt')
+    .default('createdAt')
+    .description('Order by creation or by last update'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(MAX_SESSIONS_PER_PAGE).default(20),
+  cursor,
+});
+
+const checkpointParams = Joi.object({ id: sessionId, checkpointId });
+
+const quizParams = Joi.object({
+  id: sessionId,
+  quizId: Joi.string().guid().required().description('Quiz ID'),
+});
+
+const testLangchain = {
+  summary: 'Try the LangChain agent without authentication (testing only)',
+  tag: 'Testing',
+  body: Joi.object({
+    message: content.required(),
+    subject: Joi.string().trim().max(MAX_SUBJECT_LENGTH),
+  }),
+  responses: {
+    200: 'Agent response',
+  },
+};
+
+const createSession = {
+  summary: 'Create a new tutor session',
+  body: Joi.object({
+    subject: Joi.string().trim().min(1).max(MAX_SUBJECT_LENGTH).required(),
+    llm: Joi.object({
+      provider: llmProviders.length
+        ? Joi.string().valid(...llmProviders)
+        : Joi.forbidden(),
+      model: Joi.string()
+        .when('provider', {
+          is: Joi.exist(),
+          then: Joi.when('provider', {
+            switch: llmProviders.map((name) => ({
+              is: name,
+              then: llmModel(name),
+            })),
+          }),
+          otherwise: llmModel(config.openAI.provider),
+        })
+        .description(
+          'A model of the chosen provider, or of the default provider if none ' +
+            'is chosen; OpenAI models must be allowed by OPENAI_ALLOWED_MODELS',
+        ),
+      temperature: Joi.number().min(0).max(2),
+      maxTokens: Joi.number().integer().min(1).max(config.openAI.maxTokens),
+    }).description('Optional LLM overrides for this session'),
+    flow: Joi.string()
+      .trim()
+      .max(100)
+      .description('Agent flow to use; defaults to the flow for the subject'),
+  }),
+  responses: {
+    201: 'Session created successfully',
+    400: 'Invalid input or unknown agent flow',
+  },
+};
+
+const getSessions = {
+  summary: 'Get a page of tutor sessions for the current user',
+  description: `Sessions come with their number of active messages. Pass the
+    \`pagination.nextCursor\` of a response as \`cursor\` to get the next
+    page; it is null on the last page.`,
+  query: sessionListQuery,
+  responses: {
+    200: 'A page of sessions',
+    400: 'Invalid input or cursor',
+  },
+};
+
+const getSession = {
+  summary: 'Get a single session by ID, with a page of its messages',
+  description: `Available to the session owner, admins and teachers of a
+    classroom the owner is enrolled in. Messages are in the order they were
+    sent, or newest first with \`order=desc\` for loading a chat from the
+    bottom. Pass the \`pagination.nextCursor\` of a response as \`cursor\`
+    to get the next page of messages.`,
+  params: sessionParams,
+  query: Joi.object({
+    alternates: Joi.boolean()
+      .default(false)
+      .description(
+        "Include replaced messages under each message's `alternates`",
+      ),
+    order: Joi.string().valid('asc', 'desc').default('asc'),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(MAX_MESSAGES_PER_PAGE)
+      .default(50),
+    cursor,
+  }),
+  responses: {
+    200: 'Session details with a page of messages',
+    400: 'Invalid input or cursor',
+    404: 'Session not found',
+  },
+};
+
+const exportSession = {
+  summary: 'Download a session transcript',
+  description: `Available to the same users as getting the session. The
+    transcript has the active messages with speaker labels and UTC
+    timestamps. LaTeX in messages is rendered in HTML and PDF exports and
+    kept as written in Markdown.`,
+  params: sessionParams,
+  query: Joi.object({
+    format: Joi.string()
+      .valid(...Object.keys(FORMATS))
+      .default('pdf'),
+  }),
+  responses: {
+    200: {
+      description: 'Transcript file, sent as an attachment',
+      content: Object.fromEntries(
+        Object.values(FORMATS).map(({ contentType }) => [
+          contentType.split(';')[0],
+          { schema: { type: 'string', format: 'binary' } },
+        ]),
+      ),
+    },
+    404: 'Session not found',
+  },
+};
+
+const sendMessage = {
+  summary: 'Send a message in a session and get a tutor response',
+  params: sessionParams,
+  body: Joi.object({
+    content: content.required(),
+  }),
+  responses: {
+    200: 'Message sent and response received',
+    400: 'Invalid input or session ended',
+    404: 'Session not found',
+  },
+};
+
+const streamMessage = {
+  summary:
+    'Send a message and stream the tutor response as Server-Sent Events',
+  description: `Emits a \`start\` event with the saved user message, \`token\`
+    events with \`{ delta }\` as the response is generated, and a final
+    \`done\` event with the persisted assistant message. After the first
+    exchange a \`title\` event carries the generated session title. Failures
+    are sent as an \`error\` event. Sending \`Accept: text/event-stream\` to
+    /sessions/{id}/message has the same effect.`,
+  params: sessionParams,
+  body: sendMessage.body,
+  responses: {
+    200: {
+      description: 'Event stream of the tutor response',
+      content: { 'text/event-stream': { schema: { type: 'string' } } },
+    },
+    400: 'Invalid input or session ended',
+    404: 'Session not found',
+  },
+};
+
+const regenerateMessage = {
+  summary: 'Replace an assistant reply with a new one',
+  description: `The old reply and any later messages are kept as hidden
+    alternates of the new reply.`,
+  params: Joi.object({
+    id: sessionId,
+    messageId: Joi.string()
+      .guid()
+      .required()
+      .description('Assistant message ID'),
+  }),
+  responses: {
+    200: 'New assistant reply',
+    400: 'Session ended or nothing to regenerate from',
+    404: 'Session or message not found',
+  },
+};
+
+const editMessage = {
+  summary: 'Edit a user message and re-run the tutor from that point',
+  description: `The original message and any later messages are kept as
+    hidden alternates of the edited message.`,
+  params: Joi.object({
+    id: sessionId,
+    messageId: Joi.string().guid().required().description('User message ID'),
+  }),
+  body: Joi.object({
+    content: content.required(),
+  }),
+  responses: {
+    200: 'Edited user message and the new assistant reply',
+    400: 'Invalid input or session ended',
+    404: 'Session or message not found',
+  },
+};
+
+const createQuiz = {
+  summary: 'Generate a quiz from the session transcript',
+  params: sessionParams,
+  body: Joi.object({
+    questionCount: Joi.number()
+      .integer()
+      .min(1)
+      .max(config.quiz.maxQuestionCount)
+      .default(config.quiz.defaultQuestionCount),
+    types: Joi.array()
+      .items(Joi.string().valid(...QUESTION_TYPES))
+      .min(1)
+      .unique()
+      .default(QUESTION_TYPES),
+    difficulty: Joi.string()
+      .valid(...DIFFICULTIES)
+      .default('medium'),
+    topic: Joi.string().trim().max(200),
+  }),
+  responses: {
+    201: 'Quiz created; questions are returned without answers',
+    400: 'Invalid quiz options',
+    404: 'Session not found',
+    502: 'The model did not produce a valid quiz',
+    503: 'No LLM provider is configured',
+  },
+};
+
+const getQuizzes = {
+  summary: 'List the quizzes generated for a session',
+  params: sessionParams,
+  responses: {
+    200: 'List of quizzes',
+    404: 'Session not found',
+  },
+};
+
+const getQuiz = {
+  summary: 'Get a quiz without its answers',
+  params: quizParams,
+  responses: {
+    200: 'Quiz details',
+    404: 'Quiz not found',
+  },
+};
+
+const submitAttempt = {
+  summary: 'Submit answers to a quiz and get them graded',
+  params: quizParams,
+  body: Joi.object({
+    answers: Joi.object()
+      .pattern(
+        Joi.string(),
+        Joi.alternatives().try(
+          Joi.string().allow('').max(MAX_ANSWER_LENGTH),
+          Joi.number(),
+        ),
+      )
+      .required()
+      .description(
+        `Map of question ID to answer: option index or text, free text, or
+        number. Integer strings are taken as option indexes.`,
+      ),
+  }),
+  responses: {
+    201: 'Graded attempt with per-question results and explanations',
+    400: 'Invalid answers',
+    404: 'Quiz not found',
+  },
+};
+
+const getAttempts = {
+  summary: 'List your attempts at a quiz',
+  params: quizParams,
+  responses: {
+    200: 'List of graded attempts',
+    404: 'Quiz not found',
+  },
+};
+
+const extractSessionCards = {
+  summary: 'Extract spaced-repetition flashcards from a session',
+  tag: 'Study',
+  params: sessionParams,
+  responses: {
+    201: `The new flashcards; cards already extracted from the session are
+      skipped`,
+    404: 'Session not found',
+    502: 'The model did not produce valid flashcards',
+    503: 'No LLM provider is configured',
+  },
+};
+
+const endSession = {
+  summary: 'End a tutor session',
+  params: sessionParams,
+  body: Joi.object({
+    extractCards: Joi.boolean().description(
+      'Extract flashcards from the session (defaults to STUDY_AUTO_EXTRACT_CARDS)',
+    ),
+    summarize: Joi.boolean().description(
+      'Store a summary of the session in `summary` (defaults to SESSION_AUTO_SUMMARY)',
+    ),
+  }),
+  responses: {
+    200: 'Session ended successfully',
+    400: 'Invalid input or session already ended',
+    404: 'Session not found',
+  },
+};
+
+const regenerateTitle = {
+  summary: 'Generate a new title for a session from its first exchange',
+  params: sessionParams,
+  responses: {
+    200: 'Session with its new title',
+    400: 'The session has no messages yet',
+    404: 'Session not found',
+    502: 'The model did not produce a valid title',
+    503: 'No LLM provider is configured',
+  },
+};
+
+const regenerateSummary = {
+  summary: 'Generate a new summary of a session',
+  description: `The summary has the \`topics\` covered, key \`takeaways\`,
+    \`openQuestions\` and suggested \`nextSteps\`. It is also generated when
+    a session ends.`,
+  params: sessionParams,
+  responses: {
+    200: 'Session with its new summary',
+    400: 'The session has no messages yet',
+    404: 'Session not found',
+    502: 'The model did not produce a valid summary',
+    503: 'No LLM provider is configured',
+  },
+};
+
+const getCheckpoints = {
+  summary: 'List the agent checkpoints saved for a session, oldest first',
+  params: sessionParams,
+  responses: {
+    200: 'Checkpoint IDs, timestamps and a preview of the last message',
+    404: 'Session not found',
+  },
+};
+
+const getCheckpoint = {
+  summary: 'Get the agent state stored in a checkpoint',
+  params: checkpointParams,
+  responses: {
+    200: 'Checkpoint with its full state',
+    404: 'Session or checkpoint not found',
+  },
+};
+
+const forkSession = {
+  summary: 'Start a new session from an earlier checkpoint',
+  description: `Copies the transcript up to the checkpoint and restores its
+    agent state in the new session.`,
+  params: checkpointParams,
+  responses: {
+    201: 'Forked session created',
+    404: 'Session or checkpoint not found',
+  },
+};
+
+const search = {
+  summary: 'Search your messages and session titles',
+  description: `Matches every word of \`q\`, the last one as a prefix. Results
+    are best match first: \`message\` results have the session and message
+    IDs, \`session\` results a matching title. \`snippet\` is HTML with the
+    matched words in \`<mark>\`. Messages replaced by a regenerate or edit
+    are not included.`,
+  query: Joi.object({
+    q: Joi.string()
+      .trim()
+      .min(1)
+      .max(200)
+      .required()
+      .description('Search text'),
+    subject: Joi.string()
+      .trim()
+      .max(MAX_SUBJECT_LENGTH)
+      .description('Only sessions with this subject'),
+    role: Joi.string()
+      .valid('user', 'assistant', 'system')
+      .description('Only messages from this role; leaves out session titles'),
+    from: Joi.date().iso().description('Only results created from this time'),
+    to: Joi.date()
+      .iso()
+      .min(Joi.ref('from'))
+      .description('Only results created until this time'),
+    limit: Joi.number().integer().min(1).max(MAX_SEARCH_RESULTS).default(20),
+    offset: Joi.number().integer().min(0).default(0),
+  }),
+  responses: {
+    200: 'Matching messages and sessions with highlighted snippets',
+  },
+};
+
+const getFlows = {
+  summary: 'List the agent flow definitions available to sessions',
+  responses: {
+    200: 'List of flows with their descriptions and subjects',
+  },
+};
+
+export { MAX_SUBJECT_LENGTH, sessionListQuery };
+
+export default {
+  testLangchain,
+  createSession,
+  getSessions,
+  getSession,
+  exportSession,
+  sendMessage,
+  streamMessage,
+  regenerateMessage,
+  editMessage,
+  createQuiz,
+  getQuizzes,
+  getQuiz,
+  submitAttempt,
+  getAttempts,
+  extractSessionCards,
+  endSession,
+  regenerateTitle,
+  regenerateSummary,
+  getCheckpoints,
+  getCheckpoint,
+  forkSession,
+  search,
+  getFlows,
+};